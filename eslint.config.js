@@ -33,6 +33,12 @@ export default defineConfig([
       }],
     },
   },
+  {
+    files: ['vite.config.js', 'plugins/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
   {
     files: ['**/__tests__/**/*.js', '**/*.test.js'],
     languageOptions: {
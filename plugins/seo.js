@@ -0,0 +1,124 @@
+/**
+ * Vite plugin that writes the site's SEO files from src/utils/seo
+ * Fills index.html with the home page's head tags and the JSON-LD structured
+ * data, and emits sitemap.xml and robots.txt with the build; the dev server
+ * serves the same files. Sitemap lastmod dates come from the git history of
+ * the content files behind each route, falling back to their modification
+ * time outside a git checkout. A shallow clone only knows its newest commit,
+ * so there the dates are left out rather than all being the same day
+ */
+import { execFileSync } from 'node:child_process'
+import { existsSync, readdirSync, statSync } from 'node:fs'
+import path from 'node:path'
+import { runnerImport } from 'vite'
+
+const SEO_MODULE = 'src/utils/seo.js'
+const CONTENT_DIR = 'src/content'
+
+// Source file of each content collection (see data/content)
+const collectionFile = (collection) => collection === 'about' ? 'about.md' : `${collection}.json`
+
+const git = (root, args) => {
+  return execFileSync('git', args, { cwd: root, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim()
+}
+
+const fileDate = (root, file, isShallow) => {
+  try {
+    const committed = git(root, ['log', '-1', '--format=%cs', '--', file])
+    const changed = git(root, ['status', '--porcelain', '--', file])
+    if (committed && !changed) return isShallow ? null : committed
+  } catch (_error) {
+    // Not a git checkout (or no git): use the file's own timestamp
+  }
+  return statSync(path.join(root, file)).mtime.toISOString().slice(0, 10)
+}
+
+const isShallowClone = (root) => {
+  try {
+    return git(root, ['rev-parse', '--is-shallow-repository']) === 'true'
+  } catch (_error) {
+    return false
+  }
+}
+
+/**
+ * lastModified(collections) for getSitemapEntries: the latest date among the
+ * content files (every locale's) behind the named collections, or null
+ */
+export const createLastModified = (root) => {
+  const isShallow = isShallowClone(root)
+  const contentDir = path.join(root, CONTENT_DIR)
+  const localeDirs = readdirSync(contentDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+  const dates = new Map()
+
+  return (collections) => {
+    const files = collections.flatMap((collection) => {
+      const name = collectionFile(collection)
+      return [name, ...localeDirs.map((dir) => `${dir}/${name}`)]
+        .filter((file) => existsSync(path.join(contentDir, file)))
+        .map((file) => `${CONTENT_DIR}/${file}`)
+    })
+    files.forEach((file) => {
+      if (!dates.has(file)) dates.set(file, fileDate(root, file, isShallow))
+    })
+    return files.map((file) => dates.get(file)).filter(Boolean).sort().at(-1) ?? null
+  }
+}
+
+export default function seo() {
+  let root = process.cwd()
+  let pending = null
+
+  // The SEO files, built once and again after content or routes change in dev
+  const load = () => {
+    pending ??= runnerImport(path.join(root, SEO_MODULE), { configFile: false, root, logLevel: 'error' })
+      .then(({ module }) => ({
+        head: module.renderPageHead('/'),
+        jsonLd: module.renderJsonLd(module.getStructuredData()),
+        sitemap: module.renderSitemap(module.getSitemapEntries(createLastModified(root))),
+        robots: module.renderRobots()
+      }))
+    return pending
+  }
+
+  return {
+    name: 'appdost:seo',
+
+    configResolved(config) {
+      root = config.root
+    },
+
+    configureServer(server) {
+      server.watcher.on('all', (_event, file) => {
+        if (/[\\/]src[\\/](content|data|utils)[\\/]/.test(file)) pending = null
+      })
+      server.middlewares.use(async (req, res, next) => {
+        const file = { '/sitemap.xml': 'sitemap', '/robots.txt': 'robots' }[req.url]
+        if (!file) return next()
+        try {
+          const files = await load()
+          res.setHeader('Content-Type', file === 'sitemap' ? 'application/xml' : 'text/plain')
+          res.end(files[file])
+        } catch (error) {
+          next(error)
+        }
+      })
+    },
+
+    async transformIndexHtml(html) {
+      const { head, jsonLd } = await load()
+      return {
+        html: html.replace('<!-- head -->', head.replaceAll('\n', '\n    ')),
+        tags: [{ tag: 'script', attrs: { type: 'application/ld+json' }, children: jsonLd, injectTo: 'head' }]
+      }
+    },
+
+    async generateBundle() {
+      const { sitemap, robots } = await load()
+      this.emitFile({ type: 'asset', fileName: 'sitemap.xml', source: sitemap })
+      this.emitFile({ type: 'asset', fileName: 'robots.txt', source: robots })
+    }
+  }
+}
@@ -1,91 +1,71 @@
 /**
  * Main App component for TechNova Digital
- * Single-page application with smooth scrolling sections
+ * Single-page application with smooth scrolling sections; each section has its
+ * own URL (see data/routes) and is scrolled into view when that URL is opened
  */
 import { useEffect } from 'react'
 import Header from './components/Header'
 import Hero from './components/Hero'
 import Metrics from './components/Metrics'
 import ServicesGrid from './components/ServicesGrid'
+import ProjectsGrid from './components/ProjectsGrid'
+import IndustriesGrid from './components/IndustriesGrid'
+import About from './components/About'
 import Footer from './components/Footer'
-import AppDostSphereBackground from './components/AppDostSphereBackground'
+import NetworkBackground from './components/NetworkBackground'
+import { useIntersectionObserver } from './hooks/useIntersectionObserver'
+import { usePrefersReducedMotion } from './hooks/usePrefersReducedMotion'
+import { useRoute } from './hooks/useRoute'
+import { useContent } from './hooks/useContent'
+import { scrollToElement } from './utils/helpers'
+import ContactForm from './components/ContactForm'
 import './index.css'
 
+// The background is fixed, so track the content above it instead: once no part
+// of <main> is on screen only the opaque Footer is visible
+const CONTENT_OBSERVER_OPTIONS = { threshold: 0, rootMargin: '0px' }
+
+// Clearance for the fixed header when scrolling to a section
+const HEADER_OFFSET = 100
+
 function App() {
-  // Add structured data for SEO
+  const { elementRef: contentRef, isIntersecting: isContentVisible } = useIntersectionObserver(CONTENT_OBSERVER_OPTIONS)
+  const prefersReducedMotion = usePrefersReducedMotion()
+  const { location, route } = useRoute()
+  const contactCopy = useContent('copy').contact
+
+  // Bring the route's section (or the #hash inside it) into view: jump there on
+  // load and back/forward, animate when the user navigates by clicking
   useEffect(() => {
-    const structuredData = {
-      "@context": "https://schema.org",
-      "@type": "Organization",
-      "name": "AppDost",
-      "alternateName": "AppDost IT Solutions",
-      "url": "https://appdost.com",
-      "logo": "https://appdost.com/logo.png",
-      "description": "Transforming businesses with cutting-edge technology solutions, innovative development, and comprehensive IT services.",
-      "foundingDate": "2018",
-      "founder": {
-        "@type": "Person",
-        "name": "AppDost Team"
-      },
-      "address": {
-        "@type": "PostalAddress",
-        "streetAddress": "Tech Hub, Sector 62",
-        "addressLocality": "Noida",
-        "addressRegion": "UP",
-        "postalCode": "201309",
-        "addressCountry": "IN"
-      },
-      "contactPoint": {
-        "@type": "ContactPoint",
-        "telephone": "+91-98765-43210",
-        "contactType": "customer service"
-      },
-      "sameAs": [
-        "https://linkedin.com/company/appdost",
-        "https://twitter.com/appdost_tech",
-        "https://github.com/appdost"
-      ],
-      "service": [
-        {
-          "@type": "Service",
-          "name": "AI & Machine Learning",
-          "description": "Custom ML model development and deployment"
-        },
-        {
-          "@type": "Service", 
-          "name": "Cloud & DevOps",
-          "description": "Scalable, secure cloud infrastructure solutions"
-        },
-        {
-          "@type": "Service",
-          "name": "Web & Mobile Development",
-          "description": "Modern, responsive applications"
-        }
-      ]
-    }
+    if (!location.scroll) return
 
-    const script = document.createElement('script')
-    script.type = 'application/ld+json'
-    script.text = JSON.stringify(structuredData)
-    document.head.appendChild(script)
+    const target = [location.hash.slice(1), route.section].find((id) => id && document.getElementById(id))
+    const animate = location.action === 'push' && !prefersReducedMotion
 
-    return () => {
-      document.head.removeChild(script)
+    if (target) {
+      scrollToElement(target, HEADER_OFFSET, animate ? undefined : 0)
+    } else if (location.action !== 'load') {
+      window.scrollTo(0, 0)
     }
-  }, [])
+  }, [location, route, prefersReducedMotion])
 
   return (
     <div className="min-h-screen bg-black text-white relative">
       {/* Global 3D Network Background */}
       <div className="fixed inset-0 z-0">
-        <AppDostSphereBackground />
+        <NetworkBackground
+          variant="appdost-sphere"
+          paused={!isContentVisible}
+          reducedMotion={prefersReducedMotion}
+          interactive
+        />
       </div>
       
       {/* Header with navigation */}
       <Header />
       
       {/* Main content */}
-      <main id="main-content" role="main" className="relative z-10">
+      <main id="main-content" ref={contentRef} role="main" className="relative z-10">
         {/* Hero section */}
         <Hero />
         
@@ -95,173 +75,31 @@ function App() {
         {/* Services section */}
         <ServicesGrid />
         
-        {/* Projects section placeholder */}
-        <section id="projects" className="py-20 lg:py-32 relative">
-          <div className="absolute inset-0 bg-black/40 backdrop-blur-sm"></div>
-          <div className="container mx-auto px-4 sm:px-6 lg:px-8 text-center relative z-10">
-            <h2 className="text-3xl lg:text-5xl font-display font-bold text-white mb-6">
-              Featured <span className="text-gradient">Projects</span>
-            </h2>
-            <p className="text-xl text-gray-300 max-w-3xl mx-auto mb-12">
-              Explore some of our most impactful work and see how we've helped 
-              organizations transform their digital presence.
-            </p>
-            <div className="glass rounded-3xl p-12 border border-white/10">
-              <p className="text-gray-300 text-lg">
-                Project showcase coming soon! In the meantime, 
-                <a href="#contact" className="text-cyan-400 hover:underline ml-1">
-                  contact us
-                </a> to discuss your project.
-              </p>
-            </div>
-          </div>
-        </section>
+        {/* Projects section */}
+        <ProjectsGrid />
 
-        {/* Industries section placeholder */}
-        <section id="industries" className="py-20 lg:py-32 relative">
-          <div className="absolute inset-0 bg-black/50 backdrop-blur-md"></div>
-          <div className="container mx-auto px-4 sm:px-6 lg:px-8 text-center relative z-10">
-            <h2 className="text-3xl lg:text-5xl font-display font-bold text-white mb-6">
-              Industries We <span className="text-gradient">Serve</span>
-            </h2>
-            <p className="text-xl text-gray-300 max-w-3xl mx-auto mb-12">
-              We bring domain expertise across multiple industries, delivering 
-              solutions that understand your unique challenges and requirements.
-            </p>
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-              {['Healthcare', 'Finance', 'Education', 'Retail', 'Energy', 'Manufacturing'].map((industry) => (
-                <div key={industry} className="card text-center bg-black/30 backdrop-blur-sm border border-white/10 hover:border-cyan-400/50 transition-colors">
-                  <h3 className="text-xl font-bold text-white mb-2">{industry}</h3>
-                  <p className="text-gray-300">Specialized solutions for {industry.toLowerCase()} sector</p>
-                </div>
-              ))}
-            </div>
-          </div>
-        </section>
+        {/* Industries section */}
+        <IndustriesGrid />
 
-        {/* About section placeholder */}
-        <section id="about" className="py-20 lg:py-32 relative">
-          <div className="absolute inset-0 bg-black/40 backdrop-blur-sm"></div>
-          <div className="container mx-auto px-4 sm:px-6 lg:px-8 text-center relative z-10">
-            <h2 className="text-3xl lg:text-5xl font-display font-bold text-white mb-6">
-              About <span className="text-gradient">AppDost</span>
-            </h2>
-            <p className="text-xl text-gray-300 max-w-3xl mx-auto mb-12">
-              Founded in 2018, AppDost has been delivering comprehensive IT solutions, 
-              helping businesses across India and globally transform their digital presence with innovative technology.
-            </p>
-            <div className="glass rounded-3xl p-12 max-w-4xl mx-auto bg-black/30 backdrop-blur-md border border-white/10">
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-8 text-left">
-                <div>
-                  <h3 className="text-xl font-bold text-white mb-4">Our Mission</h3>
-                  <p className="text-gray-300">
-                    To democratize access to cutting-edge technology and empower organizations 
-                    to achieve their digital transformation goals through innovative solutions.
-                  </p>
-                </div>
-                <div>
-                  <h3 className="text-xl font-bold text-white mb-4">Our Vision</h3>
-                  <p className="text-gray-300">
-                    To be the world's most trusted partner for digital transformation, 
-                    setting new standards for technical excellence and client success.
-                  </p>
-                </div>
-              </div>
-            </div>
-          </div>
-        </section>
+        {/* About section */}
+        <About />
 
-        {/* Contact section placeholder */}
+        {/* Contact section */}
         <section id="contact" className="py-20 lg:py-32 relative">
           <div className="absolute inset-0 bg-black/50 backdrop-blur-md"></div>
           <div className="container mx-auto px-4 sm:px-6 lg:px-8 relative z-10">
             <div className="text-center mb-12">
               <h2 className="text-3xl lg:text-5xl font-display font-bold text-white mb-6">
-                Let's Build Something <span className="text-gradient">Amazing</span>
+                {contactCopy.title} <span className="text-gradient">{contactCopy.highlight}</span>
               </h2>
               <p className="text-xl text-gray-300 max-w-3xl mx-auto">
-                Ready to transform your digital presence? Get in touch with our team 
-                to discuss your project and receive a detailed proposal.
+                {contactCopy.intro}
               </p>
             </div>
             
             <div className="max-w-2xl mx-auto">
               <div className="glass rounded-3xl p-8 lg:p-12 bg-black/30 backdrop-blur-md border border-white/10">
-                <form className="space-y-6">
-                  <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                    <div>
-                      <label htmlFor="name" className="block text-white font-medium mb-2">
-                        Full Name
-                      </label>
-                      <input
-                        type="text"
-                        id="name"
-                        className="w-full px-4 py-3 bg-black/20 border border-white/20 rounded-xl text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-cyan-400 focus:border-transparent backdrop-blur-sm"
-                        placeholder="John Doe"
-                      />
-                    </div>
-                    <div>
-                      <label htmlFor="email" className="block text-white font-medium mb-2">
-                        Email Address
-                      </label>
-                      <input
-                        type="email"
-                        id="email"
-                        className="w-full px-4 py-3 bg-black/20 border border-white/20 rounded-xl text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-cyan-400 focus:border-transparent backdrop-blur-sm"
-                        placeholder="john@company.com"
-                      />
-                    </div>
-                  </div>
-                  
-                  <div>
-                    <label htmlFor="company" className="block text-white font-medium mb-2">
-                      Company
-                    </label>
-                    <input
-                      type="text"
-                      id="company"
-                      className="w-full px-4 py-3 bg-white/10 border border-white/20 rounded-xl text-white placeholder-muted focus:outline-none focus:ring-2 focus:ring-accent focus:border-transparent"
-                      placeholder="Your Company"
-                    />
-                  </div>
-                  
-                  <div>
-                    <label htmlFor="service" className="block text-white font-medium mb-2">
-                      Service Interest
-                    </label>
-                    <select
-                      id="service"
-                      className="w-full px-4 py-3 bg-white/10 border border-white/20 rounded-xl text-white focus:outline-none focus:ring-2 focus:ring-accent focus:border-transparent"
-                    >
-                      <option value="">Select a service</option>
-                      <option value="ai-ml">AI & Machine Learning</option>
-                      <option value="cloud">Cloud & DevOps</option>
-                      <option value="web-mobile">Web & Mobile Apps</option>
-                      <option value="design">UI/UX Design</option>
-                      <option value="security">Cybersecurity</option>
-                      <option value="mlops">MLOps</option>
-                    </select>
-                  </div>
-                  
-                  <div>
-                    <label htmlFor="message" className="block text-white font-medium mb-2">
-                      Project Details
-                    </label>
-                    <textarea
-                      id="message"
-                      rows={4}
-                      className="w-full px-4 py-3 bg-white/10 border border-white/20 rounded-xl text-white placeholder-muted focus:outline-none focus:ring-2 focus:ring-accent focus:border-transparent resize-none"
-                      placeholder="Tell us about your project..."
-                    ></textarea>
-                  </div>
-                  
-                  <button
-                    type="submit"
-                    className="w-full btn-primary justify-center"
-                  >
-                    Send Message
-                  </button>
-                </form>
+                <ContactForm />
               </div>
             </div>
           </div>
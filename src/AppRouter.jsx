@@ -0,0 +1,50 @@
+/**
+ * AppRouter - picks the top-level page for the current URL
+ * Section routes all render App, which scrolls to the section itself. Also
+ * keeps the document in step with the URL: the route's head tags (see
+ * RouteHead), <html lang>, and a first visit to an unprefixed URL moves to the
+ * visitor's saved language
+ */
+import { lazy, Suspense, useEffect } from 'react'
+import App from './App.jsx'
+import RouteHead from './components/RouteHead'
+import { PAGES } from './data/routes'
+import { DEFAULT_LOCALE } from './data/locales'
+import { useRoute } from './hooks/useRoute'
+import { navigate } from './utils/router'
+import { getPathLocale, getSavedLocale } from './utils/i18n'
+
+const NetworkBackgroundDemo = lazy(() => import('./NetworkBackgroundDemo.jsx'))
+
+const PAGE_COMPONENTS = {
+  [PAGES.HOME]: App,
+  [PAGES.DEMO]: NetworkBackgroundDemo
+}
+
+function AppRouter() {
+  const { location, route } = useRoute()
+  const Page = PAGE_COMPONENTS[route.page]
+
+  // Links to a language always win; only an address without one follows the saved choice
+  useEffect(() => {
+    const saved = getSavedLocale()
+    if (location.action === 'load' && !getPathLocale(location.pathname) && saved && saved !== DEFAULT_LOCALE) {
+      navigate(`${location.pathname}${location.search}${location.hash}`, { locale: saved, replace: true })
+    }
+  }, [location])
+
+  useEffect(() => {
+    document.documentElement.lang = route.locale
+  }, [route.locale])
+
+  return (
+    <>
+      <RouteHead />
+      <Suspense fallback={null}>
+        <Page />
+      </Suspense>
+    </>
+  )
+}
+
+export default AppRouter
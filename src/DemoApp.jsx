@@ -27,73 +27,6 @@ function App() {
     return () => window.removeEventListener('keydown', handleKeyPress)
   }, [])
 
-  // Add structured data for SEO (only for main site)
-  useEffect(() => {
-    if (showDemo) return
-
-    const structuredData = {
-      "@context": "https://schema.org",
-      "@type": "Organization",
-      "name": "TechNova Digital",
-      "alternateName": "TechNova",
-      "url": "https://technova.digital",
-      "logo": "https://technova.digital/logo.png",
-      "description": "Architecting the future of digital experiences with product-led engineering and data-driven design.",
-      "foundingDate": "2020",
-      "founder": {
-        "@type": "Person",
-        "name": "Sarah Johnson"
-      },
-      "address": {
-        "@type": "PostalAddress",
-        "streetAddress": "123 Innovation Drive",
-        "addressLocality": "Tech Valley",
-        "addressRegion": "CA",
-        "postalCode": "94000",
-        "addressCountry": "US"
-      },
-      "contactPoint": {
-        "@type": "ContactPoint",
-        "telephone": "+1-555-123-4567",
-        "contactType": "customer service"
-      },
-      "sameAs": [
-        "https://linkedin.com/company/technova-digital",
-        "https://twitter.com/technova_digital",
-        "https://github.com/technova-digital"
-      ],
-      "service": [
-        {
-          "@type": "Service",
-          "name": "AI & Machine Learning",
-          "description": "Custom ML model development and deployment"
-        },
-        {
-          "@type": "Service", 
-          "name": "Cloud & DevOps",
-          "description": "Scalable, secure cloud infrastructure solutions"
-        },
-        {
-          "@type": "Service",
-          "name": "Web & Mobile Development",
-          "description": "Modern, responsive applications"
-        }
-      ]
-    }
-
-    const script = document.createElement('script')
-    script.type = 'application/ld+json'
-    script.text = JSON.stringify(structuredData)
-    document.head.appendChild(script)
-
-    return () => {
-      const existingScript = document.querySelector('script[type="application/ld+json"]')
-      if (existingScript) {
-        document.head.removeChild(existingScript)
-      }
-    }
-  }, [showDemo])
-
   // Show 3D Network Background Demo
   if (showDemo) {
     return (
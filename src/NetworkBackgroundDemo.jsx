@@ -1,10 +1,10 @@
-import React from 'react';
-import AppDostSphereBackground from './components/AppDostSphereBackground';
+import NetworkDemo from './pages/NetworkDemo';
 
 export default function NetworkBackgroundDemo() {
-  return (
-    <div className="w-full h-screen relative overflow-hidden">
-      <AppDostSphereBackground />
-    </div>
-  );
-}
\ No newline at end of file
+  // Allow ?demo=true&variant=<id>&seed=<seed> to open a specific background and layout
+  const params = new URLSearchParams(window.location.search);
+  const variant = params.get('variant') || undefined;
+  const seed = params.get('seed') || undefined;
+
+  return <NetworkDemo initialVariant={variant} seed={seed} />;
+}
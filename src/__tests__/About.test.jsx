@@ -0,0 +1,52 @@
+/**
+ * Tests for the About section's values and team grids
+ */
+import { describe, it, expect, vi } from 'vitest'
+import { render, screen, fireEvent, within } from '@testing-library/react'
+import About from '../components/About'
+import Avatar from '../components/Avatar'
+
+// Mock framer-motion, dropping animation props so they don't reach the DOM
+vi.mock('framer-motion', async () => {
+  const { forwardRef, createElement } = await vi.importActual('react')
+  const strip = ({ initial: _i, animate: _a, exit: _e, layout: _l, transition: _t, ...props }) => props
+  const element = (tag) => forwardRef(({ children, ...props }, ref) => createElement(tag, { ref, ...strip(props) }, children))
+  return {
+    motion: { div: element('div'), li: element('li') },
+  }
+})
+
+vi.mock('../hooks/usePrefersReducedMotion', () => ({
+  usePrefersReducedMotion: () => false
+}))
+
+describe('About', () => {
+  it('renders the company values and every team member', () => {
+    render(<About />)
+
+    expect(screen.getByText('Innovation First')).toBeInTheDocument()
+    expect(screen.getByText('CTO & Co-Founder')).toBeInTheDocument()
+    expect(screen.getByRole('link', { name: /Emily Rodriguez on LinkedIn/ }))
+      .toHaveAttribute('href', 'https://linkedin.com/in/emilyrodriguez')
+  })
+
+  it('shows initials while team photos are placeholders', () => {
+    render(<About />)
+    const avatar = screen.getByRole('img', { name: 'Sarah Johnson' })
+
+    expect(avatar.tagName).toBe('DIV')
+    expect(within(avatar).getByText('SJ')).toBeInTheDocument()
+  })
+})
+
+describe('Avatar', () => {
+  it('falls back to initials when the photo fails to load', () => {
+    render(<Avatar src="/images/team/david.jpg" name="David Park" />)
+    const photo = screen.getByRole('img', { name: 'David Park' })
+    expect(photo).toHaveAttribute('src', '/images/team/david.jpg')
+
+    fireEvent.error(photo)
+
+    expect(screen.getByRole('img', { name: 'David Park' })).toHaveTextContent('DP')
+  })
+})
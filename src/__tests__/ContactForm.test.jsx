@@ -0,0 +1,167 @@
+/**
+ * Tests for ContactForm component and its submission
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react'
+import ContactForm from '../components/ContactForm'
+import { navigate } from '../utils/router'
+
+const jsonResponse = (status, body = {}) => new Response(JSON.stringify(body), { status })
+
+// The anti-spam check rejects forms sent within a few seconds of appearing
+const waitLikeAPerson = () => {
+  vi.setSystemTime(Date.now() + 5000)
+}
+
+const fillValidForm = () => {
+  fireEvent.change(screen.getByLabelText('Full Name'), { target: { value: 'Asha Verma' } })
+  fireEvent.change(screen.getByLabelText('Email Address'), { target: { value: 'asha@example.com' } })
+  fireEvent.change(screen.getByLabelText('Service Interest'), { target: { value: 'cloud' } })
+  fireEvent.change(screen.getByLabelText('Project Details'), { target: { value: 'We need help moving to the cloud.' } })
+  waitLikeAPerson()
+}
+
+describe('ContactForm', () => {
+  let fetchMock
+
+  beforeEach(() => {
+    fetchMock = vi.fn()
+    vi.stubGlobal('fetch', fetchMock)
+    vi.stubEnv('VITE_CONTACT_API_URL', 'https://api.example.com/contact')
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    vi.useFakeTimers({ toFake: ['Date'] })
+    window.localStorage.clear()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.unstubAllGlobals()
+    vi.unstubAllEnvs()
+    vi.restoreAllMocks()
+    navigate('/', { locale: 'en', replace: true, scroll: false })
+  })
+
+  it('preselects the service named in the URL', () => {
+    navigate('/contact?service=design', { scroll: false })
+    render(<ContactForm />)
+
+    expect(screen.getByLabelText('Service Interest')).toHaveValue('design')
+  })
+
+  it('keeps a service picked after the preselect when the language changes', () => {
+    navigate('/contact?service=design', { scroll: false })
+    render(<ContactForm />)
+    fireEvent.change(screen.getByLabelText('Service Interest'), { target: { value: 'cloud' } })
+
+    act(() => navigate('/contact?service=design', { locale: 'hi', scroll: false }))
+
+    expect(screen.getByLabelText('किस सेवा में रुचि है')).toHaveValue('cloud')
+  })
+
+  it('shows field errors and does not submit an invalid form', () => {
+    render(<ContactForm />)
+    fireEvent.change(screen.getByLabelText('Email Address'), { target: { value: 'not-an-email' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Send Message' }))
+
+    const nameInput = screen.getByLabelText('Full Name')
+    expect(nameInput).toHaveAttribute('aria-invalid', 'true')
+    expect(nameInput).toHaveAccessibleDescription('Please enter your name.')
+    expect(nameInput).toHaveFocus()
+    expect(screen.getByLabelText('Email Address')).toHaveAccessibleDescription(/valid email address/)
+    expect(fetchMock).not.toHaveBeenCalled()
+  })
+
+  it('validates a field when it loses focus', () => {
+    render(<ContactForm />)
+    const message = screen.getByLabelText('Project Details')
+    fireEvent.change(message, { target: { value: 'Hi' } })
+    fireEvent.blur(message)
+
+    expect(message).toHaveAccessibleDescription('Your message should be at least 10 characters.')
+
+    fireEvent.change(message, { target: { value: 'Hi, we have a project for you.' } })
+    expect(message).not.toHaveAttribute('aria-invalid')
+  })
+
+  it('posts the form and shows a success message', async () => {
+    fetchMock.mockResolvedValue(jsonResponse(200, { ok: true }))
+    render(<ContactForm />)
+    fillValidForm()
+    fireEvent.click(screen.getByRole('button', { name: 'Send Message' }))
+
+    expect(screen.getByRole('button', { name: 'Sending...' })).toBeDisabled()
+    expect(await screen.findByRole('status')).toHaveTextContent(/Thanks for reaching out/)
+
+    const [url, init] = fetchMock.mock.calls[0]
+    expect(url).toBe('https://api.example.com/contact')
+    expect(init.method).toBe('POST')
+    expect(JSON.parse(init.body)).toEqual({
+      name: 'Asha Verma',
+      email: 'asha@example.com',
+      company: '',
+      service: 'cloud',
+      message: 'We need help moving to the cloud.',
+      challengeToken: expect.any(String)
+    })
+    expect(screen.getByLabelText('Full Name')).toHaveValue('')
+  })
+
+  it('keeps the values and shows an error when the request is rejected', async () => {
+    fetchMock.mockResolvedValue(jsonResponse(400))
+    render(<ContactForm />)
+    fillValidForm()
+    fireEvent.click(screen.getByRole('button', { name: 'Send Message' }))
+
+    expect(await screen.findByRole('alert')).toHaveTextContent(/couldn't send your message/)
+    // Client errors aren't retried
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+    expect(screen.getByLabelText('Full Name')).toHaveValue('Asha Verma')
+  })
+
+  it('reports an error when no endpoint is configured', async () => {
+    vi.stubEnv('VITE_CONTACT_API_URL', '')
+    render(<ContactForm />)
+    fillValidForm()
+    fireEvent.click(screen.getByRole('button', { name: 'Send Message' }))
+
+    await waitFor(() => expect(screen.getByRole('alert')).toBeInTheDocument())
+    expect(fetchMock).not.toHaveBeenCalled()
+  })
+
+  it('quietly drops submissions that fill in the honeypot', async () => {
+    render(<ContactForm />)
+    fillValidForm()
+    fireEvent.change(screen.getByLabelText('Leave this field empty'), { target: { value: 'https://spam.example' } })
+    fireEvent.click(screen.getByRole('button', { name: 'Send Message' }))
+
+    expect(await screen.findByRole('status')).toHaveTextContent(/Thanks for reaching out/)
+    expect(fetchMock).not.toHaveBeenCalled()
+  })
+
+  it('rejects forms sent too quickly after loading', async () => {
+    render(<ContactForm />)
+    fillValidForm()
+    vi.setSystemTime(Date.now() - 5000)
+    fireEvent.click(screen.getByRole('button', { name: 'Send Message' }))
+
+    expect(await screen.findByRole('alert')).toHaveTextContent(/That was quick/)
+    expect(fetchMock).not.toHaveBeenCalled()
+  })
+
+  it('stops sending after too many recent submissions', async () => {
+    fetchMock.mockImplementation(async () => jsonResponse(200))
+    render(<ContactForm />)
+
+    for (let i = 0; i < 3; i++) {
+      fillValidForm()
+      fireEvent.click(screen.getByRole('button', { name: 'Send Message' }))
+      await screen.findByRole('status')
+    }
+
+    fillValidForm()
+    fireEvent.click(screen.getByRole('button', { name: 'Send Message' }))
+
+    expect(await screen.findByRole('alert')).toHaveTextContent(/sent several messages recently/)
+    expect(fetchMock).toHaveBeenCalledTimes(3)
+  })
+})
@@ -0,0 +1,81 @@
+/**
+ * Tests for the Footer newsletter signup
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { render, screen, fireEvent } from '@testing-library/react'
+import Footer from '../components/Footer'
+import { setNewsletterProvider, NEWSLETTER_RESULTS } from '../services/newsletter'
+
+// Mock framer-motion, dropping animation props so they don't reach the DOM
+vi.mock('framer-motion', () => {
+  const strip = ({ initial: _i, animate: _a, whileHover: _h, whileTap: _t, whileInView: _v, viewport: _vp, transition: _tr, ...props }) => props
+  return {
+    motion: {
+      div: ({ children, ...props }) => <div {...strip(props)}>{children}</div>,
+      p: ({ children, ...props }) => <p {...strip(props)}>{children}</p>,
+      a: ({ children, ...props }) => <a {...strip(props)}>{children}</a>,
+      button: ({ children, ...props }) => <button {...strip(props)}>{children}</button>,
+    },
+  }
+})
+
+vi.mock('../hooks/usePrefersReducedMotion', () => ({
+  usePrefersReducedMotion: () => false
+}))
+
+const subscribe = (email) => {
+  fireEvent.change(screen.getByLabelText('Email address'), { target: { value: email } })
+  // Step past the anti-spam minimum time
+  vi.setSystemTime(Date.now() + 5000)
+  fireEvent.click(screen.getByLabelText('Subscribe to newsletter'))
+}
+
+describe('Footer newsletter', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    window.localStorage.clear()
+  })
+
+  afterEach(() => {
+    setNewsletterProvider(null)
+    vi.useRealTimers()
+  })
+
+  it('shows the message from the provider', async () => {
+    setNewsletterProvider({
+      name: 'fake',
+      subscribe: async () => ({ status: NEWSLETTER_RESULTS.PENDING, message: 'Check your inbox to confirm.' })
+    })
+    render(<Footer />)
+    subscribe('asha@example.com')
+
+    expect(await screen.findByRole('status')).toHaveTextContent('Check your inbox to confirm.')
+    expect(screen.getByLabelText('Email address')).toHaveValue('')
+  })
+
+  it('tells existing subscribers they are already on the list', async () => {
+    setNewsletterProvider({
+      name: 'fake',
+      subscribe: async () => ({ status: NEWSLETTER_RESULTS.ALREADY_SUBSCRIBED })
+    })
+    render(<Footer />)
+    subscribe('asha@example.com')
+
+    expect(await screen.findByRole('status')).toHaveTextContent(/already on the list/)
+  })
+
+  it('reports validation and network problems as alerts', async () => {
+    setNewsletterProvider({
+      name: 'fake',
+      subscribe: async () => { throw new TypeError('Failed to fetch') }
+    })
+    render(<Footer />)
+
+    // Passes the browser's type=email check but not ours
+    subscribe('asha@example')
+    expect(screen.getByRole('alert')).toHaveTextContent(/valid email address/)
+
+    subscribe('asha@example.com')
+    expect(await screen.findByRole('alert')).toHaveTextContent(/couldn't reach our mailing list/)
+  })
+})
@@ -1,9 +1,12 @@
 /**
  * Tests for Header component
  */
-import { describe, it, expect, vi } from 'vitest'
-import { render, screen, fireEvent } from '@testing-library/react'
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { render, screen, fireEvent, act } from '@testing-library/react'
 import Header from '../components/Header'
+import ContentProvider from '../components/ContentProvider'
+import RouteHead from '../components/RouteHead'
+import { navigate } from '../utils/router'
 
 // Mock framer-motion to avoid animation issues in tests
 vi.mock('framer-motion', () => ({
@@ -68,4 +71,71 @@ describe('Header', () => {
     const mobileMenuButton = screen.getByLabelText(/open menu/i)
     expect(mobileMenuButton).toHaveAttribute('aria-expanded', 'false')
   })
-})
\ No newline at end of file
+
+  describe('scroll-spy', () => {
+    const OriginalObserver = global.IntersectionObserver
+    let observerCallback
+
+    const showSection = (id) => {
+      act(() => {
+        observerCallback([{ target: document.getElementById(id), isIntersecting: true }])
+      })
+    }
+
+    afterEach(() => {
+      global.IntersectionObserver = OriginalObserver
+      document.body.innerHTML = ''
+      window.history.replaceState(null, '', '/')
+    })
+
+    it('highlights the section in view and follows it with the URL and title', () => {
+      global.IntersectionObserver = class {
+        constructor(callback) {
+          observerCallback = callback
+        }
+        observe() {}
+        disconnect() {}
+      }
+      ;['hero', 'services', 'projects', 'industries', 'about', 'contact'].forEach((id) => {
+        const section = document.createElement('section')
+        section.id = id
+        document.body.appendChild(section)
+      })
+
+      render(<><RouteHead /><Header /></>)
+      showSection('about')
+
+      const [aboutButton] = screen.getAllByText('About')
+      expect(aboutButton).toHaveAttribute('aria-current', 'page')
+      expect(window.location.pathname).toBe('/about')
+      expect(document.title).toBe('About | AppDost')
+    })
+  })
+
+  describe('language switcher', () => {
+    afterEach(async () => {
+      await act(async () => navigate('/', { locale: 'en', replace: true }))
+      window.localStorage.clear()
+    })
+
+    it('switches to the same page in another language and remembers the choice', async () => {
+      act(() => navigate('/services'))
+      await act(async () => {
+        render(<ContentProvider><RouteHead /><Header /></ContentProvider>)
+      })
+
+      const [hindiLink] = screen.getAllByRole('link', { name: 'हिन्दी' })
+      expect(hindiLink).toHaveAttribute('href', '/hi/services')
+
+      await act(async () => {
+        fireEvent.click(hindiLink)
+      })
+
+      expect(window.location.pathname).toBe('/hi/services')
+      expect(window.localStorage.getItem('appdost:locale')).toBe('hi')
+      expect(screen.getByRole('button', { name: 'सेवाएँ' })).toHaveAttribute('aria-current', 'page')
+      expect(screen.getByText('मुख्य सामग्री पर जाएँ')).toBeInTheDocument()
+      expect(document.title).toBe('सेवाएँ | AppDost')
+    })
+  })
+})
@@ -0,0 +1,70 @@
+/**
+ * Tests for IndustriesGrid component and its tag-matched related work
+ */
+import { describe, it, expect, vi } from 'vitest'
+import { render, screen, fireEvent } from '@testing-library/react'
+import IndustriesGrid from '../components/IndustriesGrid'
+import { findRelated } from '../utils/tags'
+
+// Mock framer-motion, dropping animation props so they don't reach the DOM
+vi.mock('framer-motion', async () => {
+  const { forwardRef, createElement } = await vi.importActual('react')
+  const strip = ({ initial: _i, animate: _a, exit: _e, layout: _l, transition: _t, ...props }) => props
+  const element = (tag) => forwardRef(({ children, ...props }, ref) => createElement(tag, { ref, ...strip(props) }, children))
+  return {
+    motion: { div: element('div'), article: element('article') },
+    AnimatePresence: ({ children }) => <>{children}</>,
+  }
+})
+
+vi.mock('../hooks/usePrefersReducedMotion', () => ({
+  usePrefersReducedMotion: () => false
+}))
+
+describe('IndustriesGrid', () => {
+  it('renders every industry from the content data', () => {
+    render(<IndustriesGrid />)
+
+    expect(screen.getAllByRole('article')).toHaveLength(6)
+    expect(screen.getByText('Healthcare')).toBeInTheDocument()
+    expect(screen.getByText(/HIPAA-compliant solutions/)).toBeInTheDocument()
+  })
+
+  it('expands an industry to show its specialties and related work', () => {
+    render(<IndustriesGrid />)
+    const toggle = screen.getByRole('button', { name: /Show specialties for Healthcare/ })
+    const details = document.getElementById(toggle.getAttribute('aria-controls'))
+
+    expect(toggle).toHaveAttribute('aria-expanded', 'false')
+    expect(details).not.toBeVisible()
+
+    fireEvent.click(toggle)
+
+    expect(toggle).toHaveAttribute('aria-expanded', 'true')
+    expect(details).toBeVisible()
+    expect(screen.getByText('Telemedicine')).toBeInTheDocument()
+    expect(screen.getByRole('link', { name: 'Healthcare IoT Dashboard' })).toHaveAttribute('href', '/projects?project=2')
+    expect(screen.getByRole('link', { name: 'Cybersecurity' })).toHaveAttribute('href', '/services/security')
+  })
+
+  it('keeps only one industry expanded at a time', () => {
+    render(<IndustriesGrid />)
+    fireEvent.click(screen.getByRole('button', { name: /for Healthcare/ }))
+    fireEvent.click(screen.getByRole('button', { name: /for Retail/ }))
+
+    expect(screen.getByRole('button', { name: /for Healthcare/ })).toHaveAttribute('aria-expanded', 'false')
+    expect(screen.getByRole('button', { name: /for Retail/ })).toHaveAttribute('aria-expanded', 'true')
+  })
+})
+
+describe('findRelated', () => {
+  it('orders candidates by shared tags and drops unrelated ones', () => {
+    const item = { tags: ['a', 'b'] }
+    const one = { tags: ['a'] }
+    const two = { tags: ['a', 'b'] }
+    const none = { tags: ['c'] }
+
+    expect(findRelated(item, [one, none, two, item])).toEqual([two, one])
+    expect(findRelated(item, [one, two], 1)).toEqual([two])
+  })
+})
@@ -0,0 +1,197 @@
+/**
+ * Tests for NetworkBackground component
+ */
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { render, screen, act } from '@testing-library/react'
+import NetworkBackground from '../components/NetworkBackground'
+import BackgroundCanvas from '../components/BackgroundCanvas'
+import Canvas2DRingNetwork from '../components/Canvas2DRingNetwork'
+import { BackgroundActivityContext } from '../hooks/useBackgroundActivity'
+import { useHasFinePointer } from '../hooks/useHasFinePointer'
+
+vi.mock('../hooks/useHasFinePointer', () => ({ useHasFinePointer: vi.fn(() => false) }))
+
+// Mock the registry with lightweight renderers
+vi.mock('../data/backgrounds', async () => {
+  const { useBackgroundActivity } = await vi.importActual('../hooks/useBackgroundActivity')
+  const ActivityRenderer = () => {
+    const { interactive, isActive } = useBackgroundActivity()
+    return <div data-testid="renderer">interactive:{String(interactive)} active:{String(isActive)}</div>
+  }
+  const FakeRenderer = ({ label, nodeCount }) => (
+    <div data-testid="renderer">{label}:{nodeCount}</div>
+  )
+  const BrokenRenderer = () => {
+    throw new Error('WebGL context could not be created')
+  }
+  const variants = [
+    { id: 'broken', name: 'Broken', renderer: 'three', load: async () => ({ default: BrokenRenderer }), props: {} },
+    { id: 'first', name: 'First', renderer: 'three', load: async () => ({ default: FakeRenderer }), props: { label: 'first', nodeCount: 10 } },
+    { id: 'second', name: 'Second', renderer: 'canvas2d', load: async () => ({ default: FakeRenderer }), props: { label: 'second', nodeCount: 20 } },
+    { id: 'activity', name: 'Activity', renderer: 'canvas2d', load: async () => ({ default: ActivityRenderer }), props: {} },
+    { id: 'particles', name: 'Particles', renderer: 'tsparticles', load: async () => ({ default: FakeRenderer }), props: { label: 'particles', nodeCount: 30 } },
+  ]
+  return {
+    DEFAULT_BACKGROUND_VARIANT: 'first',
+    backgroundVariants: variants,
+    getBackgroundVariant: (id) => variants.find((variant) => variant.id === id),
+    getReducedMotionStrategy: (variant) => (variant.renderer === 'tsparticles' ? 'poster' : 'still'),
+    getFallbackChain: (variant) => [
+      { tier: variant.renderer === 'three' ? 'webgl' : 'canvas2d', variant },
+      ...(variant.renderer === 'three' ? [{ tier: 'canvas2d', variant: variants[2] }] : []),
+      { tier: 'css', variant: null },
+    ],
+  }
+})
+
+// Stand-in for the R3F canvas that shows which frame loop it was given
+vi.mock('@react-three/fiber', () => ({
+  Canvas: ({ frameloop }) => <div data-testid="canvas" data-frameloop={frameloop} />,
+  useFrame: () => {},
+}))
+
+vi.mock('../utils/webgl', () => ({
+  RENDERER_TIERS: { WEBGL: 'webgl', CANVAS_2D: 'canvas2d', CSS: 'css' },
+  supportsRendererTier: () => true,
+}))
+
+describe('NetworkBackground', () => {
+  it('renders the requested variant with its declared props', async () => {
+    render(<NetworkBackground variant="second" />)
+
+    expect(await screen.findByTestId('renderer')).toHaveTextContent('second:20')
+  })
+
+  it('lets callers override tunable props', async () => {
+    render(<NetworkBackground variant="second" nodeCount={99} />)
+
+    expect(await screen.findByTestId('renderer')).toHaveTextContent('second:99')
+  })
+
+  it('keeps still-frame renderers mounted under reduced motion', async () => {
+    render(<NetworkBackground variant="second" reducedMotion />)
+
+    expect(await screen.findByTestId('renderer')).toHaveTextContent('second:20')
+  })
+
+  it('shows the poster instead of poster-strategy renderers under reduced motion', async () => {
+    const { container } = render(<NetworkBackground variant="particles" reducedMotion />)
+
+    await new Promise((resolve) => setTimeout(resolve, 20))
+    expect(screen.queryByTestId('renderer')).not.toBeInTheDocument()
+    expect(container.querySelector('[aria-hidden="true"]')).toBeInTheDocument()
+  })
+
+  it('falls back to the default variant for unknown ids', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    render(<NetworkBackground variant="missing" />)
+
+    expect(await screen.findByTestId('renderer')).toHaveTextContent('first:10')
+    expect(warn).toHaveBeenCalled()
+    warn.mockRestore()
+  })
+
+  it('falls back to the next renderer in the chain when one fails', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {})
+    const onRendererChange = vi.fn()
+    render(<NetworkBackground variant="broken" onRendererChange={onRendererChange} />)
+
+    expect(await screen.findByTestId('renderer')).toHaveTextContent('second:20')
+    expect(onRendererChange).toHaveBeenLastCalledWith('canvas2d')
+    warn.mockRestore()
+    error.mockRestore()
+  })
+
+  it('enables interaction only with a fine pointer and full motion', async () => {
+    useHasFinePointer.mockReturnValue(true)
+    const { unmount } = render(<NetworkBackground variant="activity" interactive />)
+    expect(await screen.findByTestId('renderer')).toHaveTextContent('interactive:true active:true')
+    unmount()
+
+    render(<NetworkBackground variant="activity" interactive reducedMotion />)
+    expect(await screen.findByTestId('renderer')).toHaveTextContent('interactive:false')
+  })
+
+  it('keeps touch devices non-interactive', async () => {
+    useHasFinePointer.mockReturnValue(false)
+    render(<NetworkBackground variant="activity" interactive />)
+
+    expect(await screen.findByTestId('renderer')).toHaveTextContent('interactive:false')
+  })
+
+  describe('pausing', () => {
+    const setHidden = (hidden) => {
+      Object.defineProperty(document, 'hidden', { configurable: true, get: () => hidden })
+      act(() => {
+        document.dispatchEvent(new Event('visibilitychange'))
+      })
+    }
+
+    afterEach(() => {
+      delete document.hidden
+    })
+
+    it('stops the background while the caller reports it covered', async () => {
+      const { rerender } = render(<NetworkBackground variant="activity" />)
+      expect(await screen.findByTestId('renderer')).toHaveTextContent('active:true')
+
+      rerender(<NetworkBackground variant="activity" paused />)
+      expect(screen.getByTestId('renderer')).toHaveTextContent('active:false')
+    })
+
+    it('stops the background while the tab is hidden and resumes when it returns', async () => {
+      render(<NetworkBackground variant="activity" />)
+      expect(await screen.findByTestId('renderer')).toHaveTextContent('active:true')
+
+      setHidden(true)
+      expect(screen.getByTestId('renderer')).toHaveTextContent('active:false')
+
+      setHidden(false)
+      expect(screen.getByTestId('renderer')).toHaveTextContent('active:true')
+    })
+
+    it('switches the WebGL canvas to on-demand frames while inactive', () => {
+      const renderCanvas = (isActive) => (
+        <BackgroundActivityContext.Provider value={{ isActive, reducedMotion: false, interactive: false }}>
+          <BackgroundCanvas adaptive={false} />
+        </BackgroundActivityContext.Provider>
+      )
+      const { rerender } = render(renderCanvas(true))
+      expect(screen.getByTestId('canvas')).toHaveAttribute('data-frameloop', 'always')
+
+      rerender(renderCanvas(false))
+      expect(screen.getByTestId('canvas')).toHaveAttribute('data-frameloop', 'demand')
+    })
+
+    it('stops the Canvas 2D animation loop while inactive', () => {
+      // A 2D context whose every method is a no-op returning the context again
+      const context = new Proxy({}, {
+        get: (target, key) => key in target ? target[key] : () => context,
+        set: (target, key, value) => {
+          target[key] = value
+          return true
+        },
+      })
+      const getContext = vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(context)
+      const requestFrame = vi.spyOn(global, 'requestAnimationFrame').mockReturnValue(1)
+      const cancelFrame = vi.spyOn(global, 'cancelAnimationFrame').mockImplementation(() => {})
+      const renderRing = (isActive) => (
+        <BackgroundActivityContext.Provider value={{ isActive, reducedMotion: false, interactive: false }}>
+          <Canvas2DRingNetwork />
+        </BackgroundActivityContext.Provider>
+      )
+
+      const { rerender } = render(renderRing(true))
+      expect(requestFrame).toHaveBeenCalledTimes(1)
+
+      rerender(renderRing(false))
+      expect(cancelFrame).toHaveBeenCalledWith(1)
+      expect(requestFrame).toHaveBeenCalledTimes(1)
+
+      getContext.mockRestore()
+      requestFrame.mockRestore()
+      cancelFrame.mockRestore()
+    })
+  })
+})
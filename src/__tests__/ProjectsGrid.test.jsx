@@ -0,0 +1,108 @@
+/**
+ * Tests for ProjectsGrid component and its case study modal
+ */
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { render, screen, fireEvent, within } from '@testing-library/react'
+import ProjectsGrid from '../components/ProjectsGrid'
+import { ContentContext } from '../hooks/useContent'
+import { getBundledContent } from '../services/contentSource'
+import { navigate } from '../utils/router'
+
+// Mock framer-motion, dropping animation props so they don't reach the DOM
+vi.mock('framer-motion', async () => {
+  const { forwardRef, createElement } = await vi.importActual('react')
+  const strip = ({ initial: _i, animate: _a, exit: _e, layout: _l, transition: _t, ...props }) => props
+  const element = (tag) => forwardRef(({ children, ...props }, ref) => createElement(tag, { ref, ...strip(props) }, children))
+  return {
+    motion: { div: element('div'), article: element('article') },
+    AnimatePresence: ({ children }) => <>{children}</>,
+  }
+})
+
+vi.mock('../hooks/usePrefersReducedMotion', () => ({
+  usePrefersReducedMotion: () => false
+}))
+
+describe('ProjectsGrid', () => {
+  afterEach(() => {
+    navigate('/', { locale: 'en', replace: true, scroll: false })
+  })
+
+  it('renders every project with its key metrics', () => {
+    render(<ProjectsGrid />)
+
+    expect(screen.getAllByRole('article')).toHaveLength(3)
+    expect(screen.getByText('FinTech AI Platform')).toBeInTheDocument()
+    expect(screen.getByText('99.2%')).toBeInTheDocument()
+  })
+
+  it('filters projects by category', () => {
+    render(<ProjectsGrid />)
+    fireEvent.click(screen.getByRole('button', { name: 'UI/UX' }))
+
+    expect(screen.getByRole('button', { name: 'UI/UX' })).toHaveAttribute('aria-pressed', 'true')
+    expect(screen.getAllByRole('article')).toHaveLength(1)
+    expect(screen.getByText('E-commerce Optimization')).toBeInTheDocument()
+    expect(screen.queryByText('FinTech AI Platform')).not.toBeInTheDocument()
+  })
+
+  it('shows the translated projects and category labels in Hindi', () => {
+    navigate('/projects', { locale: 'hi', scroll: false })
+    render(
+      <ContentContext.Provider value={getBundledContent('hi')}>
+        <ProjectsGrid />
+      </ContentContext.Provider>
+    )
+    fireEvent.click(screen.getByRole('button', { name: 'वेब डेवलपमेंट' }))
+
+    expect(screen.getAllByRole('article')).toHaveLength(1)
+    expect(screen.getByText('हेल्थकेयर IoT डैशबोर्ड')).toBeInTheDocument()
+    expect(screen.getByText('प्रतिक्रिया समय में कमी')).toBeInTheDocument()
+  })
+
+  it('opens the case study in a dialog and returns focus when closed', () => {
+    render(<ProjectsGrid />)
+    const trigger = screen.getByRole('button', { name: /View case study: Healthcare IoT Dashboard/ })
+    trigger.focus()
+    fireEvent.click(trigger)
+
+    const dialog = screen.getByRole('dialog', { name: 'Healthcare IoT Dashboard' })
+    expect(within(dialog).getByText('The Problem')).toBeInTheDocument()
+    expect(within(dialog).getByText(/Manual patient monitoring/)).toBeInTheDocument()
+    expect(within(dialog).getByRole('button', { name: 'Close dialog' })).toHaveFocus()
+    expect(document.body.style.overflow).toBe('hidden')
+
+    fireEvent.keyDown(dialog, { key: 'Escape' })
+
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument()
+    expect(trigger).toHaveFocus()
+    expect(document.body.style.overflow).toBe('')
+  })
+
+  it('keeps Tab focus inside the dialog', () => {
+    render(<ProjectsGrid />)
+    fireEvent.click(screen.getByRole('button', { name: /View case study: FinTech AI Platform/ }))
+
+    const dialog = screen.getByRole('dialog')
+    const closeButton = within(dialog).getByRole('button', { name: 'Close dialog' })
+    const liveLink = within(dialog).getByRole('link', { name: /View live project/ })
+
+    liveLink.focus()
+    fireEvent.keyDown(dialog, { key: 'Tab' })
+    expect(closeButton).toHaveFocus()
+
+    fireEvent.keyDown(dialog, { key: 'Tab', shiftKey: true })
+    expect(liveLink).toHaveFocus()
+  })
+
+  it('opens the project named in the URL and clears it on close', () => {
+    navigate('/projects?project=3', { scroll: false })
+    render(<ProjectsGrid />)
+
+    const dialog = screen.getByRole('dialog', { name: 'E-commerce Optimization' })
+    fireEvent.keyDown(dialog, { key: 'Escape' })
+
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument()
+    expect(window.location.pathname + window.location.search).toBe('/projects')
+  })
+})
@@ -0,0 +1,105 @@
+/**
+ * Tests for ServicesGrid component and the per-service detail view
+ */
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { render, screen, fireEvent, within } from '@testing-library/react'
+import ServicesGrid from '../components/ServicesGrid'
+import { navigate } from '../utils/router'
+
+// Mock framer-motion, dropping animation props so they don't reach the DOM
+vi.mock('framer-motion', async () => {
+  const { forwardRef, createElement } = await vi.importActual('react')
+  const strip = ({ initial: _i, animate: _a, exit: _e, layout: _l, transition: _t, variants: _v, whileHover: _h, whileTap: _p, ...props }) => props
+  const element = (tag) => forwardRef(({ children, ...props }, ref) => createElement(tag, { ref, ...strip(props) }, children))
+  return {
+    motion: { div: element('div'), article: element('article'), button: element('button') },
+    AnimatePresence: ({ children }) => <>{children}</>,
+  }
+})
+
+vi.mock('../hooks/usePrefersReducedMotion', () => ({
+  usePrefersReducedMotion: () => false
+}))
+
+describe('ServicesGrid', () => {
+  afterEach(() => {
+    navigate('/', { replace: true, scroll: false })
+  })
+
+  it('links each card to its service page', () => {
+    render(<ServicesGrid />)
+    fireEvent.click(screen.getByRole('link', { name: 'Cloud & DevOps' }))
+
+    expect(window.location.pathname).toBe('/services/cloud')
+    expect(screen.getByRole('dialog', { name: 'Cloud & DevOps' })).toBeInTheDocument()
+  })
+
+  it('shows the service named in the URL with related projects and a contact link', () => {
+    navigate('/services/ai-ml', { scroll: false })
+    render(<ServicesGrid />)
+
+    const dialog = screen.getByRole('dialog', { name: 'AI & Machine Learning' })
+    expect(within(dialog).getByText('Custom ML model development and deployment')).toBeInTheDocument()
+    expect(within(dialog).getByText('TensorFlow')).toBeInTheDocument()
+    expect(within(dialog).getByRole('link', { name: 'FinTech AI Platform' })).toHaveAttribute('href', '/projects?project=1')
+    expect(within(dialog).getByRole('link', { name: /Discuss your AI & Machine Learning project/ }))
+      .toHaveAttribute('href', '/contact?service=ai-ml')
+  })
+
+  it('returns to /services when the detail view is closed', () => {
+    navigate('/services/security', { scroll: false })
+    render(<ServicesGrid />)
+
+    fireEvent.click(screen.getByRole('button', { name: 'Close dialog' }))
+
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument()
+    expect(window.location.pathname).toBe('/services')
+  })
+
+  it('narrows the grid to the selected categories and mirrors them in the URL', () => {
+    render(<ServicesGrid />)
+    const filters = within(screen.getByRole('group', { name: 'Filter services by category' }))
+
+    expect(filters.getAllByRole('button').map((chip) => chip.textContent)).toEqual(['AI & Data', 'Cloud', 'Apps & Design', 'Security'])
+
+    fireEvent.click(filters.getByRole('button', { name: 'AI & Data' }))
+    expect(screen.getAllByRole('article')).toHaveLength(2)
+    expect(screen.getByRole('link', { name: 'AI & Machine Learning' })).toBeInTheDocument()
+    expect(screen.getByRole('link', { name: 'MLOps' })).toBeInTheDocument()
+
+    fireEvent.click(filters.getByRole('button', { name: 'Security' }))
+
+    expect(filters.getByRole('button', { name: 'AI & Data' })).toHaveAttribute('aria-pressed', 'true')
+    expect(screen.getAllByRole('article')).toHaveLength(3)
+    expect(screen.getByText('Showing 3 of 6 services.')).toBeInTheDocument()
+    expect(window.location.search).toBe('?category=ai&category=security')
+
+    fireEvent.click(screen.getByRole('button', { name: 'Clear filters' }))
+
+    expect(screen.getAllByRole('article')).toHaveLength(6)
+    expect(window.location.pathname + window.location.search).toBe('/services')
+  })
+
+  it('searches titles, bullets and technologies', () => {
+    render(<ServicesGrid />)
+    const search = screen.getByLabelText('Search services')
+
+    fireEvent.change(search, { target: { value: 'kubernetes' } })
+    expect(screen.getAllByRole('article')).toHaveLength(1)
+    expect(screen.getByRole('link', { name: 'Cloud & DevOps' })).toBeInTheDocument()
+    expect(window.location.search).toBe('?q=kubernetes')
+
+    fireEvent.change(search, { target: { value: 'blockchain' } })
+    expect(screen.queryAllByRole('article')).toHaveLength(0)
+    expect(screen.getByText(/No services match your filters/)).toBeInTheDocument()
+  })
+
+  it('applies filters from the URL', () => {
+    navigate('/services?category=apps&q=figma', { scroll: false })
+    render(<ServicesGrid />)
+
+    expect(screen.getByLabelText('Search services')).toHaveValue('figma')
+    expect(screen.getAllByRole('article')).toHaveLength(1)
+    expect(screen.getByRole('link', { name: 'UI/UX Design' })).toBeInTheDocument()
+  })
+})
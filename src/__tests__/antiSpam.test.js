@@ -0,0 +1,73 @@
+/**
+ * Tests for the anti-spam checks
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  checkSubmission,
+  recordSubmission,
+  solveProofOfWork,
+  setChallengeProvider,
+  proofOfWorkProvider,
+  SPAM_REASONS,
+  HONEYPOT_FIELD
+} from '../services/antiSpam'
+import { hashString } from '../utils/random'
+
+const NOW = 1_700_000_000_000
+
+describe('checkSubmission', () => {
+  beforeEach(() => {
+    window.localStorage.clear()
+  })
+
+  afterEach(() => {
+    setChallengeProvider(null)
+    vi.restoreAllMocks()
+  })
+
+  it('passes a normal submission with a challenge token', async () => {
+    const result = await checkSubmission('test', { values: {}, startedAt: NOW - 10000, now: NOW })
+
+    expect(result.ok).toBe(true)
+    expect(result.token).toEqual(expect.any(String))
+  })
+
+  it('flags honeypot, too-fast and rate-limited submissions', async () => {
+    const startedAt = NOW - 10000
+
+    expect(await checkSubmission('test', { values: { [HONEYPOT_FIELD]: 'x' }, startedAt, now: NOW }))
+      .toEqual({ ok: false, reason: SPAM_REASONS.HONEYPOT })
+    expect(await checkSubmission('test', { values: {}, startedAt: NOW - 1000, now: NOW }))
+      .toEqual({ ok: false, reason: SPAM_REASONS.TOO_FAST })
+
+    recordSubmission('test', { now: NOW - 2000 })
+    recordSubmission('test', { now: NOW - 1000 })
+    const rules = { maxSubmissions: 2 }
+    expect(await checkSubmission('test', { values: {}, startedAt, rules, now: NOW }))
+      .toEqual({ ok: false, reason: SPAM_REASONS.RATE_LIMITED })
+    // Old submissions fall out of the window, and other forms have their own count
+    expect((await checkSubmission('test', { values: {}, startedAt, rules, now: NOW + 60 * 60 * 1000 })).ok).toBe(true)
+    expect((await checkSubmission('other', { values: {}, startedAt, rules, now: NOW })).ok).toBe(true)
+  })
+
+  it('uses the configured challenge provider and reports its failures', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    setChallengeProvider({ name: 'fake', getToken: async () => 'fake-token' })
+    expect(await checkSubmission('test', { values: {}, startedAt: 0, now: NOW })).toEqual({ ok: true, token: 'fake-token' })
+
+    setChallengeProvider({ name: 'broken', getToken: async () => { throw new Error('offline') } })
+    expect(await checkSubmission('test', { values: {}, startedAt: 0, now: NOW }))
+      .toEqual({ ok: false, reason: SPAM_REASONS.CHALLENGE_FAILED })
+  })
+})
+
+describe('proof-of-work challenge', () => {
+  it('finds a nonce the server can verify with one hash', async () => {
+    const nonce = solveProofOfWork('challenge', 8)
+    expect(hashString(`challenge:${nonce}`)).toBeLessThan(2 ** 24)
+
+    const token = await proofOfWorkProvider.getToken()
+    const separator = token.lastIndexOf(':')
+    expect(hashString(`${token.slice(0, separator)}:${token.slice(separator + 1)}`)).toBeLessThan(2 ** 20)
+  })
+})
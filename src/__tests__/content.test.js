@@ -0,0 +1,72 @@
+/**
+ * Tests for the content schemas and the data they check
+ */
+import { describe, it, expect } from 'vitest'
+import * as content from '../data/content'
+import { validateContent } from '../data/contentSchema'
+import { LOCALE_CODES } from '../data/locales'
+import { SEVERITY } from '../utils/schema'
+
+const errorsIn = (data) => {
+  return validateContent(data).filter((issue) => issue.severity === SEVERITY.ERROR)
+}
+
+describe('data/content', () => {
+  it('matches its schemas', () => {
+    expect(errorsIn(content)).toEqual([])
+  })
+
+  it('matches its schemas in every language', () => {
+    LOCALE_CODES.forEach((code) => {
+      expect(errorsIn(content.getLocalizedContent(code))).toEqual([])
+    })
+  })
+})
+
+describe('validateContent', () => {
+  it('reports missing fields, unknown fields and bad values by path', () => {
+    const [first, ...rest] = content.services
+    const data = { ...content, services: [{ ...first, title: '', colour: 'red', icon: undefined }, ...rest] }
+
+    expect(errorsIn(data)).toEqual([
+      expect.objectContaining({ path: 'services[0].title', message: expect.stringContaining('non-empty string') }),
+      expect.objectContaining({ path: 'services[0].icon', message: 'expected a component, got undefined' }),
+      expect.objectContaining({ path: 'services[0].colour', message: 'unknown field' })
+    ])
+  })
+
+  it('checks URLs and flags placeholder images as warnings', () => {
+    const [first, ...rest] = content.team
+    const data = { ...content, team: [{ ...first, linkedin: 'linkedin.com/in/someone' }, ...rest] }
+    const issues = validateContent(data)
+
+    expect(issues).toContainEqual(expect.objectContaining({ path: 'team[0].linkedin', severity: SEVERITY.ERROR }))
+    expect(issues).toContainEqual(expect.objectContaining({ path: 'team[0].image', severity: SEVERITY.WARNING }))
+  })
+
+  it('reports duplicate ids and slugs', () => {
+    const [first, second, ...rest] = content.services
+    const data = { ...content, services: [first, { ...second, id: first.id, slug: first.slug }, ...rest] }
+
+    expect(errorsIn(data).map((issue) => issue.path)).toEqual(['services[1].id', 'services[1].slug'])
+  })
+
+  it('reports navigation without a route and figures that disagree', () => {
+    const data = {
+      ...content,
+      navigation: [...content.navigation, { name: 'Blog', href: '/blog' }],
+      company: { ...content.company, employees: '90+' }
+    }
+
+    expect(errorsIn(data).map((issue) => issue.path)).toEqual([
+      `navigation[${content.navigation.length}].href`,
+      'metrics[3].value'
+    ])
+  })
+
+  it('checks a metric against its company figure whatever the metric is called', () => {
+    const metrics = content.metrics.map((metric) => metric.companyField ? { ...metric, label: 'टीम का आकार', value: 90 } : metric)
+
+    expect(errorsIn({ ...content, metrics }).map((issue) => issue.path)).toEqual(['metrics[3].value'])
+  })
+})
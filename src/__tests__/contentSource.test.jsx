@@ -0,0 +1,129 @@
+/**
+ * Tests for the content sources and ContentProvider
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { render, screen, waitFor } from '@testing-library/react'
+import { FaCloud } from 'react-icons/fa'
+import * as bundled from '../data/content'
+import { createRemoteSource, setContentSource, getContentSource } from '../services/contentSource'
+import { useContent } from '../hooks/useContent'
+import ContentProvider from '../components/ContentProvider'
+
+const jsonResponse = (status, body) => new Response(JSON.stringify(body), { status })
+
+const remoteServices = [{ ...bundled.services[1], title: 'Cloud Platforms', icon: 'FaCloud' }]
+
+describe('createRemoteSource', () => {
+  let fetchMock
+
+  beforeEach(() => {
+    fetchMock = vi.fn()
+    vi.stubGlobal('fetch', fetchMock)
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    window.localStorage.clear()
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.unstubAllEnvs()
+    vi.restoreAllMocks()
+  })
+
+  it('swaps in the collections it receives, resolving icon names', async () => {
+    fetchMock.mockResolvedValue(jsonResponse(200, { services: remoteServices, about: '---\ntitle: About\nhighlight: Us\n---\nHello.\n\n## Story\n\nSince 2018.' }))
+
+    const content = await createRemoteSource('https://cms.example.com/content').load()
+
+    expect(content.services).toEqual([{ ...remoteServices[0], icon: FaCloud }])
+    expect(content.about).toEqual({ title: 'About', highlight: 'Us', intro: ['Hello.'], sections: [{ title: 'Story', paragraphs: ['Since 2018.'] }] })
+    expect(content.projects).toBe(bundled.projects)
+  })
+
+  it('keeps the bundled copy of a collection that fails its schema', async () => {
+    fetchMock.mockResolvedValue(jsonResponse(200, { services: [{ ...remoteServices[0], icon: 'FaUnknown' }] }))
+
+    const content = await createRemoteSource('https://cms.example.com/content').load()
+
+    expect(content.services).toBe(bundled.services)
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('services[0].icon'))
+  })
+
+  it('only warns about rejected content in development', async () => {
+    vi.stubEnv('DEV', false)
+    fetchMock.mockResolvedValue(jsonResponse(200, { services: [{ ...remoteServices[0], icon: 'FaUnknown' }] }))
+
+    const content = await createRemoteSource('https://cms.example.com/content').load()
+
+    expect(content.services).toBe(bundled.services)
+    expect(console.warn).not.toHaveBeenCalled()
+  })
+
+  it('keeps the bundled copy of a collection that breaks a rule spanning collections', async () => {
+    const duplicateSlug = { ...bundled.services[0], id: 99, icon: 'FaCloud' }
+    fetchMock.mockResolvedValue(jsonResponse(200, {
+      services: [...remoteServices, { ...duplicateSlug, slug: remoteServices[0].slug }],
+      projects: bundled.projects
+    }))
+
+    const content = await createRemoteSource('https://cms.example.com/content').load()
+
+    expect(content.services).toBe(bundled.services)
+    expect(content.projects).toEqual(bundled.projects)
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('duplicate slug'))
+  })
+
+  it('serves fresh content from the cache without a request', async () => {
+    fetchMock.mockResolvedValue(jsonResponse(200, { services: remoteServices }))
+    const source = createRemoteSource('https://cms.example.com/content')
+
+    await source.load()
+    const content = await source.load()
+
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+    expect(content.services[0].title).toBe('Cloud Platforms')
+  })
+
+  it('asks for other languages with ?locale= and fills gaps from that translation', async () => {
+    fetchMock.mockResolvedValue(jsonResponse(200, { services: remoteServices }))
+
+    const content = await createRemoteSource('https://cms.example.com/content').load('hi')
+
+    expect(fetchMock.mock.calls[0][0]).toBe('https://cms.example.com/content?locale=hi')
+    expect(content.services[0].title).toBe('Cloud Platforms')
+    expect(content.industries).toBe(bundled.getLocalizedContent('hi').industries)
+    expect(window.localStorage.getItem('appdost:content:hi')).not.toBeNull()
+  })
+
+  it('falls back to stale cache, then bundled content, when the request fails', async () => {
+    fetchMock.mockRejectedValue(new TypeError('Failed to fetch'))
+    const requestOptions = { retries: 0 }
+
+    const withoutCache = await createRemoteSource('https://cms.example.com/content', { requestOptions }).load()
+    expect(withoutCache.services).toBe(bundled.services)
+
+    window.localStorage.setItem('appdost:content', JSON.stringify({ savedAt: 0, data: { services: remoteServices } }))
+    const withStaleCache = await createRemoteSource('https://cms.example.com/content', { requestOptions }).load()
+    expect(withStaleCache.services[0].title).toBe('Cloud Platforms')
+  })
+})
+
+describe('ContentProvider', () => {
+  afterEach(() => {
+    setContentSource(null)
+  })
+
+  const ServiceTitles = () => {
+    const services = useContent('services')
+    return <p>{services.map((service) => service.title).join(', ')}</p>
+  }
+
+  it('renders bundled content first and the source content once loaded', async () => {
+    expect(getContentSource().name).toBe('bundled')
+    setContentSource({ name: 'test', load: async () => ({ ...bundled, services: [{ ...bundled.services[0], title: 'Applied AI' }] }) })
+
+    render(<ContentProvider><ServiceTitles /></ContentProvider>)
+
+    expect(screen.getByText(/AI & Machine Learning, Cloud & DevOps/)).toBeInTheDocument()
+    await waitFor(() => expect(screen.getByText('Applied AI')).toBeInTheDocument())
+  })
+})
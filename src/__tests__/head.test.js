@@ -0,0 +1,104 @@
+/**
+ * Tests for the document head manager and the route heads it's given
+ */
+import { describe, it, expect, afterEach } from 'vitest'
+import { applyHead, renderHead } from '../utils/head'
+import { matchRoute, getRouteHead } from '../data/routes'
+import { company, services, getLocalizedContent } from '../data/content'
+
+const headTags = () => [...document.head.querySelectorAll('title, meta, link')]
+
+describe('getRouteHead', () => {
+  it('describes a detail view from its content, with absolute URLs', () => {
+    const [service] = services
+    const head = getRouteHead(matchRoute({ pathname: `/services/${service.slug}`, search: '?utm_source=x' }))
+
+    expect(head).toMatchObject({
+      title: `${service.title} | AppDost`,
+      description: service.description,
+      canonical: `${company.url}/services/${service.slug}`,
+      image: `${company.url}${company.logo}`,
+      robots: 'index, follow',
+      locale: 'en_US'
+    })
+    expect(head.alternates).toContainEqual({ hreflang: 'hi', href: `${company.url}/hi/services/${service.slug}` })
+  })
+
+  it('reads the content it is given rather than the bundled copy', () => {
+    const [service, ...rest] = services
+    const content = { ...getLocalizedContent(), services: [{ ...service, title: 'Served title' }, ...rest] }
+    const head = getRouteHead(matchRoute({ pathname: `/services/${service.slug}` }), content)
+
+    expect(head).toMatchObject({ title: 'Served title | AppDost', canonical: `${company.url}/services/${service.slug}` })
+  })
+
+  it('uses the route language and keeps noIndex and unknown pages out of search results', () => {
+    expect(getRouteHead(matchRoute({ pathname: '/hi/contact' }))).toMatchObject({
+      title: 'संपर्क | AppDost',
+      canonical: `${company.url}/hi/contact`,
+      locale: 'hi_IN'
+    })
+    expect(getRouteHead(matchRoute({ pathname: '/demo' })).robots).toBe('noindex, nofollow')
+
+    const unknown = getRouteHead(matchRoute({ pathname: '/nowhere' }))
+    expect(unknown).toMatchObject({ robots: 'noindex, nofollow', canonical: null, alternates: [] })
+
+    const unknownService = getRouteHead(matchRoute({ pathname: '/services/not-a-service' }))
+    expect(unknownService).toMatchObject({ title: 'Services | AppDost', robots: 'noindex, nofollow', canonical: null, alternates: [] })
+  })
+})
+
+describe('applyHead', () => {
+  afterEach(() => {
+    document.head.innerHTML = ''
+    document.title = ''
+  })
+
+  it('updates existing tags in place instead of adding duplicates', () => {
+    document.head.innerHTML = [
+      '<meta name="description" content="From index.html">',
+      '<meta name="description" content="Stray copy">',
+      '<meta name="author" content="AppDost">'
+    ].join('')
+
+    applyHead({ title: 'First', description: 'One', canonical: 'https://example.com/one' })
+    applyHead({ title: 'Second', description: 'Two', canonical: 'https://example.com/two' })
+
+    expect(document.title).toBe('Second')
+    expect(document.head.querySelectorAll('meta[name="description"]')).toHaveLength(1)
+    expect(document.head.querySelector('meta[name="description"]')).toHaveAttribute('content', 'Two')
+    expect(document.head.querySelectorAll('link[rel="canonical"]')).toHaveLength(1)
+    expect(document.head.querySelector('meta[name="author"]')).toBeInTheDocument()
+  })
+
+  it('removes tags the next page no longer declares', () => {
+    applyHead({
+      title: 'Page',
+      canonical: 'https://example.com/page',
+      alternates: [{ hreflang: 'hi', href: 'https://example.com/hi/page' }]
+    })
+    applyHead({ title: 'Unknown', robots: 'noindex' })
+
+    expect(document.head.querySelector('link[rel="canonical"]')).toBeNull()
+    expect(document.head.querySelector('link[hreflang]')).toBeNull()
+    expect(document.head.querySelector('meta[name="robots"]')).toHaveAttribute('content', 'noindex')
+  })
+
+  it('writes the same tags renderHead prerenders', () => {
+    const head = getRouteHead(matchRoute({ pathname: '/about' }))
+    applyHead(head)
+    const applied = headTags().map((element) => element.outerHTML)
+
+    document.head.innerHTML = renderHead(head)
+    expect(headTags().map((element) => element.outerHTML).sort()).toEqual(applied.sort())
+  })
+})
+
+describe('renderHead', () => {
+  it('escapes text and attribute values', () => {
+    const html = renderHead({ title: 'A <b> & "c"', description: '"quoted"' })
+
+    expect(html).toContain('<title data-head>A &#60;b&#62; &#38; &#34;c&#34;</title>')
+    expect(html).toContain('content="&#34;quoted&#34;"')
+  })
+})
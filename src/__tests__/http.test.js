@@ -0,0 +1,59 @@
+/**
+ * Tests for the JSON fetch wrapper
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { postJson } from '../utils/http'
+
+const jsonResponse = (status, body = {}) => new Response(JSON.stringify(body), { status })
+
+describe('postJson', () => {
+  let fetchMock
+
+  beforeEach(() => {
+    fetchMock = vi.fn()
+    vi.stubGlobal('fetch', fetchMock)
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('retries server errors and network failures before succeeding', async () => {
+    fetchMock
+      .mockResolvedValueOnce(jsonResponse(503))
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(jsonResponse(200, { id: 7 }))
+
+    await expect(postJson('/api', {}, { retries: 2, retryDelay: 1 })).resolves.toEqual({ id: 7 })
+    expect(fetchMock).toHaveBeenCalledTimes(3)
+  })
+
+  it('sends one idempotency key with every attempt of a request', async () => {
+    fetchMock
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockImplementation(async () => jsonResponse(200))
+
+    await postJson('/api', {}, { retries: 1, retryDelay: 1 })
+    await postJson('/api', {}, { retries: 0 })
+
+    const [first, retry, next] = fetchMock.mock.calls.map(([, init]) => init.headers['Idempotency-Key'])
+    expect(first).toEqual(expect.any(String))
+    expect(retry).toBe(first)
+    expect(next).not.toBe(first)
+  })
+
+  it('gives up after the last retry', async () => {
+    fetchMock.mockImplementation(async () => jsonResponse(500))
+
+    await expect(postJson('/api', {}, { retries: 1, retryDelay: 1 })).rejects.toMatchObject({ status: 500 })
+    expect(fetchMock).toHaveBeenCalledTimes(2)
+  })
+
+  it('aborts attempts that take longer than the timeout', async () => {
+    fetchMock.mockImplementation((_url, { signal }) => new Promise((_resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')))
+    }))
+
+    await expect(postJson('/api', {}, { timeout: 5, retries: 0 })).rejects.toThrow(/timed out/)
+  })
+})
@@ -0,0 +1,109 @@
+/**
+ * Tests for the locale helpers, message catalogs and translated content
+ */
+import { describe, it, expect } from 'vitest'
+import {
+  MESSAGES,
+  translate,
+  getPathLocale,
+  splitLocalePath,
+  localizePath,
+  withLocale,
+  mergeTranslation
+} from '../utils/i18n'
+import { formatNumber } from '../utils/helpers'
+import { getLocalizedContent } from '../data/content'
+import { LOCALE_CODES } from '../data/locales'
+
+// Dotted keys of every message in a catalog
+const keysOf = (messages, prefix = '') => {
+  return Object.entries(messages).flatMap(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key
+    return typeof value === 'object' && !Array.isArray(value) ? keysOf(value, path) : [path]
+  })
+}
+
+describe('translate', () => {
+  it('fills placeholders and falls back to English, then the key', () => {
+    expect(translate('hi', 'services.showing', { shown: 2, total: 6 })).toBe('6 में से 2 सेवाएँ दिखाई जा रही हैं।')
+    expect(translate('en', 'services.discuss', { title: 'MLOps' })).toBe('Discuss your MLOps project')
+    expect(translate('fr', 'header.cta')).toBe('Get Started')
+    expect(translate('hi', 'header.missing')).toBe('header.missing')
+  })
+
+  it('has every English message in every catalog', () => {
+    const englishKeys = keysOf(MESSAGES.en)
+    LOCALE_CODES.forEach((code) => {
+      expect(keysOf(MESSAGES[code])).toEqual(englishKeys)
+    })
+  })
+})
+
+describe('locale paths', () => {
+  it('reads and strips the locale prefix', () => {
+    expect(getPathLocale('/hi/services')).toBe('hi')
+    expect(getPathLocale('/hi')).toBe('hi')
+    expect(getPathLocale('/history')).toBe(null)
+    expect(getPathLocale('/en/services')).toBe(null)
+    expect(splitLocalePath('/hi/services/ai-ml')).toEqual({ locale: 'hi', pathname: '/services/ai-ml' })
+    expect(splitLocalePath('/about')).toEqual({ locale: 'en', pathname: '/about' })
+  })
+
+  it('moves paths between locales, keeping search and hash', () => {
+    expect(localizePath('/services?q=cloud', 'hi')).toBe('/hi/services?q=cloud')
+    expect(localizePath('/', 'hi')).toBe('/hi')
+    expect(localizePath('/#team', 'hi')).toBe('/hi#team')
+    expect(localizePath('/hi/about#team', 'en')).toBe('/about#team')
+    expect(localizePath('/hi', 'en')).toBe('/')
+  })
+
+  it('only localizes unprefixed site paths', () => {
+    expect(withLocale('/contact', 'hi')).toBe('/hi/contact')
+    expect(withLocale('/hi/contact', 'en')).toBe('/hi/contact')
+    expect(withLocale('#main-content', 'hi')).toBe('#main-content')
+    expect(withLocale('https://example.com/', 'hi')).toBe('https://example.com/')
+  })
+})
+
+describe('mergeTranslation', () => {
+  it('merges objects by key and id lists by id, replacing other values', () => {
+    const icon = () => null
+    const base = {
+      items: [{ id: 1, title: 'One', icon }, { id: 2, title: 'Two', icon }],
+      links: [{ name: 'Home', href: '/' }],
+      heading: { title: 'Our', highlight: 'Work' }
+    }
+    const translation = {
+      items: [{ id: 2, title: 'दो' }, { id: 9, title: 'नौ' }],
+      links: [{ name: 'होम', href: '/' }],
+      heading: { highlight: 'काम', extra: 'ignored' }
+    }
+
+    expect(mergeTranslation(base, translation)).toEqual({
+      items: [{ id: 1, title: 'One', icon }, { id: 2, title: 'दो', icon }],
+      links: [{ name: 'होम', href: '/' }],
+      heading: { title: 'Our', highlight: 'काम' }
+    })
+  })
+})
+
+describe('getLocalizedContent', () => {
+  it('lays translations over the English content', () => {
+    const english = getLocalizedContent('en')
+    const hindi = getLocalizedContent('hi')
+
+    expect(hindi.services[0]).toMatchObject({ slug: 'ai-ml', title: 'एआई और मशीन लर्निंग', icon: english.services[0].icon })
+    expect(hindi.about.sections[0].title).toBe('हमारा मिशन')
+    expect(hindi.projects[0].metrics[0]).toEqual({ id: 1, label: 'धोखाधड़ी पहचान सटीकता', value: '99.2%' })
+    // Untranslated collections stay English
+    expect(hindi.socialLinks).toBe(english.socialLinks)
+    expect(getLocalizedContent('fr')).toBe(english)
+  })
+})
+
+describe('formatNumber', () => {
+  it('groups digits the way the locale does', () => {
+    expect(formatNumber(1234567, 'en-US')).toBe('1,234,567')
+    expect(formatNumber(1234567, 'hi-IN')).toBe('12,34,567')
+  })
+})
@@ -0,0 +1,45 @@
+/**
+ * Tests for the NetworkMesh buffer builders
+ */
+import { describe, it, expect } from 'vitest'
+import { buildNodeBuffers, buildConnectionBuffers } from '../utils/networkBuffers'
+
+describe('buildNodeBuffers', () => {
+  it('packs every node attribute into flat typed arrays', () => {
+    const buffers = buildNodeBuffers([
+      { position: [1, 2, 3], size: 0.1, color: '#ff0000', intensity: 0.5, delay: 2 },
+      { position: [4, 5, 6], size: 0.2, color: '#0000ff', haloColor: '#00ff00' }
+    ])
+
+    expect(buffers.count).toBe(2)
+    expect(Array.from(buffers.positions)).toEqual([1, 2, 3, 4, 5, 6])
+    expect(Array.from(buffers.colors)).toEqual([1, 0, 0, 0, 0, 1])
+    expect(Array.from(buffers.haloColors)).toEqual([1, 0, 0, 0, 1, 0])
+    expect(Array.from(buffers.intensities)).toEqual([0.5, 1])
+    expect(Array.from(buffers.delays)).toEqual([2, 0])
+  })
+})
+
+describe('buildConnectionBuffers', () => {
+  it('emits one segment per straight connection', () => {
+    const buffers = buildConnectionBuffers([
+      { start: [0, 0, 0], end: [2, 0, 0], color: '#ffffff', intensity: 0.5, delay: 1 }
+    ])
+
+    expect(buffers.count).toBe(2)
+    expect(Array.from(buffers.positions)).toEqual([0, 0, 0, 2, 0, 0])
+    expect(Array.from(buffers.intensities)).toEqual([0.5, 0.5])
+    expect(Array.from(buffers.delays)).toEqual([1, 1])
+  })
+
+  it('splits curved connections into joined segments through the curve', () => {
+    const buffers = buildConnectionBuffers([
+      { start: [0, 0, 0], end: [2, 0, 0], control: [1, 2, 0], color: '#ffffff' }
+    ], 4)
+
+    expect(buffers.count).toBe(8)
+    // Segment ends meet, and the curve peaks halfway between the control point and the chord
+    expect(Array.from(buffers.positions.subarray(3, 6))).toEqual(Array.from(buffers.positions.subarray(6, 9)))
+    expect(buffers.positions[13]).toBeCloseTo(1)
+  })
+})
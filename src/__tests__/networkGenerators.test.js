@@ -0,0 +1,150 @@
+/**
+ * Tests for the seeded network generators
+ */
+import { describe, it, expect } from 'vitest'
+import { createRandom, subSeed } from '../utils/random'
+import { buildConnections, generateConfigurableNetwork, generateFracturedNetwork } from '../utils/networkGenerators'
+
+describe('createRandom', () => {
+  it('repeats the same sequence for the same seed', () => {
+    const a = createRandom('appdost')
+    const b = createRandom('appdost')
+
+    expect([a(), a(), a()]).toEqual([b(), b(), b()])
+  })
+
+  it('produces different sequences for different seeds', () => {
+    expect(createRandom(1)()).not.toBe(createRandom(2)())
+  })
+
+  it('stays within [0, 1)', () => {
+    const random = createRandom(7)
+
+    for (let i = 0; i < 1000; i++) {
+      const value = random()
+      expect(value).toBeGreaterThanOrEqual(0)
+      expect(value).toBeLessThan(1)
+    }
+  })
+
+  it('falls back to Math.random without a seed', () => {
+    expect(createRandom()).toBe(Math.random)
+  })
+})
+
+describe('subSeed', () => {
+  it('gives generators sharing a seed their own repeatable sequences', () => {
+    const sphere = createRandom(subSeed(42, 'sphere'))
+    const particles = createRandom(subSeed(42, 'particles'))
+
+    expect(sphere()).not.toBe(particles())
+    expect(createRandom(subSeed(42, 'sphere'))()).toBe(createRandom(subSeed(42, 'sphere'))())
+  })
+
+  it('leaves an unseeded generator unseeded', () => {
+    expect(createRandom(subSeed(undefined, 'sphere'))).toBe(Math.random)
+  })
+})
+
+// Reference all-pairs search the spatial hash has to agree with
+const bruteForceEdges = (positions, maxDistance, maxConnections, { jitter = 0, random = Math.random } = {}) => {
+  const nodeCount = positions.length / 3
+  const connected = new Set()
+  const edges = []
+
+  for (let i = 0; i < nodeCount; i++) {
+    let count = 0
+    for (let j = 0; j < nodeCount && count < maxConnections; j++) {
+      if (i === j) continue
+      const distance = Math.hypot(
+        positions[i * 3] - positions[j * 3],
+        positions[i * 3 + 1] - positions[j * 3 + 1],
+        positions[i * 3 + 2] - positions[j * 3 + 2]
+      )
+      const limit = jitter ? maxDistance + random() * jitter : maxDistance
+      const pair = Math.min(i, j) * nodeCount + Math.max(i, j)
+      if (distance < limit && !connected.has(pair)) {
+        connected.add(pair)
+        edges.push(i, j)
+        count++
+      }
+    }
+  }
+
+  return edges
+}
+
+describe('buildConnections', () => {
+  it('finds the same edges as an all-pairs search', () => {
+    const { positions } = generateConfigurableNetwork({ nodeCount: 300, shapeType: 'chaoticCloud', seed: 3 })
+
+    const edges = buildConnections(positions, { maxDistance: 0.35, maxConnections: 6 })
+
+    expect(Array.from(edges)).toEqual(bruteForceEdges(positions, 0.35, 6))
+  })
+
+  it('finds the same jittered edges as an all-pairs search for a seed', () => {
+    const { positions } = generateFracturedNetwork({ nodeCount: 120, seed: 'appdost' })
+    const options = { maxDistance: 0.3, maxConnections: 8, jitter: 0.4 }
+
+    const edges = buildConnections(positions, { ...options, random: createRandom(7) })
+
+    expect(Array.from(edges)).toEqual(bruteForceEdges(positions, 0.3, 8, { ...options, random: createRandom(7) }))
+  })
+
+  it('never links a pair twice', () => {
+    const { edges, edgeCount } = generateFracturedNetwork({ nodeCount: 150, seed: 'appdost' })
+    const pairs = new Set()
+
+    for (let k = 0; k < edgeCount; k++) {
+      const [a, b] = [edges[k * 2], edges[k * 2 + 1]].sort((x, y) => x - y)
+      pairs.add(`${a}-${b}`)
+    }
+
+    expect(pairs.size).toBe(edgeCount)
+  })
+
+  it('returns no edges for a zero distance', () => {
+    const { positions } = generateConfigurableNetwork({ nodeCount: 50, seed: 1 })
+
+    expect(buildConnections(positions, { maxDistance: 0, maxConnections: 8 })).toHaveLength(0)
+  })
+})
+
+describe('network generators', () => {
+  it('builds an identical fractured network for a pinned seed', () => {
+    const network = generateFracturedNetwork({ nodeCount: 60, seed: 'appdost' })
+
+    expect(network.nodeCount).toBe(60)
+    expect(network.edgeCount).toBe(193)
+    expect(generateFracturedNetwork({ nodeCount: 60, seed: 'appdost' })).toEqual(network)
+  })
+
+  it('builds an identical configurable network for a pinned seed', () => {
+    const options = { nodeCount: 80, shapeType: 'fracturedChaotic', seed: 42 }
+    const network = generateConfigurableNetwork(options)
+
+    expect(network.nodeCount).toBe(80)
+    expect(network.edgeCount).toBe(68)
+    expect(generateConfigurableNetwork(options)).toEqual(network)
+  })
+
+  it('returns typed buffers sized for a single geometry', () => {
+    const network = generateConfigurableNetwork({ nodeCount: 80, seed: 42 })
+
+    expect(network.positions).toBeInstanceOf(Float32Array)
+    expect(network.positions).toHaveLength(80 * 3)
+    expect(network.sizes).toHaveLength(80)
+    expect(network.edges).toBeInstanceOf(Uint32Array)
+    expect(network.linePositions).toHaveLength(network.edgeCount * 6)
+    expect(network.lineColors).toHaveLength(network.edgeCount * 6)
+    expect(network.lineOpacities).toHaveLength(network.edgeCount * 2)
+  })
+
+  it('changes the layout when the seed changes', () => {
+    const first = generateConfigurableNetwork({ nodeCount: 80, shapeType: 'chaoticCloud', seed: 1 })
+    const second = generateConfigurableNetwork({ nodeCount: 80, shapeType: 'chaoticCloud', seed: 2 })
+
+    expect(first.positions).not.toEqual(second.positions)
+  })
+})
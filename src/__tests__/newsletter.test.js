@@ -0,0 +1,108 @@
+/**
+ * Tests for the newsletter service and its webhook provider
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  subscribeToNewsletter,
+  setNewsletterProvider,
+  createWebhookProvider,
+  NEWSLETTER_RESULTS,
+  NEWSLETTER_ERRORS
+} from '../services/newsletter'
+
+const jsonResponse = (status, body) => new Response(body === undefined ? '' : JSON.stringify(body), { status })
+
+describe('subscribeToNewsletter', () => {
+  let fetchMock
+
+  beforeEach(() => {
+    fetchMock = vi.fn()
+    vi.stubGlobal('fetch', fetchMock)
+    vi.stubEnv('VITE_NEWSLETTER_API_URL', 'https://api.example.com/newsletter')
+    window.localStorage.clear()
+  })
+
+  afterEach(() => {
+    setNewsletterProvider(null)
+    vi.unstubAllGlobals()
+    vi.unstubAllEnvs()
+  })
+
+  it('posts the normalised address and treats a plain success as awaiting confirmation', async () => {
+    fetchMock.mockResolvedValue(jsonResponse(200, {}))
+
+    const result = await subscribeToNewsletter('  Asha@Example.com ', { challengeToken: 'token' })
+
+    expect(result.status).toBe(NEWSLETTER_RESULTS.PENDING)
+    expect(result.message).toMatch(/confirm your subscription/)
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({
+      email: 'asha@example.com',
+      challengeToken: 'token',
+      source: 'website'
+    })
+  })
+
+  it('uses the status and message from the response', async () => {
+    fetchMock.mockResolvedValue(jsonResponse(200, { status: 'subscribed', message: 'Welcome aboard!' }))
+
+    expect(await subscribeToNewsletter('asha@example.com')).toEqual({
+      status: NEWSLETTER_RESULTS.SUBSCRIBED,
+      message: 'Welcome aboard!'
+    })
+  })
+
+  it('leaves duplicates to the server, so an address that unsubscribed can sign up again', async () => {
+    fetchMock.mockResolvedValueOnce(jsonResponse(409, { message: 'Already on the list' }))
+
+    expect(await subscribeToNewsletter('asha@example.com')).toEqual({
+      status: NEWSLETTER_RESULTS.ALREADY_SUBSCRIBED,
+      message: 'Already on the list'
+    })
+
+    fetchMock.mockResolvedValueOnce(jsonResponse(200, {}))
+    const again = await subscribeToNewsletter('ASHA@example.com')
+    expect(again.status).toBe(NEWSLETTER_RESULTS.PENDING)
+    expect(fetchMock).toHaveBeenCalledTimes(2)
+  })
+
+  it('sends one request for repeated sign-ups of an address still in flight', async () => {
+    fetchMock.mockResolvedValue(jsonResponse(200, { status: 'subscribed' }))
+
+    const results = await Promise.all([
+      subscribeToNewsletter('asha@example.com'),
+      subscribeToNewsletter(' Asha@example.com')
+    ])
+
+    expect(results.map((result) => result.status)).toEqual([NEWSLETTER_RESULTS.SUBSCRIBED, NEWSLETTER_RESULTS.SUBSCRIBED])
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+  })
+
+  it('distinguishes validation, network and unavailable errors', async () => {
+    await expect(subscribeToNewsletter('not-an-email')).rejects.toMatchObject({ code: NEWSLETTER_ERRORS.VALIDATION })
+
+    fetchMock.mockResolvedValueOnce(jsonResponse(422, { message: 'Disposable addresses are not allowed' }))
+    await expect(subscribeToNewsletter('asha@example.com')).rejects.toMatchObject({
+      code: NEWSLETTER_ERRORS.VALIDATION,
+      message: 'Disposable addresses are not allowed'
+    })
+
+    fetchMock.mockRejectedValue(new TypeError('Failed to fetch'))
+    setNewsletterProvider(createWebhookProvider('https://api.example.com/newsletter', { retries: 0 }))
+    await expect(subscribeToNewsletter('asha@example.com')).rejects.toMatchObject({ code: NEWSLETTER_ERRORS.NETWORK })
+
+    setNewsletterProvider(null)
+    vi.stubEnv('VITE_NEWSLETTER_API_URL', '')
+    await expect(subscribeToNewsletter('asha@example.com')).rejects.toMatchObject({ code: NEWSLETTER_ERRORS.UNAVAILABLE })
+  })
+
+  it('delegates to a custom provider', async () => {
+    const subscribe = vi.fn().mockResolvedValue({ status: NEWSLETTER_RESULTS.SUBSCRIBED })
+    setNewsletterProvider({ name: 'custom', subscribe })
+
+    const result = await subscribeToNewsletter('asha@example.com', { challengeToken: 'token' })
+
+    expect(subscribe).toHaveBeenCalledWith('asha@example.com', { challengeToken: 'token' })
+    expect(result.message).toMatch(/You're subscribed/)
+    expect(fetchMock).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,48 @@
+/**
+ * Tests for the adaptive quality governor
+ */
+import { describe, it, expect, vi } from 'vitest'
+import { QUALITY_TIERS, createQualityGovernor } from '../utils/quality'
+
+const feed = (governor, frameTime, frames) => {
+  for (let i = 0; i < frames; i++) governor.sample(frameTime)
+}
+
+describe('createQualityGovernor', () => {
+  it('steps down a tier when frame rate drops', () => {
+    const onChange = vi.fn()
+    const governor = createQualityGovernor({ sampleSize: 10, onChange })
+
+    feed(governor, 40, 10) // 25fps
+
+    expect(governor.getTier()).toBe(1)
+    expect(onChange).toHaveBeenCalledWith(1, QUALITY_TIERS[1])
+  })
+
+  it('never steps below the cheapest tier', () => {
+    const governor = createQualityGovernor({ sampleSize: 10 })
+
+    feed(governor, 40, 100)
+
+    expect(governor.getTier()).toBe(QUALITY_TIERS.length - 1)
+  })
+
+  it('steps back up only after several smooth windows', () => {
+    const governor = createQualityGovernor({ initialTier: 2, sampleSize: 10, upgradeAfter: 3 })
+
+    feed(governor, 16, 20)
+    expect(governor.getTier()).toBe(2)
+
+    feed(governor, 16, 10)
+    expect(governor.getTier()).toBe(1)
+  })
+
+  it('ignores hitches such as tab switches', () => {
+    const governor = createQualityGovernor({ sampleSize: 10 })
+
+    feed(governor, 1000, 50)
+    feed(governor, 16, 10)
+
+    expect(governor.getTier()).toBe(0)
+  })
+})
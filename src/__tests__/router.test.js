@@ -0,0 +1,87 @@
+/**
+ * Tests for the client-side router and route table
+ */
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { navigate, getLocation, subscribe } from '../utils/router'
+import { matchRoute, getRouteTitle, PAGES } from '../data/routes'
+
+describe('matchRoute', () => {
+  it('maps section paths to the home page', () => {
+    expect(matchRoute({ pathname: '/about' })).toMatchObject({ page: PAGES.HOME, section: 'about' })
+    expect(matchRoute({ pathname: '/services/' })).toMatchObject({ page: PAGES.HOME, section: 'services' })
+    expect(matchRoute({ pathname: '/' })).toMatchObject({ page: PAGES.HOME, section: 'hero' })
+  })
+
+  it('gives the demo its own route, including the legacy query flag', () => {
+    expect(matchRoute({ pathname: '/demo' }).page).toBe(PAGES.DEMO)
+    expect(matchRoute({ pathname: '/', search: '?demo=true&variant=exact' }).page).toBe(PAGES.DEMO)
+  })
+
+  it('renders unknown paths as the home page without a section', () => {
+    expect(matchRoute({ pathname: '/careers' })).toMatchObject({ page: PAGES.HOME, section: null })
+  })
+
+  it('passes path parameters through to the route and its title', () => {
+    const route = matchRoute({ pathname: '/services/ai-ml' })
+
+    expect(route).toMatchObject({ section: 'services', params: { slug: 'ai-ml' } })
+    expect(getRouteTitle(route)).toBe('AI & Machine Learning | AppDost')
+    expect(getRouteTitle(matchRoute({ pathname: '/services/unknown' }))).toBe('Services | AppDost')
+  })
+
+  it('treats paths with malformed escapes as unknown instead of throwing', () => {
+    expect(matchRoute({ pathname: '/services/%' })).toMatchObject({ path: null, section: null })
+    expect(matchRoute({ pathname: '/hi/services/%E0%A4' })).toMatchObject({ path: null, locale: 'hi' })
+  })
+
+  it('strips the locale prefix and titles the route in that language', () => {
+    const route = matchRoute({ pathname: '/hi/services/cloud' })
+
+    expect(route).toMatchObject({ section: 'services', params: { slug: 'cloud' }, locale: 'hi' })
+    expect(getRouteTitle(route)).toBe('क्लाउड और DevOps | AppDost')
+    expect(getRouteTitle(matchRoute({ pathname: '/hi/about' }))).toBe('हमारे बारे में | AppDost')
+    expect(matchRoute({ pathname: '/hi' })).toMatchObject({ section: 'hero', locale: 'hi' })
+  })
+})
+
+describe('router', () => {
+  afterEach(() => {
+    window.history.replaceState(null, '', '/')
+  })
+
+  it('pushes the new URL and notifies subscribers', () => {
+    const listener = vi.fn()
+    const unsubscribe = subscribe(listener)
+
+    navigate('/contact#form')
+
+    expect(window.location.pathname).toBe('/contact')
+    expect(getLocation()).toMatchObject({ pathname: '/contact', hash: '#form', action: 'push' })
+    expect(listener).toHaveBeenCalledTimes(1)
+    unsubscribe()
+  })
+
+  it('gives every navigation a new key, even to the same URL', () => {
+    navigate('/about')
+    const first = getLocation()
+    navigate('/about')
+
+    expect(getLocation().key).not.toBe(first.key)
+  })
+
+  it('records back/forward as a pop', () => {
+    navigate('/projects')
+    window.dispatchEvent(new PopStateEvent('popstate'))
+
+    expect(getLocation()).toMatchObject({ pathname: '/projects', action: 'pop' })
+  })
+
+  it('keeps the current language unless given another', () => {
+    navigate('/hi/about')
+    navigate('/contact')
+    expect(window.location.pathname).toBe('/hi/contact')
+
+    navigate('/contact', { locale: 'en' })
+    expect(window.location.pathname).toBe('/contact')
+  })
+})
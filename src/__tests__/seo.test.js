@@ -0,0 +1,141 @@
+/**
+ * Tests for the structured data, sitemap and robots.txt builders, and the
+ * sitemap dates the seo plugin reads from the content files
+ */
+import { describe, it, expect, afterEach } from 'vitest'
+import { execFileSync } from 'node:child_process'
+import { mkdirSync, mkdtempSync, rmSync, utimesSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { createLastModified } from '../../plugins/seo'
+import { company, services } from '../data/content'
+import {
+  getStructuredData,
+  renderJsonLd,
+  getIndexablePages,
+  getSitemapEntries,
+  renderSitemap,
+  renderRobots
+} from '../utils/seo'
+
+describe('getStructuredData', () => {
+  it('describes the organisation and its services from the content', () => {
+    const [organization, website] = getStructuredData()['@graph']
+
+    expect(organization).toMatchObject({
+      '@type': 'Organization',
+      name: company.name,
+      url: `${company.url}/`,
+      logo: `${company.url}${company.logo}`,
+      email: company.email
+    })
+    expect(organization.hasOfferCatalog.itemListElement).toHaveLength(services.length)
+    expect(organization.hasOfferCatalog.itemListElement[0].itemOffered.url).toBe(`${company.url}/services/${services[0].slug}`)
+    expect(website.publisher).toEqual({ '@id': organization['@id'] })
+  })
+
+  it('uses the translated content and paths for other locales', () => {
+    const [organization, website] = getStructuredData('hi')['@graph']
+
+    expect(organization.hasOfferCatalog.itemListElement[0].itemOffered.url).toBe(`${company.url}/hi/services/${services[0].slug}`)
+    expect(website).toMatchObject({ inLanguage: 'hi', url: `${company.url}/hi` })
+  })
+
+  it("can't close its script element", () => {
+    expect(renderJsonLd({ text: '</script><script>' })).not.toContain('<')
+  })
+})
+
+describe('sitemap', () => {
+  it('lists every indexable page, with a page per service and without the demo', () => {
+    const paths = getIndexablePages().map((page) => page.path)
+
+    expect(paths).toContain('/services')
+    services.forEach((service) => expect(paths).toContain(`/services/${service.slug}`))
+    expect(paths).not.toContain('/demo')
+    expect(paths.some((path) => path.includes(':'))).toBe(false)
+  })
+
+  it('has an entry per locale linking the translations and their dates', () => {
+    const lastModified = (collections) => collections.includes('projects') ? '2025-02-01' : '2025-01-01'
+    const entries = getSitemapEntries(lastModified)
+    const hindi = entries.find((entry) => entry.loc === `${company.url}/hi/projects`)
+
+    expect(entries).toHaveLength(getIndexablePages().length * 2)
+    expect(hindi.lastmod).toBe('2025-02-01')
+    expect(hindi.alternates).toEqual([
+      { hreflang: 'en', href: `${company.url}/projects` },
+      { hreflang: 'hi', href: `${company.url}/hi/projects` },
+      { hreflang: 'x-default', href: `${company.url}/projects` }
+    ])
+  })
+
+  it('renders escaped XML and leaves out unknown dates', () => {
+    const xml = renderSitemap([{ loc: 'https://example.com/?a=1&b=2', lastmod: null, alternates: [] }])
+
+    expect(xml).toContain('<loc>https://example.com/?a=1&#38;b=2</loc>')
+    expect(xml).not.toContain('<lastmod>')
+  })
+})
+
+describe('renderRobots', () => {
+  it('keeps crawlers off noIndex routes in every locale and points at the sitemap', () => {
+    const robots = renderRobots()
+
+    expect(robots).toContain('Disallow: /demo\n')
+    expect(robots).toContain('Disallow: /hi/demo\n')
+    expect(robots).toContain(`Sitemap: ${company.url}/sitemap.xml`)
+  })
+})
+
+describe('createLastModified', () => {
+  let root
+
+  // A site root with content files last modified on the given dates
+  const createSite = (files) => {
+    root = mkdtempSync(path.join(tmpdir(), 'appdost-seo-'))
+    Object.entries(files).forEach(([file, date]) => {
+      const fullPath = path.join(root, 'src/content', file)
+      mkdirSync(path.dirname(fullPath), { recursive: true })
+      writeFileSync(fullPath, '{}')
+      utimesSync(fullPath, new Date(date), new Date(date))
+    })
+    return root
+  }
+
+  const git = (cwd, ...args) => execFileSync('git', args, { cwd, stdio: 'ignore' })
+
+  afterEach(() => {
+    rmSync(root, { recursive: true, force: true })
+  })
+
+  it('uses file modification times outside a git checkout', () => {
+    const lastModified = createLastModified(createSite({
+      'services.json': '2025-03-01T12:00:00Z',
+      'hi/services.json': '2025-04-02T12:00:00Z',
+      'projects.json': '2025-01-05T12:00:00Z',
+      'about.md': '2025-02-10T12:00:00Z'
+    }))
+
+    expect(lastModified(['services'])).toBe('2025-04-02')
+    expect(lastModified(['projects', 'about'])).toBe('2025-02-10')
+    expect(lastModified(['missing'])).toBeNull()
+  })
+
+  it('uses commit dates in a git checkout and leaves them out of a shallow clone', () => {
+    const site = createSite({ 'services.json': '2025-03-01T12:00:00Z' })
+    git(site, 'init', '-q')
+    git(site, 'add', '-A')
+    execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-qm', 'Add services'], {
+      cwd: site,
+      stdio: 'ignore',
+      env: { ...process.env, GIT_COMMITTER_DATE: '2024-06-15T12:00:00Z' }
+    })
+
+    expect(createLastModified(site)(['services'])).toBe('2024-06-15')
+
+    const clone = path.join(site, 'clone')
+    git(site, 'clone', '-q', '--depth', '1', `file://${site}`, clone)
+    expect(createLastModified(clone)(['services'])).toBeNull()
+  })
+})
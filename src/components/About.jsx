@@ -0,0 +1,66 @@
+/**
+ * About section: company story, mission and vision, then the company values
+ * and the team. The story and its sections come from about.md
+ */
+import { motion } from 'framer-motion'
+import { useIntersectionObserver } from '../hooks/useIntersectionObserver'
+import { usePrefersReducedMotion } from '../hooks/usePrefersReducedMotion'
+import { useContent } from '../hooks/useContent'
+import ValuesGrid from './ValuesGrid'
+import TeamGrid from './TeamGrid'
+
+const About = () => {
+  const { elementRef, hasIntersected } = useIntersectionObserver({
+    threshold: 0.1
+  })
+  const prefersReducedMotion = usePrefersReducedMotion()
+  const about = useContent('about')
+
+  return (
+    <section 
+      id="about" 
+      ref={elementRef}
+      className="py-20 lg:py-32 relative"
+    >
+      <div className="absolute inset-0 bg-black/40 backdrop-blur-sm"></div>
+
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8 relative z-10 space-y-20">
+        <motion.div
+          initial={prefersReducedMotion ? false : { opacity: 0, y: 30 }}
+          animate={hasIntersected ? { opacity: 1, y: 0 } : {}}
+          transition={{ duration: prefersReducedMotion ? 0 : 0.6 }}
+          className="text-center"
+        >
+          <h2 className="text-3xl lg:text-5xl font-display font-bold text-white mb-6">
+            {about.title} <span className="text-gradient">{about.highlight}</span>
+          </h2>
+          {about.intro.map((paragraph) => (
+            <p key={paragraph} className="text-xl text-gray-300 max-w-3xl mx-auto mb-12">
+              {paragraph}
+            </p>
+          ))}
+          <div className="glass rounded-3xl p-12 max-w-4xl mx-auto bg-black/30 backdrop-blur-md border border-white/10">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-8 text-left">
+              {about.sections.map((section) => (
+                <div key={section.title}>
+                  <h3 className="text-xl font-bold text-white mb-4">{section.title}</h3>
+                  {section.paragraphs.map((paragraph) => (
+                    <p key={paragraph} className="text-gray-300">
+                      {paragraph}
+                    </p>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+        </motion.div>
+
+        <ValuesGrid isVisible={hasIntersected} />
+
+        <TeamGrid isVisible={hasIntersected} />
+      </div>
+    </section>
+  )
+}
+
+export default About
@@ -3,176 +3,28 @@
  * Exact replica of AppDost's circular network design in 3D space
  * Features: Perfect circle of nodes, intelligent connections, cyan glow effects
  */
-import { useRef, useMemo, useCallback } from 'react'
-import { Canvas, useFrame, extend } from '@react-three/fiber'
-import { shaderMaterial } from '@react-three/drei'
+import { useRef, useMemo } from 'react'
+import { useFrame } from '@react-three/fiber'
 import * as THREE from 'three'
+import BackgroundCanvas from './BackgroundCanvas'
+import NetworkMesh from './NetworkMesh'
 
-// Custom glow material for nodes and connections
-const NetworkGlowMaterial = shaderMaterial(
-  {
-    time: 0,
-    color: new THREE.Color('#00e0ff'),
-    intensity: 1.0,
-    pulseSpeed: 2.0,
-    glowRadius: 0.5,
-  },
-  // Vertex shader
-  `
-    varying vec2 vUv;
-    varying vec3 vPosition;
-    varying vec3 vNormal;
-    uniform float time;
-    
-    void main() {
-      vUv = uv;
-      vPosition = position;
-      vNormal = normalize(normalMatrix * normal);
-      
-      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-    }
-  `,
-  // Fragment shader
-  `
-    uniform vec3 color;
-    uniform float time;
-    uniform float intensity;
-    uniform float pulseSpeed;
-    uniform float glowRadius;
-    varying vec2 vUv;
-    varying vec3 vPosition;
-    varying vec3 vNormal;
-    
-    void main() {
-      // Distance from center for radial glow
-      float distanceFromCenter = length(vUv - 0.5);
-      
-      // Pulsing animation
-      float pulse = sin(time * pulseSpeed) * 0.3 + 0.7;
-      
-      // Core glow calculation
-      float glow = 1.0 - smoothstep(0.0, glowRadius, distanceFromCenter);
-      glow = pow(glow, 2.0) * intensity * pulse;
-      
-      // Outer rim enhancement
-      float rim = 1.0 - smoothstep(0.4, 0.5, distanceFromCenter);
-      rim *= 0.5;
-      
-      float finalGlow = glow + rim;
-      vec3 finalColor = color * finalGlow;
-      
-      gl_FragColor = vec4(finalColor, finalGlow * 0.8);
-    }
-  `
-)
+// Node pulse: 0.7 + 0.3 * sin(2t + 5 * delay)
+const NODE_WAVE = { base: 0.7, amplitude: 0.3, speed: 2, phase: 5 }
+// Line opacity: (0.4 + 0.4 * flow) * pulse, flowing at 3x and pulsing at 1.5x
+const FLOW_WAVE = { base: 0.6, amplitude: 0.2, speed: 3, phase: 8 }
+const PULSE_WAVE = { base: 0.8, amplitude: 0.2, speed: 1.5, phase: 2.5 }
 
-extend({ NetworkGlowMaterial })
+// Control point bowing a connection out of its plane for a more organic arc
+const arcControlPoint = (start, end) => {
+  const startVec = new THREE.Vector3(...start)
+  const endVec = new THREE.Vector3(...end)
+  const perpendicular = new THREE.Vector3()
+    .crossVectors(startVec, endVec)
+    .normalize()
+    .multiplyScalar(startVec.distanceTo(endVec) * 0.1)
 
-// Enhanced connection line with data flow effect
-const ConnectionLine = ({ start, end, delay = 0, intensity = 1.0 }) => {
-  const lineRef = useRef()
-  const materialRef = useRef()
-
-  const points = useMemo(() => {
-    const startVec = new THREE.Vector3(...start)
-    const endVec = new THREE.Vector3(...end)
-    
-    // Create smooth curve
-    const distance = startVec.distanceTo(endVec)
-    const midPoint = startVec.clone().lerp(endVec, 0.5)
-    
-    // Add subtle arc for more organic feel
-    const perpendicular = new THREE.Vector3()
-      .crossVectors(startVec, endVec)
-      .normalize()
-      .multiplyScalar(distance * 0.1)
-    
-    midPoint.add(perpendicular)
-    
-    const curve = new THREE.QuadraticBezierCurve3(startVec, midPoint, endVec)
-    return curve.getPoints(30)
-  }, [start, end])
-
-  const geometry = useMemo(() => {
-    return new THREE.BufferGeometry().setFromPoints(points)
-  }, [points])
-
-  useFrame((state) => {
-    if (materialRef.current) {
-      const time = state.clock.elapsedTime + delay
-      
-      // Data flow animation
-      const flow = (Math.sin(time * 3 + delay * 5) + 1) * 0.5
-      const pulse = Math.sin(time * 1.5 + delay) * 0.2 + 0.8
-      
-      materialRef.current.opacity = (0.4 + flow * 0.4) * intensity * pulse
-    }
-  })
-
-  return (
-    <line ref={lineRef} geometry={geometry}>
-      <lineBasicMaterial
-        ref={materialRef}
-        color="#00e0ff"
-        transparent
-        opacity={0.6}
-        linewidth={2}
-      />
-    </line>
-  )
-}
-
-// Glowing network node
-const NetworkNode = ({ position, size = 0.08, delay = 0, isMainNode = false }) => {
-  const meshRef = useRef()
-  const glowRef = useRef()
-
-  useFrame((state) => {
-    if (meshRef.current && glowRef.current) {
-      const time = state.clock.elapsedTime + delay
-      
-      // Pulsing animation
-      const pulse = Math.sin(time * 2 + delay * 3) * 0.3 + 0.7
-      const scale = isMainNode ? size * 1.5 : size
-      
-      meshRef.current.scale.setScalar(scale * (0.8 + pulse * 0.2))
-      glowRef.current.scale.setScalar(scale * (2 + pulse * 0.5))
-      
-      // Update material properties
-      if (meshRef.current.material) {
-        meshRef.current.material.uniforms.time.value = time
-        meshRef.current.material.uniforms.intensity.value = pulse * (isMainNode ? 1.5 : 1.0)
-      }
-    }
-  })
-
-  return (
-    <group position={position}>
-      {/* Core node */}
-      <mesh ref={meshRef}>
-        <circleGeometry args={[size, 16]} />
-        <networkGlowMaterial
-          transparent
-          blending={THREE.AdditiveBlending}
-          color={isMainNode ? "#00ffff" : "#00e0ff"}
-          intensity={isMainNode ? 1.5 : 1.0}
-          pulseSpeed={2.0}
-          glowRadius={0.8}
-        />
-      </mesh>
-      
-      {/* Outer glow halo */}
-      <mesh ref={glowRef}>
-        <circleGeometry args={[size * 2, 16]} />
-        <meshBasicMaterial
-          color={isMainNode ? "#00ffff" : "#00e0ff"}
-          transparent
-          opacity={0.1}
-          blending={THREE.AdditiveBlending}
-        />
-      </mesh>
-    </group>
-  )
+  return startVec.lerp(endVec, 0.5).add(perpendicular).toArray()
 }
 
 // Main AppDost circular network component
@@ -297,8 +149,18 @@ const AppDostCircularNetwork = () => {
     })
     
     return {
-      nodes: networkNodes,
-      connections: networkConnections
+      nodes: networkNodes.map((node, index) => ({
+        ...node,
+        size: node.isMainNode ? 0.18 : 0.06,
+        color: node.isMainNode ? '#00ffff' : '#00e0ff',
+        intensity: node.isMainNode ? 1.5 : 1.0,
+        delay: index * 0.1
+      })),
+      connections: networkConnections.map((connection) => ({
+        ...connection,
+        control: arcControlPoint(connection.start, connection.end),
+        color: '#00e0ff'
+      }))
     }
   }, [])
 
@@ -318,27 +180,16 @@ const AppDostCircularNetwork = () => {
 
   return (
     <group ref={groupRef}>
-      {/* Render all connections */}
-      {connections.map((connection, index) => (
-        <ConnectionLine
-          key={`connection_${index}`}
-          start={connection.start}
-          end={connection.end}
-          delay={connection.delay}
-          intensity={connection.intensity}
-        />
-      ))}
-      
-      {/* Render all nodes */}
-      {nodes.map((node, index) => (
-        <NetworkNode
-          key={`node_${node.id}`}
-          position={node.position}
-          size={node.isMainNode ? 0.12 : 0.06}
-          delay={index * 0.1}
-          isMainNode={node.isMainNode}
-        />
-      ))}
+      <NetworkMesh
+        nodes={nodes}
+        connections={connections}
+        segments={30}
+        nodeWave={NODE_WAVE}
+        haloScale={2.5}
+        haloOpacity={0.1}
+        flowWave={FLOW_WAVE}
+        pulseWave={PULSE_WAVE}
+      />
     </group>
   )
 }
@@ -393,7 +244,7 @@ const AppDost3DBackground = () => {
         background: 'linear-gradient(135deg, #0f1419 0%, #1a252f 30%, #0d1b26 70%, #08111a 100%)' 
       }}
     >
-      <Canvas
+      <BackgroundCanvas
         camera={{ 
           position: [0, 2, 10], 
           fov: 50,
@@ -449,7 +300,7 @@ const AppDost3DBackground = () => {
 
         {/* Atmospheric fog */}
         <fog attach="fog" args={['#0a1a2e', 15, 40]} />
-      </Canvas>
+      </BackgroundCanvas>
 
       {/* CSS overlay for additional glow effect */}
       <div 
@@ -3,12 +3,14 @@
  * Perfect geometric circle with exact node positioning and connections
  */
 import { useEffect, useRef, useState } from 'react'
+import { useBackgroundActivity } from '../hooks/useBackgroundActivity'
 
 const AppDostPrecision = () => {
   const canvasRef = useRef(null)
   const animationRef = useRef(null)
   const mouseRef = useRef({ x: 0, y: 0 })
   const [dimensions, setDimensions] = useState({ width: 0, height: 0 })
+  const { isActive, reducedMotion } = useBackgroundActivity()
 
   useEffect(() => {
     const updateDimensions = () => {
@@ -33,7 +35,8 @@ const AppDostPrecision = () => {
   }, [])
 
   useEffect(() => {
-    if (!canvasRef.current || !dimensions.width || !dimensions.height) return
+    // While inactive the loop stays stopped and the canvas keeps its last frame
+    if (!isActive || !canvasRef.current || !dimensions.width || !dimensions.height) return
 
     const canvas = canvasRef.current
     const ctx = canvas.getContext('2d')
@@ -254,7 +257,10 @@ const AppDostPrecision = () => {
       }
 
       ctx.globalAlpha = 1
-      animationRef.current = requestAnimationFrame(animate)
+      // Reduced motion keeps the first frame as a still image
+      if (!reducedMotion) {
+        animationRef.current = requestAnimationFrame(animate)
+      }
     }
 
     animate()
@@ -264,7 +270,7 @@ const AppDostPrecision = () => {
         cancelAnimationFrame(animationRef.current)
       }
     }
-  }, [dimensions])
+  }, [dimensions, isActive, reducedMotion])
 
   return (
     <div className="fixed inset-0 w-full h-full overflow-hidden z-0" style={{ backgroundColor: '#0a1628' }}>
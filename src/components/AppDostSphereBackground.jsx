@@ -1,15 +1,48 @@
-import React, { useRef, useMemo } from 'react';
-import { Canvas, useFrame } from '@react-three/fiber';
+import React, { useRef, useMemo, useLayoutEffect } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
 import * as THREE from 'three';
+import BackgroundPlaceholder from './BackgroundPlaceholder';
+import BackgroundCanvas from './BackgroundCanvas';
+import { useQuality } from '../hooks/useQuality';
+import { useBackgroundActivity } from '../hooks/useBackgroundActivity';
+import { useBackgroundInteraction } from '../hooks/useBackgroundInteraction';
+import { createRandom, subSeed } from '../utils/random';
+
+// Pushes a vertex away from the pointer in screen space and returns how close it was (0..1)
+const pointerShaderChunk = `
+  uniform vec2 pointer;
+  uniform float pointerStrength;
+  uniform float aspect;
+  
+  float applyPointer(inout vec4 clipPosition) {
+    vec2 offset = clipPosition.xy / clipPosition.w - pointer;
+    offset.x *= aspect;
+    float dist = length(offset);
+    float influence = (1.0 - smoothstep(0.0, 0.35, dist)) * pointerStrength;
+    
+    vec2 direction = dist > 0.0001 ? offset / dist : vec2(0.0);
+    direction.x /= aspect;
+    clipPosition.xy += direction * influence * 0.06 * clipPosition.w;
+    return influence;
+  }
+`;
+
+const createPointerUniforms = () => ({
+  pointer: { value: new THREE.Vector2() },
+  pointerStrength: { value: 0 },
+  aspect: { value: 1 }
+});
 
 // Enhanced vertex shader for glowing lines
 const vertexShader = `
+  ${pointerShaderChunk}
   attribute float alpha;
   attribute float distanceToCamera;
   varying float vAlpha;
   varying vec3 vPosition;
   varying vec3 vWorldPosition;
   varying float vDistanceToCamera;
+  varying float vHighlight;
   
   void main() {
     vAlpha = alpha;
@@ -20,6 +53,7 @@ const vertexShader = `
     vWorldPosition = worldPos.xyz;
     
     gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    vHighlight = applyPointer(gl_Position);
   }
 `;
 
@@ -29,11 +63,13 @@ const fragmentShader = `
   uniform vec3 color2;
   uniform vec3 color3;
   uniform float time;
+  uniform float effects;
   uniform vec3 cameraPosition;
   varying float vAlpha;
   varying vec3 vPosition;
   varying vec3 vWorldPosition;
   varying float vDistanceToCamera;
+  varying float vHighlight;
   
   void main() {
     // Distance from camera for depth-based effects
@@ -52,27 +88,32 @@ const fragmentShader = `
     float wave2 = cos(time * 2.3 + vPosition.y * 3.0);
     float wave3 = sin(time * 1.2 + vPosition.z * 2.8);
     
-    float glow = 1.2 + 0.5 * wave1 + 0.4 * wave2 + 0.3 * wave3;
+    float glow = 1.2 + effects * (0.5 * wave1 + 0.4 * wave2 + 0.3 * wave3);
     
     // Enhanced intensity with flowing energy effect - MAXIMUM visibility
-    float energyFlow = sin(time * 0.8 + length(vPosition) * 0.5) * 0.4 + 1.5;
-    float intensity = vAlpha * glow * energyFlow * (1.2 + 0.8 * depthFactor);
+    float energyFlow = effects * sin(time * 0.8 + length(vPosition) * 0.5) * 0.4 + 1.5;
+    float intensity = vAlpha * glow * energyFlow * (1.2 + 0.8 * depthFactor) * (1.0 + vHighlight);
     
     gl_FragColor = vec4(finalColor * intensity * 2.0, intensity * 1.5);
   }
 `;
 
 // Particle vertex shader
+// Pointer uniforms default to zero, so particles without them ignore the cursor
 const particleVertexShader = `
+  ${pointerShaderChunk}
   attribute float size;
   attribute vec3 color;
   varying vec3 vColor;
   
   void main() {
-    vColor = color;
     vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
-    gl_PointSize = size * (300.0 / -mvPosition.z);
     gl_Position = projectionMatrix * mvPosition;
+    
+    // Nodes near the cursor swell and brighten
+    float highlight = applyPointer(gl_Position);
+    vColor = color * (1.0 + highlight * 1.5);
+    gl_PointSize = size * (300.0 / -mvPosition.z) * (1.0 + highlight * 0.8);
   }
 `;
 
@@ -91,10 +132,12 @@ const particleFragmentShader = `
   }
 `;
 
-function AppDostSphere() {
+function AppDostSphere({ seed, interactionRef }) {
   const sphereRef = useRef();
   const particlesRef = useRef();
   const linesRef = useRef();
+  const quality = useQuality();
+  const numPoints = Math.round(150 * quality.nodeScale); // Scaled down on slower devices
   
   // Create sphere points using enhanced Fibonacci spiral for perfect distribution
   const { positions, connections, particlePositions, particleColors, particleSizes, alphas, distances } = useMemo(() => {
@@ -105,8 +148,8 @@ function AppDostSphere() {
     const particleSizes = [];
     const alphas = [];
     const distances = [];
+    const random = createRandom(subSeed(seed, 'sphere'));
     
-    const numPoints = 150; // Increased for more detailed network
     const radius = 4.5;
     const phi = Math.PI * (3 - Math.sqrt(5)); // Golden angle
     
@@ -165,7 +208,7 @@ function AppDostSphere() {
       particleColors.push(r, g, b);
       
       // Varying particle sizes based on position
-      const size = 3 + Math.random() * 4 + t * 2;
+      const size = 3 + random() * 4 + t * 2;
       particleSizes.push(size);
     }
     
@@ -178,7 +221,7 @@ function AppDostSphere() {
       alphas: new Float32Array(alphas),
       distances: new Float32Array(distances)
     };
-  }, []);
+  }, [numPoints, seed]);
   
   // Create enhanced line materials with ULTRA bright colors
   const lineMaterial = useMemo(() => {
@@ -190,7 +233,9 @@ function AppDostSphere() {
         color2: { value: new THREE.Color(0xAAFFCC) }, // Ultra bright neon green  
         color3: { value: new THREE.Color(0x44DDDD) }, // Ultra bright teal
         time: { value: 0 },
-        cameraPosition: { value: new THREE.Vector3() }
+        effects: { value: 1 },
+        cameraPosition: { value: new THREE.Vector3() },
+        ...createPointerUniforms()
       },
       transparent: true,
       blending: THREE.AdditiveBlending,
@@ -204,6 +249,7 @@ function AppDostSphere() {
     return new THREE.ShaderMaterial({
       vertexShader: particleVertexShader,
       fragmentShader: particleFragmentShader,
+      uniforms: createPointerUniforms(),
       transparent: true,
       blending: THREE.AdditiveBlending,
       depthWrite: false
@@ -211,9 +257,18 @@ function AppDostSphere() {
   }, []);
   
   // Optimized 3D animations with smooth performance
-  useFrame((state) => {
+  useFrame((state, delta) => {
     const time = state.clock.elapsedTime;
     
+    // Fade the cursor highlight in and out rather than popping when the pointer enters or leaves
+    const { pointer, pointerActive } = interactionRef.current;
+    for (const material of [lineMaterial, particleMaterial]) {
+      const { uniforms } = material;
+      uniforms.pointer.value.set(pointer.x, pointer.y);
+      uniforms.pointerStrength.value = THREE.MathUtils.damp(uniforms.pointerStrength.value, pointerActive ? 1 : 0, 4, delta);
+      uniforms.aspect.value = state.size.width / state.size.height;
+    }
+    
     // Optimized sphere rotation with smooth easing
     if (sphereRef.current) {
       // Smooth primary rotation with reduced calculations
@@ -234,7 +289,8 @@ function AppDostSphere() {
     }
     
     // Ultra-optimized particle animation with smooth interpolation
-    if (particlesRef.current && Math.floor(time * 60) % 3 === 0) { // Update every 3 frames at 60fps
+    const updateInterval = quality.particleUpdateInterval;
+    if (particlesRef.current && updateInterval > 0 && Math.floor(time * 60) % updateInterval === 0) { // Cadence set by quality tier
       const positions = particlesRef.current.geometry.attributes.position.array;
       const originalPositions = particlePositions;
       
@@ -261,7 +317,12 @@ function AppDostSphere() {
     // Update shader uniforms with animation
     if (linesRef.current) {
       linesRef.current.material.uniforms.time.value = time;
+      linesRef.current.material.uniforms.effects.value = quality.shaderEffects ? 1 : 0;
       linesRef.current.material.uniforms.cameraPosition.value.copy(state.camera.position);
+    }
+    
+    // Per-vertex pulsing and morphing are the most expensive effects, skip them on low tiers
+    if (linesRef.current && quality.shaderEffects) {
       
       // Dynamic line animations with organic pulsing
       const positions = linesRef.current.geometry.attributes.position.array;
@@ -297,7 +358,7 @@ function AppDostSphere() {
     <group ref={sphereRef}>
       {/* Enhanced Network Lines */}
       <lineSegments ref={linesRef}>
-        <bufferGeometry>
+        <bufferGeometry key={numPoints}>
           <bufferAttribute
             attach="attributes-position"
             array={positions}
@@ -322,7 +383,7 @@ function AppDostSphere() {
       
       {/* Glowing Particles at Nodes */}
       <points ref={particlesRef}>
-        <bufferGeometry>
+        <bufferGeometry key={numPoints}>
           <bufferAttribute
             attach="attributes-position"
             array={particlePositions}
@@ -348,65 +409,104 @@ function AppDostSphere() {
   );
 }
 
-function CameraAnimation() {
-  useFrame((state) => {
-    const time = state.clock.elapsedTime;
-    const camera = state.camera;
-    
-    // Smooth, subtle camera movement for immersive experience
-    const radius = 10;
-    const elevation = Math.sin(time * 0.03) * 0.3; // Reduced frequency for smoothness
-    const azimuth = time * 0.015; // Slower rotation for elegance
+// Parallax tilt towards the pointer, plus rotation and zoom as the page scrolls
+function InteractionRig({ interactionRef, children }) {
+  const groupRef = useRef();
+  
+  useFrame((state, delta) => {
+    const group = groupRef.current;
+    if (!group) return;
     
-    // Gentle circular camera movement
-    const radiusVariation = 1 + Math.sin(time * 0.02) * 0.05; // Reduced variation
-    camera.position.x = Math.cos(azimuth) * radius * radiusVariation;
-    camera.position.y = elevation + Math.cos(time * 0.025) * 0.2;
-    camera.position.z = Math.sin(azimuth) * radius * radiusVariation;
+    const { pointer, pointerActive, scroll } = interactionRef.current;
+    const tiltX = pointerActive ? -pointer.y * 0.15 : 0;
+    const tiltY = pointerActive ? pointer.x * 0.2 : 0;
     
-    // Smooth look-at with minimal offset
-    camera.lookAt(
-      Math.sin(time * 0.05) * 0.1,
-      Math.cos(time * 0.04) * 0.05,
-      0
-    );
+    group.rotation.x = THREE.MathUtils.damp(group.rotation.x, tiltX, 3, delta);
+    group.rotation.y = THREE.MathUtils.damp(group.rotation.y, tiltY + scroll * Math.PI * 0.5, 3, delta);
+    group.scale.setScalar(THREE.MathUtils.damp(group.scale.x, 1 + scroll * 0.3, 3, delta));
+  });
+  
+  return <group ref={groupRef}>{children}</group>;
+}
+
+// Camera pose along the orbit at a given time
+function applyCameraPose(camera, time) {
+  // Smooth, subtle camera movement for immersive experience
+  const radius = 10;
+  const elevation = Math.sin(time * 0.03) * 0.3; // Reduced frequency for smoothness
+  const azimuth = time * 0.015; // Slower rotation for elegance
+  
+  // Gentle circular camera movement
+  const radiusVariation = 1 + Math.sin(time * 0.02) * 0.05; // Reduced variation
+  camera.position.x = Math.cos(azimuth) * radius * radiusVariation;
+  camera.position.y = elevation + Math.cos(time * 0.025) * 0.2;
+  camera.position.z = Math.sin(azimuth) * radius * radiusVariation;
+  
+  // Smooth look-at with minimal offset
+  camera.lookAt(
+    Math.sin(time * 0.05) * 0.1,
+    Math.cos(time * 0.04) * 0.05,
+    0
+  );
+}
+
+function CameraAnimation() {
+  useFrame((state) => {
+    applyCameraPose(state.camera, state.clock.elapsedTime);
   });
   
   return null;
 }
 
-function FloatingParticles() {
+// Reduced motion: hold the orbit's starting pose so the still frame matches the animated framing
+function StillCamera() {
+  const camera = useThree((state) => state.camera);
+  const invalidate = useThree((state) => state.invalidate);
+  
+  useLayoutEffect(() => {
+    applyCameraPose(camera, 0);
+    invalidate();
+  }, [camera, invalidate]);
+  
+  return null;
+}
+
+function FloatingParticles({ seed }) {
   const particlesRef = useRef();
+  const frameRef = useRef(0);
+  const quality = useQuality();
+  const count = Math.round(300 * quality.nodeScale);
   
-  const { positions, colors, sizes } = useMemo(() => {
-    const count = 300; // Increased particle count
+  const { positions, colors, sizes, baseSizes } = useMemo(() => {
     const positions = new Float32Array(count * 3);
     const colors = new Float32Array(count * 3);
     const sizes = new Float32Array(count);
+    const random = createRandom(subSeed(seed, 'particles'));
     
     for (let i = 0; i < count; i++) {
       // Enhanced distribution with multiple layers
-      const layer = Math.floor(i / 100);
+      const layer = Math.floor((i / count) * 3);
       const baseRadius = 7 + layer * 2;
-      const radius = baseRadius + Math.random() * 3;
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
+      const radius = baseRadius + random() * 3;
+      const theta = random() * Math.PI * 2;
+      const phi = Math.acos(2 * random() - 1);
       
       positions[i * 3] = radius * Math.sin(phi) * Math.cos(theta);
       positions[i * 3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
       positions[i * 3 + 2] = radius * Math.cos(phi);
       
       // Dimmed color variety with darker gradients
-      const t = Math.random();
+      const t = random();
       colors[i * 3] = 0.0 + t * 0.2;     // R: 0.0 to 0.2
       colors[i * 3 + 1] = 0.2 + t * 0.25; // G: 0.2 to 0.45  
       colors[i * 3 + 2] = 0.3 + t * 0.2; // B: 0.3 to 0.5
       
-      sizes[i] = 0.8 + Math.random() * 2.2;
+      sizes[i] = 0.8 + random() * 2.2;
     }
     
-    return { positions, colors, sizes };
-  }, []);
+    // Pulsing scales these seeded sizes, so a pinned seed renders the same every time
+    return { positions, colors, sizes, baseSizes: sizes.slice() };
+  }, [count, seed]);
   
   useFrame((state) => {
     const time = state.clock.elapsedTime;
@@ -421,8 +521,12 @@ function FloatingParticles() {
       particlesRef.current.position.x = Math.cos(time * 0.1) * orbitRadius;
       particlesRef.current.position.z = Math.sin(time * 0.1) * orbitRadius;
       particlesRef.current.position.y = Math.sin(time * 0.08) * 0.2;
-      
-      // Animate individual particle positions for floating effect
+    }
+    
+    // Animate individual particle positions for floating effect, every N frames as set by the quality tier (off on the lowest)
+    const updateInterval = quality.particleUpdateInterval;
+    frameRef.current += 1;
+    if (particlesRef.current && updateInterval > 0 && frameRef.current % updateInterval === 0) {
       const positions = particlesRef.current.geometry.attributes.position.array;
       const colors = particlesRef.current.geometry.attributes.color.array;
       const sizes = particlesRef.current.geometry.attributes.size.array;
@@ -440,7 +544,7 @@ function FloatingParticles() {
         
         // Animate particle sizes for pulsing effect
         const sizePulse = 1 + Math.sin(time * 1.5 + index * 0.5) * 0.3;
-        sizes[index] = (0.8 + Math.random() * 2.2) * sizePulse;
+        sizes[index] = baseSizes[index] * sizePulse;
         
         // Subtle color animation
         const colorShift = Math.sin(time * 0.5 + index * 0.3) * 0.1;
@@ -456,7 +560,7 @@ function FloatingParticles() {
   
   return (
     <points ref={particlesRef}>
-      <bufferGeometry>
+      <bufferGeometry key={count}>
         <bufferAttribute
           attach="attributes-position"
           array={positions}
@@ -487,23 +591,17 @@ function FloatingParticles() {
   );
 }
 
-export default function AppDostSphereBackground() {
+export default function AppDostSphereBackground({ seed }) {
+  const { reducedMotion, interactive } = useBackgroundActivity();
+  const interactionRef = useBackgroundInteraction(interactive);
+  
   return (
     <div className="w-full h-full overflow-hidden">
       {/* Enhanced gradient background with better visibility */}
-      <div 
-        className="absolute inset-0"
-        style={{
-          background: `
-            radial-gradient(circle at 30% 20%, rgba(0, 165, 164, 0.15) 0%, transparent 60%),
-            radial-gradient(circle at 70% 80%, rgba(124, 255, 178, 0.1) 0%, transparent 70%),
-            linear-gradient(135deg, #000000 0%, #0a0a0a 20%, #0f1419 40%, #1a252f 60%, #000510 80%, #000000 100%)
-          `
-        }}
-      />
+      <BackgroundPlaceholder />
       
       {/* 3D Canvas with animated camera */}
-      <Canvas
+      <BackgroundCanvas
         camera={{ 
           position: [0, 0, 6], 
           fov: 75,
@@ -546,17 +644,20 @@ export default function AppDostSphereBackground() {
           decay={1.2}
         />
         
-        {/* Main sphere network */}
-        <AppDostSphere />
-        
-        {/* Floating background particles */}
-        <FloatingParticles />
+        {/* Pointer and scroll response (rests at identity when not interactive) */}
+        <InteractionRig interactionRef={interactionRef}>
+          {/* Main sphere network */}
+          <AppDostSphere seed={seed} interactionRef={interactionRef} />
+          
+          {/* Floating background particles */}
+          <FloatingParticles seed={seed} />
+        </InteractionRig>
         
-        {/* Camera animation for immersive movement */}
-        <CameraAnimation />
+        {/* Camera animation for immersive movement (held still for reduced motion) */}
+        {reducedMotion ? <StillCamera /> : <CameraAnimation />}
         
         {/* No fog for maximum visibility */}
-      </Canvas>
+      </BackgroundCanvas>
       
       {/* Enhanced glow overlay with better visibility */}
       <div 
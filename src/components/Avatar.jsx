@@ -0,0 +1,40 @@
+/**
+ * Avatar component for a person's photo
+ * Shows their initials instead when the image is still a placeholder path
+ * or fails to load
+ */
+import { useState } from 'react'
+import { cn, getInitials, isPlaceholderImage } from '../utils/helpers'
+
+const Avatar = ({ src, name, className }) => {
+  const [failedSrc, setFailedSrc] = useState(null)
+  const showImage = !isPlaceholderImage(src) && failedSrc !== src
+
+  if (showImage) {
+    return (
+      <img
+        src={src}
+        alt={name}
+        loading="lazy"
+        decoding="async"
+        onError={() => setFailedSrc(src)}
+        className={cn('rounded-full object-cover', className)}
+      />
+    )
+  }
+
+  return (
+    <div
+      role="img"
+      aria-label={name}
+      className={cn(
+        'rounded-full bg-gradient-to-br from-primary-600 to-accent flex items-center justify-center text-white font-display font-bold text-2xl',
+        className
+      )}
+    >
+      <span aria-hidden="true">{getInitials(name)}</span>
+    </div>
+  )
+}
+
+export default Avatar
@@ -0,0 +1,96 @@
+/**
+ * BackgroundCanvas - shared R3F Canvas for the WebGL backgrounds
+ * Runs the adaptive quality governor, caps DPR to the current tier,
+ * exposes the tier to the scene through QualityContext and switches to
+ * on-demand rendering while the background is inactive or motion is reduced
+ * (a single still frame is drawn). A WebGL context that is lost and not
+ * restored in time is rethrown so NetworkBackground can fall back
+ */
+import { useState, useEffect, useRef } from 'react'
+import { Canvas, useFrame } from '@react-three/fiber'
+import { QualityContext } from '../hooks/useQuality'
+import { useBackgroundActivity } from '../hooks/useBackgroundActivity'
+import { QUALITY_TIERS, createQualityGovernor, getInitialQualityTier } from '../utils/quality'
+
+// How long the browser gets to restore a lost WebGL context before we give up on it
+const CONTEXT_RESTORE_TIMEOUT = 3000
+
+// Feeds rendered frame times into the governor
+const FrameSampler = ({ governor }) => {
+  useFrame((_state, delta) => {
+    governor.sample(delta * 1000)
+  })
+
+  return null
+}
+
+const BackgroundCanvas = ({
+  children,
+  dpr = [1, 2],
+  adaptive = true,
+  frameloop = 'always',
+  onCreated,
+  ...props
+}) => {
+  const { isActive, reducedMotion } = useBackgroundActivity()
+  const isAnimating = isActive && !reducedMotion
+  const [contextError, setContextError] = useState(null)
+  const restoreTimerRef = useRef(null)
+  const [tierIndex, setTierIndex] = useState(getInitialQualityTier)
+  const [governor] = useState(() => createQualityGovernor({
+    initialTier: tierIndex,
+    onChange: setTierIndex
+  }))
+
+  // Frames measured before a pause say nothing about performance after it
+  useEffect(() => {
+    if (isAnimating) governor.reset()
+  }, [isAnimating, governor])
+
+  useEffect(() => {
+    return () => clearTimeout(restoreTimerRef.current)
+  }, [])
+
+  // Surface permanent context loss to the nearest error boundary
+  if (contextError) {
+    throw contextError
+  }
+
+  const handleCreated = (state) => {
+    const canvas = state.gl.domElement
+
+    canvas.addEventListener('webglcontextlost', () => {
+      clearTimeout(restoreTimerRef.current)
+      restoreTimerRef.current = setTimeout(() => {
+        setContextError(new Error('WebGL context lost and not restored'))
+      }, CONTEXT_RESTORE_TIMEOUT)
+    })
+
+    // three.js rebuilds its GPU state on restore, so only the pending fallback needs cancelling
+    canvas.addEventListener('webglcontextrestored', () => {
+      clearTimeout(restoreTimerRef.current)
+    })
+
+    onCreated?.(state)
+  }
+
+  const tier = QUALITY_TIERS[tierIndex]
+  const [minDpr, maxDpr] = Array.isArray(dpr) ? dpr : [Math.min(1, dpr), dpr]
+  const cappedDpr = Math.min(maxDpr, tier.dpr)
+
+  return (
+    <QualityContext.Provider value={tier}>
+      <Canvas
+        {...props}
+        dpr={[Math.min(minDpr, cappedDpr), cappedDpr]}
+        frameloop={isAnimating ? frameloop : 'demand'}
+        onCreated={handleCreated}
+      >
+        {adaptive && <FrameSampler governor={governor} />}
+        {children}
+      </Canvas>
+    </QualityContext.Provider>
+  )
+}
+
+export default BackgroundCanvas
@@ -0,0 +1,31 @@
+/**
+ * Error boundary around a background renderer
+ * Renders nothing once the renderer throws and reports the error so the
+ * caller can move on to the next renderer in the fallback chain
+ */
+import { Component } from 'react'
+
+class BackgroundErrorBoundary extends Component {
+  constructor(props) {
+    super(props)
+    this.state = { hasError: false }
+  }
+
+  static getDerivedStateFromError() {
+    return { hasError: true }
+  }
+
+  componentDidCatch(error) {
+    this.props.onError?.(error)
+  }
+
+  render() {
+    if (this.state.hasError) {
+      return this.props.fallback ?? null
+    }
+
+    return this.props.children
+  }
+}
+
+export default BackgroundErrorBoundary
@@ -0,0 +1,21 @@
+/**
+ * Static gradient shown behind (and before) the network backgrounds
+ * Pure CSS so it paints with the first frame and never competes with the Hero text for LCP
+ */
+const BackgroundPlaceholder = ({ className = 'absolute inset-0' }) => {
+  return (
+    <div
+      className={className}
+      aria-hidden="true"
+      style={{
+        background: `
+          radial-gradient(circle at 30% 20%, rgba(0, 165, 164, 0.15) 0%, transparent 60%),
+          radial-gradient(circle at 70% 80%, rgba(124, 255, 178, 0.1) 0%, transparent 70%),
+          linear-gradient(135deg, #000000 0%, #0a0a0a 20%, #0f1419 40%, #1a252f 60%, #000510 80%, #000000 100%)
+        `
+      }}
+    />
+  )
+}
+
+export default BackgroundPlaceholder
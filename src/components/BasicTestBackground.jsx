@@ -3,7 +3,8 @@
  * Simple test to ensure Three.js is working
  */
 import { useRef } from 'react'
-import { Canvas, useFrame } from '@react-three/fiber'
+import { useFrame } from '@react-three/fiber'
+import BackgroundCanvas from './BackgroundCanvas'
 
 // Simple spinning cube to test Three.js
 const TestCube = () => {
@@ -47,14 +48,14 @@ const BasicTestBackground = () => {
         Testing Three.js Visibility
       </div>
 
-      <Canvas
+      <BackgroundCanvas
         camera={{ position: [0, 0, 5] }}
         style={{ width: '100%', height: '100%' }}
       >
         <ambientLight intensity={0.5} />
         <pointLight position={[10, 10, 10]} />
         <TestCube />
-      </Canvas>
+      </BackgroundCanvas>
 
       {/* Visible overlay */}
       <div style={{
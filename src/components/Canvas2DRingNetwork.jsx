@@ -3,13 +3,16 @@
  * Using Canvas 2D API for guaranteed rendering
  */
 import { useRef, useEffect } from 'react'
+import { useBackgroundActivity } from '../hooks/useBackgroundActivity'
 
 const Canvas2DRingNetwork = () => {
   const canvasRef = useRef()
+  const { isActive, reducedMotion } = useBackgroundActivity()
 
   useEffect(() => {
     const canvas = canvasRef.current
-    if (!canvas) return
+    // While inactive the loop stays stopped and the canvas keeps its last frame
+    if (!canvas || !isActive) return
 
     const ctx = canvas.getContext('2d')
     let animationId
@@ -112,7 +115,10 @@ const Canvas2DRingNetwork = () => {
         ctx.fillStyle = '#00ffff'
       })
 
-      animationId = requestAnimationFrame(animate)
+      // Reduced motion keeps the first frame as a still image
+      if (!reducedMotion) {
+        animationId = requestAnimationFrame(animate)
+      }
     }
 
     animate(0)
@@ -121,7 +127,7 @@ const Canvas2DRingNetwork = () => {
       cancelAnimationFrame(animationId)
       window.removeEventListener('resize', updateSize)
     }
-  }, [])
+  }, [isActive, reducedMotion])
 
   return (
     <div style={{
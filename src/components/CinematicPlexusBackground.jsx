@@ -4,9 +4,10 @@
  * Electric blue to neon green gradient with volumetric lighting and bloom effects
  */
 import { useRef, useMemo } from 'react'
-import { Canvas, useFrame, extend } from '@react-three/fiber'
+import { useFrame, extend } from '@react-three/fiber'
 import { shaderMaterial } from '@react-three/drei'
 import * as THREE from 'three'
+import BackgroundCanvas from './BackgroundCanvas'
 
 // Advanced plexus shader with gradient and depth effects
 const PlexusShaderMaterial = shaderMaterial(
@@ -317,7 +318,7 @@ const VolumetricAtmosphere = () => {
 const CinematicPlexusBackground = () => {
   return (
     <div className="fixed inset-0 w-full h-full bg-gradient-to-b from-[#0a1428] to-[#041018] flex items-center justify-center">
-      <Canvas
+      <BackgroundCanvas
         camera={{ 
           position: [0, 0, 12], 
           fov: 50,
@@ -373,7 +374,7 @@ const CinematicPlexusBackground = () => {
 
         {/* Atmospheric fog for depth of field */}
         <fog attach="fog" args={['#041018', 8, 25]} />
-      </Canvas>
+      </BackgroundCanvas>
 
       {/* Bloom effect overlay */}
       <div 
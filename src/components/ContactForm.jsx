@@ -0,0 +1,259 @@
+/**
+ * ContactForm component for project enquiries
+ * Validates each field on blur and everything on submit, then posts to the
+ * contact endpoint. Status moves idle -> submitting -> success | error, and
+ * editing after a success or error returns it to idle. Submissions pass the
+ * anti-spam checks first; bots caught by the honeypot are shown a success.
+ * A `?service=<slug>` in the URL preselects the service
+ */
+import { useEffect, useMemo, useReducer, useRef } from 'react'
+import { cn } from '../utils/helpers'
+import { useRoute } from '../hooks/useRoute'
+import { useContent } from '../hooks/useContent'
+import { useLocale } from '../hooks/useLocale'
+import { useSpamGuard } from '../hooks/useSpamGuard'
+import { SPAM_REASONS } from '../services/antiSpam'
+import HoneypotField from './HoneypotField'
+import {
+  CONTACT_FIELDS,
+  EMPTY_CONTACT_FORM,
+  MESSAGE_MAX_LENGTH,
+  validateContactField,
+  validateContactForm,
+  submitContactForm
+} from '../services/contact'
+
+// Message keys (under contact.failure) for why a submission didn't go through
+const FAILURE_MESSAGES = {
+  [SPAM_REASONS.TOO_FAST]: 'tooFast',
+  [SPAM_REASONS.RATE_LIMITED]: 'rateLimited'
+}
+
+const initialState = {
+  status: 'idle', // idle, submitting, success, error
+  values: EMPTY_CONTACT_FORM,
+  errors: {},
+  touched: {},
+  failure: null
+}
+
+const formReducer = (state, action) => {
+  switch (action.type) {
+    case 'change': {
+      const { field, value } = action
+      const errors = state.touched[field]
+        ? { ...state.errors, [field]: validateContactField(field, value, action.locale) }
+        : state.errors
+      return {
+        ...state,
+        status: state.status === 'submitting' ? state.status : 'idle',
+        values: { ...state.values, [field]: value },
+        errors
+      }
+    }
+    case 'blur':
+      return {
+        ...state,
+        touched: { ...state.touched, [action.field]: true },
+        errors: { ...state.errors, [action.field]: validateContactField(action.field, state.values[action.field], action.locale) }
+      }
+    case 'invalid':
+      return {
+        ...state,
+        errors: action.errors,
+        touched: Object.fromEntries(CONTACT_FIELDS.map((field) => [field, true]))
+      }
+    case 'submit':
+      return { ...state, status: 'submitting', errors: {} }
+    case 'success':
+      return { ...initialState, status: 'success' }
+    case 'failure':
+      return { ...state, status: 'error', failure: FAILURE_MESSAGES[action.reason] ?? 'default' }
+    default:
+      return state
+  }
+}
+
+const inputClassName = 'w-full px-4 py-3 bg-black/20 border rounded-xl text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-cyan-400 focus:border-transparent backdrop-blur-sm'
+
+const ContactForm = () => {
+  const [state, dispatch] = useReducer(formReducer, initialState)
+  const formRef = useRef(null)
+  const spamGuard = useSpamGuard('contact')
+  const { status, values, errors } = state
+  const isSubmitting = status === 'submitting'
+  const { location } = useRoute()
+  const company = useContent('company')
+  const services = useContent('services')
+  const { locale, t } = useLocale()
+
+  const serviceOptions = useMemo(() => {
+    return services.map((service) => ({ value: service.slug, label: service.title }))
+  }, [services])
+
+  // Each ?service value is applied once, so a language switch or newly loaded
+  // services don't undo a service the visitor picked since
+  const requestedService = new URLSearchParams(location.search).get('service')
+  const appliedServiceRef = useRef(null)
+  useEffect(() => {
+    if (requestedService === appliedServiceRef.current) return
+    if (serviceOptions.some((option) => option.value === requestedService)) {
+      appliedServiceRef.current = requestedService
+      dispatch({ type: 'change', field: 'service', value: requestedService, locale })
+    }
+  }, [requestedService, serviceOptions, locale])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (isSubmitting) return
+
+    const validationErrors = validateContactForm(values, locale)
+    if (Object.keys(validationErrors).length > 0) {
+      dispatch({ type: 'invalid', errors: validationErrors })
+      // Move focus to the first problem so screen reader users hear its message
+      const firstInvalid = CONTACT_FIELDS.find((field) => validationErrors[field])
+      formRef.current?.elements[firstInvalid]?.focus()
+      return
+    }
+
+    dispatch({ type: 'submit' })
+
+    const spamCheck = await spamGuard.check()
+    if (!spamCheck.ok) {
+      if (spamCheck.reason === SPAM_REASONS.HONEYPOT) {
+        dispatch({ type: 'success' })
+      } else {
+        dispatch({ type: 'failure', reason: spamCheck.reason })
+      }
+      return
+    }
+
+    try {
+      await submitContactForm(values, { challengeToken: spamCheck.token })
+      spamGuard.record()
+      dispatch({ type: 'success' })
+    } catch (error) {
+      console.warn('Contact form submission failed:', error)
+      dispatch({ type: 'failure' })
+    }
+  }
+
+  // Shared props for every field: value, change/blur handlers and error wiring
+  const fieldProps = (field) => ({
+    id: `contact-${field}`,
+    name: field,
+    value: values[field],
+    disabled: isSubmitting,
+    onChange: (e) => dispatch({ type: 'change', field, value: e.target.value, locale }),
+    onBlur: () => dispatch({ type: 'blur', field, locale }),
+    'aria-invalid': errors[field] ? true : undefined,
+    'aria-describedby': errors[field] ? `contact-${field}-error` : undefined,
+    className: cn(inputClassName, errors[field] ? 'border-red-400' : 'border-white/20')
+  })
+
+  const fieldError = (field) => errors[field] && (
+    <p id={`contact-${field}-error`} className="text-red-400 text-sm mt-2">
+      {errors[field]}
+    </p>
+  )
+
+  return (
+    <form ref={formRef} onSubmit={handleSubmit} noValidate className="space-y-6">
+      <HoneypotField {...spamGuard.honeypotProps} />
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <label htmlFor="contact-name" className="block text-white font-medium mb-2">
+            {t('contact.name')}
+          </label>
+          <input
+            type="text"
+            autoComplete="name"
+            placeholder={t('contact.namePlaceholder')}
+            aria-required="true"
+            {...fieldProps('name')}
+          />
+          {fieldError('name')}
+        </div>
+        <div>
+          <label htmlFor="contact-email" className="block text-white font-medium mb-2">
+            {t('contact.email')}
+          </label>
+          <input
+            type="email"
+            autoComplete="email"
+            placeholder={t('contact.emailPlaceholder')}
+            aria-required="true"
+            {...fieldProps('email')}
+          />
+          {fieldError('email')}
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor="contact-company" className="block text-white font-medium mb-2">
+          {t('contact.company')}
+        </label>
+        <input
+          type="text"
+          autoComplete="organization"
+          placeholder={t('contact.companyPlaceholder')}
+          {...fieldProps('company')}
+        />
+      </div>
+
+      <div>
+        <label htmlFor="contact-service" className="block text-white font-medium mb-2">
+          {t('contact.service')}
+        </label>
+        <select {...fieldProps('service')}>
+          <option value="">{t('contact.servicePlaceholder')}</option>
+          {serviceOptions.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label htmlFor="contact-message" className="block text-white font-medium mb-2">
+          {t('contact.message')}
+        </label>
+        <textarea
+          rows={4}
+          maxLength={MESSAGE_MAX_LENGTH}
+          placeholder={t('contact.messagePlaceholder')}
+          aria-required="true"
+          {...fieldProps('message')}
+        />
+        {fieldError('message')}
+      </div>
+
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="w-full btn-primary justify-center disabled:opacity-50"
+      >
+        {isSubmitting ? t('contact.sending') : t('contact.send')}
+      </button>
+
+      {/* Announced by screen readers when the status changes */}
+      <div aria-live="polite">
+        {status === 'success' && (
+          <p role="status" className="text-accent text-center">
+            {t('contact.success')}
+          </p>
+        )}
+        {status === 'error' && (
+          <p role="alert" className="text-red-400 text-center">
+            {t(`contact.failure.${state.failure}`)}{' '}
+            <a href={`mailto:${company.email}`} className="underline">{company.email}</a>.
+          </p>
+        )}
+      </div>
+    </form>
+  )
+}
+
+export default ContactForm
@@ -0,0 +1,42 @@
+/**
+ * ContentProvider - serves site content from the configured content source
+ * Renders with the bundled content straight away and swaps in the source's
+ * content once it loads, so a slow or failing source never holds up the page.
+ * Content follows the language of the current URL; switching language shows
+ * the bundled translation until the source answers for the new locale
+ */
+import { useState, useEffect } from 'react'
+import { ContentContext } from '../hooks/useContent'
+import { useRoute } from '../hooks/useRoute'
+import { getBundledContent, getContentSource } from '../services/contentSource'
+
+const ContentProvider = ({ children }) => {
+  const { locale } = useRoute().route
+  const [loaded, setLoaded] = useState(() => ({ locale, content: getBundledContent(locale) }))
+
+  useEffect(() => {
+    let cancelled = false
+
+    getContentSource().load(locale)
+      .then((content) => {
+        if (!cancelled) setLoaded({ locale, content })
+      })
+      .catch((error) => {
+        if (import.meta.env.DEV) console.warn('Loading content failed, using bundled content:', error)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [locale])
+
+  const content = loaded.locale === locale ? loaded.content : getBundledContent(locale)
+
+  return (
+    <ContentContext.Provider value={content}>
+      {children}
+    </ContentContext.Provider>
+  )
+}
+
+export default ContentProvider
@@ -1,164 +1,14 @@
-import React, { useMemo, useRef } from 'react';
-import { Canvas, useFrame } from '@react-three/fiber';
-import { Points, Line } from '@react-three/drei';
+import React, { useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Points } from '@react-three/drei';
 import * as THREE from 'three';
+import BackgroundCanvas from './BackgroundCanvas';
+import PlexusLines from './PlexusLines';
+import { useQuality } from '../hooks/useQuality';
+import { useNetwork } from '../hooks/useNetwork';
 
-// Configurable plexus network generator
+// Configurable plexus backgrounds (node shapes and colour schemes live in utils/networkGenerators)
 const PlexusConfigurations = {
-  // Shape configurations
-  shapes: {
-    fracturedChaotic: (nodeCount) => {
-      const nodes = [];
-      for (let i = 0; i < nodeCount; i++) {
-        let x, y, z;
-        
-        if (i < nodeCount * 0.3) {
-          // Dense central cluster
-          const angle = Math.random() * Math.PI * 2;
-          const radius = Math.random() * 0.5;
-          x = Math.cos(angle) * radius + (Math.random() - 0.5) * 0.4;
-          y = Math.sin(angle) * radius + (Math.random() - 0.5) * 0.4;
-          z = (Math.random() - 0.5) * 0.6;
-        } else if (i < nodeCount * 0.6) {
-          // Scattered outer fragments
-          x = (Math.random() - 0.5) * 3;
-          y = (Math.random() - 0.5) * 3;
-          z = (Math.random() - 0.5) * 3;
-        } else {
-          // Crystalline formations
-          const clusterIndex = Math.floor(Math.random() * 5);
-          const clusterCenter = [
-            [(Math.random() - 0.5) * 2, (Math.random() - 0.5) * 2, (Math.random() - 0.5) * 2],
-            [(Math.random() - 0.5) * 2, (Math.random() - 0.5) * 2, (Math.random() - 0.5) * 2],
-            [(Math.random() - 0.5) * 2, (Math.random() - 0.5) * 2, (Math.random() - 0.5) * 2],
-            [(Math.random() - 0.5) * 2, (Math.random() - 0.5) * 2, (Math.random() - 0.5) * 2],
-            [(Math.random() - 0.5) * 2, (Math.random() - 0.5) * 2, (Math.random() - 0.5) * 2]
-          ][clusterIndex];
-          
-          x = clusterCenter[0] + (Math.random() - 0.5) * 0.3;
-          y = clusterCenter[1] + (Math.random() - 0.5) * 0.3;
-          z = clusterCenter[2] + (Math.random() - 0.5) * 0.3;
-        }
-        nodes.push([x, y, z]);
-      }
-      return nodes;
-    },
-    
-    symmetricalSphere: (nodeCount) => {
-      const nodes = [];
-      const phi = Math.PI * (3 - Math.sqrt(5)); // Golden angle
-      
-      for (let i = 0; i < nodeCount; i++) {
-        const y = 1 - (i / (nodeCount - 1)) * 2;
-        const radius = Math.sqrt(1 - y * y) * 1.5;
-        const theta = phi * i;
-        
-        const x = Math.cos(theta) * radius;
-        const z = Math.sin(theta) * radius;
-        nodes.push([x, y * 1.5, z]);
-      }
-      return nodes;
-    },
-    
-    wireframeCube: (nodeCount) => {
-      const nodes = [];
-      const edgeNodes = Math.floor(Math.cbrt(nodeCount));
-      
-      for (let x = 0; x < edgeNodes; x++) {
-        for (let y = 0; y < edgeNodes; y++) {
-          for (let z = 0; z < edgeNodes; z++) {
-            // Only create nodes on the cube edges/faces
-            if (x === 0 || x === edgeNodes - 1 || 
-                y === 0 || y === edgeNodes - 1 || 
-                z === 0 || z === edgeNodes - 1) {
-              nodes.push([
-                (x / (edgeNodes - 1) - 0.5) * 2,
-                (y / (edgeNodes - 1) - 0.5) * 2,
-                (z / (edgeNodes - 1) - 0.5) * 2
-              ]);
-            }
-          }
-        }
-      }
-      return nodes;
-    },
-    
-    chaoticCloud: (nodeCount) => {
-      const nodes = [];
-      for (let i = 0; i < nodeCount; i++) {
-        // Completely random distribution with some clustering
-        const clusterCenter = [
-          (Math.random() - 0.5) * 2,
-          (Math.random() - 0.5) * 2,
-          (Math.random() - 0.5) * 2
-        ];
-        
-        const x = clusterCenter[0] + (Math.random() - 0.5) * 1.5;
-        const y = clusterCenter[1] + (Math.random() - 0.5) * 1.5;
-        const z = clusterCenter[2] + (Math.random() - 0.5) * 1.5;
-        
-        nodes.push([x, y, z]);
-      }
-      return nodes;
-    },
-    
-    concentricRings: (nodeCount) => {
-      const nodes = [];
-      const rings = 5;
-      const nodesPerRing = Math.floor(nodeCount / rings);
-      
-      for (let ring = 0; ring < rings; ring++) {
-        const radius = (ring + 1) * 0.3;
-        for (let i = 0; i < nodesPerRing; i++) {
-          const angle = (i / nodesPerRing) * Math.PI * 2;
-          const x = Math.cos(angle) * radius;
-          const z = Math.sin(angle) * radius;
-          const y = (Math.random() - 0.5) * 0.5;
-          nodes.push([x, y, z]);
-        }
-      }
-      return nodes;
-    }
-  },
-  
-  // Color configurations
-  colorSchemes: {
-    cyanTurquoise: (depth) => {
-      const r = 0.0 + depth * 0.2;
-      const g = 0.8 + depth * 0.2;
-      const b = 1.0 - depth * 0.3;
-      return [r, g, b];
-    },
-    
-    fieryOrange: (depth) => {
-      const r = 1.0;
-      const g = 0.4 + depth * 0.6;
-      const b = 0.0 + depth * 0.3;
-      return [r, g, b];
-    },
-    
-    synthwavePink: (depth) => {
-      const r = 1.0 - depth * 0.2;
-      const g = 0.0 + depth * 0.4;
-      const b = 0.8 + depth * 0.2;
-      return [r, g, b];
-    },
-    
-    cyberpunkGreen: (depth) => {
-      const r = 0.8 - depth * 0.6;
-      const g = 1.0;
-      const b = 0.0 + depth * 0.4;
-      return [r, g, b];
-    },
-    
-    iceBlue: (depth) => {
-      const r = 0.7 + depth * 0.3;
-      const g = 0.9 + depth * 0.1;
-      const b = 1.0;
-      return [r, g, b];
-    }
-  },
-  
   // Background configurations
   backgrounds: {
     darkTealNavy: `
@@ -250,85 +100,6 @@ const CustomPlexusShader = {
   `
 };
 
-// Generate network with configuration
-function generateConfigurableNetwork(
-  nodeCount = 200, 
-  shapeType = 'fracturedChaotic',
-  colorScheme = 'cyanTurquoise',
-  connectionDistance = 0.3,
-  maxConnections = 8
-) {
-  const shapeGenerator = PlexusConfigurations.shapes[shapeType];
-  const colorGenerator = PlexusConfigurations.colorSchemes[colorScheme];
-  
-  if (!shapeGenerator || !colorGenerator) {
-    console.warn('Invalid shape or color scheme specified');
-    return { nodes: [], connections: [] };
-  }
-  
-  const nodePositions = shapeGenerator(nodeCount);
-  const nodes = nodePositions.map((position, i) => {
-    const depth = (position[2] + 2) / 4; // Normalize z to 0-1
-    const color = colorGenerator(depth);
-    
-    return {
-      position,
-      color,
-      opacity: 0.6 + Math.random() * 0.4,
-      size: 1.5 + Math.random() * 1.0
-    };
-  });
-  
-  // Create connections
-  const connections = [];
-  const connectionLines = [];
-  
-  nodes.forEach((node, i) => {
-    let connectionCount = 0;
-    
-    nodes.forEach((otherNode, j) => {
-      if (i !== j && connectionCount < maxConnections) {
-        const distance = Math.sqrt(
-          Math.pow(node.position[0] - otherNode.position[0], 2) +
-          Math.pow(node.position[1] - otherNode.position[1], 2) +
-          Math.pow(node.position[2] - otherNode.position[2], 2)
-        );
-        
-        if (distance < connectionDistance) {
-          const connectionExists = connections.some(conn => 
-            (conn.start === i && conn.end === j) || (conn.start === j && conn.end === i)
-          );
-          
-          if (!connectionExists) {
-            connections.push({ start: i, end: j, distance });
-            
-            const linePositions = [
-              ...node.position,
-              ...otherNode.position
-            ];
-            
-            const lineColor = [
-              (node.color[0] + otherNode.color[0]) / 2,
-              (node.color[1] + otherNode.color[1]) / 2,
-              (node.color[2] + otherNode.color[2]) / 2
-            ];
-            
-            connectionLines.push({
-              positions: linePositions,
-              color: lineColor,
-              opacity: Math.max(node.opacity, otherNode.opacity) * 0.7
-            });
-            
-            connectionCount++;
-          }
-        }
-      }
-    });
-  });
-  
-  return { nodes, connections: connectionLines };
-}
-
 // Configurable plexus component
 function ConfigurablePlexus({ 
   nodeCount = 200, 
@@ -337,37 +108,23 @@ function ConfigurablePlexus({
   colorScheme = 'cyanTurquoise',
   connectionDistance = 0.3,
   maxConnections = 8,
-  lineWidth = 1
+  lineWidth = 1,
+  seed
 }) {
   const meshRef = useRef();
   const lineGroupRef = useRef();
+  const quality = useQuality();
+  const scaledNodeCount = Math.round(nodeCount * quality.nodeScale);
   
-  const networkData = useMemo(() => 
-    generateConfigurableNetwork(nodeCount, shapeType, colorScheme, connectionDistance, maxConnections), 
-    [nodeCount, shapeType, colorScheme, connectionDistance, maxConnections]
-  );
-  
-  const { nodePositions, nodeColors, nodeOpacities, nodeSizes } = useMemo(() => {
-    const positions = new Float32Array(networkData.nodes.length * 3);
-    const colors = new Float32Array(networkData.nodes.length * 3);
-    const opacities = new Float32Array(networkData.nodes.length);
-    const sizes = new Float32Array(networkData.nodes.length);
-    
-    networkData.nodes.forEach((node, i) => {
-      positions[i * 3] = node.position[0];
-      positions[i * 3 + 1] = node.position[1];
-      positions[i * 3 + 2] = node.position[2];
-      
-      colors[i * 3] = node.color[0];
-      colors[i * 3 + 1] = node.color[1];
-      colors[i * 3 + 2] = node.color[2];
-      
-      opacities[i] = node.opacity;
-      sizes[i] = node.size;
-    });
-    
-    return { nodePositions: positions, nodeColors: colors, nodeOpacities: opacities, nodeSizes: sizes };
-  }, [networkData]);
+  // Large networks are built in a worker; nothing is drawn until the first one arrives
+  const networkData = useNetwork('configurable', {
+    nodeCount: scaledNodeCount,
+    shapeType,
+    colorScheme,
+    connectionDistance,
+    maxConnections,
+    seed
+  });
   
   useFrame((state) => {
     if (meshRef.current && lineGroupRef.current) {
@@ -383,32 +140,34 @@ function ConfigurablePlexus({
     }
   });
   
+  if (!networkData) return null;
+  
   return (
     <>
       <Points ref={meshRef}>
-        <bufferGeometry>
+        <bufferGeometry key={networkData.nodeCount}>
           <bufferAttribute
             attach="attributes-position"
-            array={nodePositions}
-            count={nodePositions.length / 3}
+            array={networkData.positions}
+            count={networkData.positions.length / 3}
             itemSize={3}
           />
           <bufferAttribute
             attach="attributes-color"
-            array={nodeColors}
-            count={nodeColors.length / 3}
+            array={networkData.colors}
+            count={networkData.colors.length / 3}
             itemSize={3}
           />
           <bufferAttribute
             attach="attributes-opacity"
-            array={nodeOpacities}
-            count={nodeOpacities.length}
+            array={networkData.opacities}
+            count={networkData.opacities.length}
             itemSize={1}
           />
           <bufferAttribute
             attach="attributes-size"
-            array={nodeSizes}
-            count={nodeSizes.length}
+            array={networkData.sizes}
+            count={networkData.sizes.length}
             itemSize={1}
           />
         </bufferGeometry>
@@ -422,19 +181,7 @@ function ConfigurablePlexus({
       </Points>
       
       <group ref={lineGroupRef}>
-        {networkData.connections.map((connection, index) => (
-          <Line
-            key={index}
-            points={[
-              [connection.positions[0], connection.positions[1], connection.positions[2]],
-              [connection.positions[3], connection.positions[4], connection.positions[5]]
-            ]}
-            color={new THREE.Color(connection.color[0], connection.color[1], connection.color[2])}
-            lineWidth={lineWidth}
-            transparent
-            opacity={connection.opacity}
-          />
-        ))}
+        <PlexusLines network={networkData} lineWidth={lineWidth} />
       </group>
     </>
   );
@@ -449,7 +196,8 @@ export default function CustomizablePlexusBackground({
   animationSpeed = 0.2,
   connectionDistance = 0.3,
   maxConnections = 8,
-  lineWidth = 1
+  lineWidth = 1,
+  seed
 }) {
   const backgroundCSS = PlexusConfigurations.backgrounds[backgroundStyle] || 
                        PlexusConfigurations.backgrounds.darkTealNavy;
@@ -461,7 +209,7 @@ export default function CustomizablePlexusBackground({
         style={{ background: backgroundCSS }}
       />
       
-      <Canvas
+      <BackgroundCanvas
         camera={{ 
           position: [0, 0, 5], 
           fov: 60,
@@ -489,8 +237,9 @@ export default function CustomizablePlexusBackground({
           connectionDistance={connectionDistance}
           maxConnections={maxConnections}
           lineWidth={lineWidth}
+          seed={seed}
         />
-      </Canvas>
+      </BackgroundCanvas>
       
       <div 
         className="absolute inset-0 w-full h-full pointer-events-none"
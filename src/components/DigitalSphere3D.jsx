@@ -3,9 +3,10 @@
  * Creates a futuristic glowing sphere made of interconnected lines and nodes
  */
 import { useRef, useMemo } from 'react'
-import { Canvas, useFrame } from '@react-three/fiber'
+import { useFrame } from '@react-three/fiber'
 import { Points, Line, Text } from '@react-three/drei'
 import * as THREE from 'three'
+import BackgroundCanvas from './BackgroundCanvas'
 
 // Custom shader material for glowing neon effect
 const GlowMaterial = ({ color = '#00e0ff', intensity = 1 }) => {
@@ -217,7 +218,7 @@ const DigitalSphere = () => {
 const DigitalSphere3D = () => {
   return (
     <div className="fixed inset-0 w-full h-full z-0" style={{ background: 'linear-gradient(135deg, #071633 0%, #0a0f24 100%)' }}>
-      <Canvas
+      <BackgroundCanvas
         camera={{ 
           position: [0, 0, 8], 
           fov: 45,
@@ -263,7 +264,7 @@ const DigitalSphere3D = () => {
         </mesh>
 
         {/* Post-processing effects would go here */}
-      </Canvas>
+      </BackgroundCanvas>
 
       {/* Additional glow overlay */}
       <div 
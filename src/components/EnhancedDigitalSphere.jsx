@@ -3,9 +3,10 @@
  * Advanced shader-based glowing sphere with interconnected neural pathways
  */
 import { useRef, useMemo, useCallback } from 'react'
-import { Canvas, useFrame, extend } from '@react-three/fiber'
+import { useFrame, extend } from '@react-three/fiber'
 import { shaderMaterial } from '@react-three/drei'
 import * as THREE from 'three'
+import BackgroundCanvas from './BackgroundCanvas'
 
 // Custom glow shader material
 const GlowShaderMaterial = shaderMaterial(
@@ -308,7 +309,7 @@ const EnhancedDigitalSphere = () => {
         background: 'linear-gradient(135deg, #071633 0%, #0a0f24 50%, #051120 100%)' 
       }}
     >
-      <Canvas
+      <BackgroundCanvas
         camera={{ 
           position: [0, 2, 6], 
           fov: 50,
@@ -354,7 +355,7 @@ const EnhancedDigitalSphere = () => {
 
         {/* Fog for depth */}
         <fog attach="fog" args={['#071633', 8, 25]} />
-      </Canvas>
+      </BackgroundCanvas>
 
       {/* CSS glow overlay */}
       <div 
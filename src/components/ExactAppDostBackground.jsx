@@ -3,88 +3,14 @@
  * Precise recreation of the circular network pattern from the AppDost reference photo
  */
 import { useRef, useMemo } from 'react'
-import { Canvas, useFrame } from '@react-three/fiber'
-import * as THREE from 'three'
+import { useFrame } from '@react-three/fiber'
+import BackgroundCanvas from './BackgroundCanvas'
+import NetworkMesh from './NetworkMesh'
 
-// Simple glowing node exactly like AppDost photo
-const AppDostNode = ({ position, size = 0.06, intensity = 1.0, delay = 0 }) => {
-  const meshRef = useRef()
-  const glowRef = useRef()
-
-  useFrame((state) => {
-    if (meshRef.current && glowRef.current) {
-      const time = state.clock.elapsedTime + delay
-      
-      // Gentle pulsing like in AppDost
-      const pulse = Math.sin(time * 1.5 + delay * 2) * 0.2 + 0.8
-      
-      meshRef.current.scale.setScalar(size * pulse)
-      glowRef.current.scale.setScalar(size * 4 * pulse)
-      
-      // Update opacity
-      meshRef.current.material.opacity = intensity * pulse
-      glowRef.current.material.opacity = intensity * 0.25 * pulse
-    }
-  })
-
-  return (
-    <group position={position}>
-      {/* Bright core node */}
-      <mesh ref={meshRef}>
-        <circleGeometry args={[size, 8]} />
-        <meshBasicMaterial 
-          color="#00ffff" 
-          transparent 
-          opacity={0.9}
-        />
-      </mesh>
-      
-      {/* Soft glow halo */}
-      <mesh ref={glowRef}>
-        <circleGeometry args={[size * 4, 12]} />
-        <meshBasicMaterial 
-          color="#00aaff" 
-          transparent 
-          opacity={0.15}
-        />
-      </mesh>
-    </group>
-  )
-}
-
-// Simple connection line matching AppDost style
-const AppDostConnection = ({ start, end, intensity = 1.0, delay = 0 }) => {
-  const lineRef = useRef()
-
-  const points = useMemo(() => {
-    return [new THREE.Vector3(...start), new THREE.Vector3(...end)]
-  }, [start, end])
-
-  const geometry = useMemo(() => {
-    return new THREE.BufferGeometry().setFromPoints(points)
-  }, [points])
-
-  useFrame((state) => {
-    if (lineRef.current) {
-      const time = state.clock.elapsedTime + delay
-      
-      // Gentle animation
-      const pulse = Math.sin(time * 2 + delay * 3) * 0.3 + 0.7
-      lineRef.current.material.opacity = intensity * 0.5 * pulse
-    }
-  })
-
-  return (
-    <line ref={lineRef} geometry={geometry}>
-      <lineBasicMaterial 
-        color="#00d4ff" 
-        transparent 
-        opacity={0.5}
-        linewidth={1}
-      />
-    </line>
-  )
-}
+// Node pulse: 0.8 + 0.2 * sin(1.5t + 3.5 * delay) on both size and opacity
+const NODE_WAVE = { base: 0.8, amplitude: 0.2, speed: 1.5, phase: 3.5 }
+// Line opacity: 0.5 * (0.7 + 0.3 * sin(2t + 5 * delay))
+const LINE_WAVE = { base: 0.35, amplitude: 0.15, speed: 2, phase: 5 }
 
 // Main AppDost circular network exactly like the photo
 const AppDostCircleNetwork = () => {
@@ -111,7 +37,11 @@ const AppDostCircleNetwork = () => {
         position: [x, y, z],
         id: `circle_${i}`,
         angle: angle,
-        index: i
+        index: i,
+        size: 0.06,
+        color: '#00ffff',
+        haloColor: '#00aaff',
+        delay: i * 0.05
       }
       
       networkNodes.push(node)
@@ -203,7 +133,7 @@ const AppDostCircleNetwork = () => {
     
     return {
       nodes: networkNodes,
-      connections: networkConnections
+      connections: networkConnections.map((connection) => ({ ...connection, color: '#00d4ff' }))
     }
   }, [])
 
@@ -217,27 +147,14 @@ const AppDostCircleNetwork = () => {
 
   return (
     <group ref={groupRef}>
-      {/* Render connections first (behind nodes) */}
-      {connections.map((connection, index) => (
-        <AppDostConnection
-          key={`conn_${index}`}
-          start={connection.start}
-          end={connection.end}
-          intensity={connection.intensity}
-          delay={connection.delay}
-        />
-      ))}
-      
-      {/* Render nodes on top */}
-      {nodes.map((node, index) => (
-        <AppDostNode
-          key={`node_${node.id}`}
-          position={node.position}
-          size={0.06}
-          intensity={1.0}
-          delay={index * 0.05}
-        />
-      ))}
+      <NetworkMesh
+        nodes={nodes}
+        connections={connections}
+        nodeWave={NODE_WAVE}
+        haloScale={4}
+        haloOpacity={0.25}
+        flowWave={LINE_WAVE}
+      />
     </group>
   )
 }
@@ -297,7 +214,7 @@ const ExactAppDostBackground = () => {
         `
       }}
     >
-      <Canvas
+      <BackgroundCanvas
         camera={{ 
           position: [0, 0, 12], 
           fov: 50,
@@ -332,7 +249,7 @@ const ExactAppDostBackground = () => {
 
         {/* Background particles */}
         <AppDostParticles />
-      </Canvas>
+      </BackgroundCanvas>
 
       {/* Central glow effect like AppDost photo */}
       <div 
@@ -5,80 +5,80 @@
 import { useState } from 'react'
 import { motion } from 'framer-motion'
 import { FaPaperPlane, FaHeart } from 'react-icons/fa'
-import { company, socialLinks } from '../data/content'
-import { validateEmail, scrollToElement } from '../utils/helpers'
+import { validateEmail } from '../utils/helpers'
+import { navigate } from '../utils/router'
 import { usePrefersReducedMotion } from '../hooks/usePrefersReducedMotion'
+import { useContent } from '../hooks/useContent'
+import { useLocale } from '../hooks/useLocale'
+import { useSpamGuard } from '../hooks/useSpamGuard'
+import { SPAM_REASONS } from '../services/antiSpam'
+import {
+  subscribeToNewsletter,
+  getNewsletterMessage,
+  NewsletterError,
+  NEWSLETTER_RESULTS,
+  NEWSLETTER_ERRORS
+} from '../services/newsletter'
 import AppDostLogo from './AppDostLogo'
+import HoneypotField from './HoneypotField'
 
 const Footer = () => {
   const [email, setEmail] = useState('')
-  const [newsletterStatus, setNewsletterStatus] = useState('idle') // idle, loading, success, error
+  // status: idle, loading, or a NEWSLETTER_RESULTS / NEWSLETTER_ERRORS code, or 'blocked' by the spam checks
+  const [newsletter, setNewsletter] = useState({ status: 'idle', message: null })
   const prefersReducedMotion = usePrefersReducedMotion()
+  const spamGuard = useSpamGuard('newsletter')
+  const company = useContent('company')
+  const services = useContent('services')
+  const socialLinks = useContent('socialLinks')
+  const copy = useContent('copy').footer
+  const { locale, t } = useLocale()
 
   const currentYear = new Date().getFullYear()
+  const isSubscribing = newsletter.status === 'loading'
+  const isNewsletterError = Object.values(NEWSLETTER_ERRORS).includes(newsletter.status) || newsletter.status === 'blocked'
+
+  const handleEmailChange = (e) => {
+    setEmail(e.target.value)
+    if (!isSubscribing) setNewsletter({ status: 'idle', message: null })
+  }
 
   const handleNewsletterSubmit = async (e) => {
     e.preventDefault()
     
-    if (!validateEmail(email)) {
-      setNewsletterStatus('error')
-      setTimeout(() => setNewsletterStatus('idle'), 3000)
+    if (!validateEmail(email.trim())) {
+      setNewsletter({ status: NEWSLETTER_ERRORS.VALIDATION, message: getNewsletterMessage(NEWSLETTER_ERRORS.VALIDATION, locale) })
       return
     }
 
-    setNewsletterStatus('loading')
+    setNewsletter({ status: 'loading', message: null })
+
+    const spamCheck = await spamGuard.check()
+    if (!spamCheck.ok) {
+      // Don't tip off bots that fell for the honeypot
+      setNewsletter(spamCheck.reason === SPAM_REASONS.HONEYPOT
+        ? { status: NEWSLETTER_RESULTS.PENDING, message: getNewsletterMessage(NEWSLETTER_RESULTS.PENDING, locale) }
+        : { status: 'blocked', message: getNewsletterMessage('blocked', locale) })
+      return
+    }
     
-    // Simulate newsletter signup (replace with actual API call)
     try {
-      await new Promise(resolve => setTimeout(resolve, 1000))
-      setNewsletterStatus('success')
+      const result = await subscribeToNewsletter(email, { challengeToken: spamCheck.token, locale })
+      spamGuard.record()
+      setNewsletter(result)
       setEmail('')
-      setTimeout(() => setNewsletterStatus('idle'), 5000)
-    } catch (_error) {
-      setNewsletterStatus('error')
-      setTimeout(() => setNewsletterStatus('idle'), 3000)
+    } catch (error) {
+      const status = error instanceof NewsletterError ? error.code : NEWSLETTER_ERRORS.NETWORK
+      setNewsletter({ status, message: error instanceof NewsletterError ? error.message : getNewsletterMessage(status, locale) })
     }
   }
 
   const footerSections = [
     {
-      title: 'Services',
-      links: [
-        { name: 'AI & Machine Learning', href: '/services#ai-ml' },
-        { name: 'Cloud & DevOps', href: '/services#cloud' },
-        { name: 'Web & Mobile Apps', href: '/services#web-mobile' },
-        { name: 'UI/UX Design', href: '/services#design' },
-        { name: 'Cybersecurity', href: '/services#security' },
-        { name: 'MLOps', href: '/services#mlops' }
-      ]
-    },
-    {
-      title: 'Company',
-      links: [
-        { name: 'About Us', href: '/about' },
-        { name: 'Our Team', href: '/about#team' },
-        { name: 'Careers', href: '/careers' },
-        { name: 'Blog', href: '/blog' },
-        { name: 'Contact', href: '/contact' }
-      ]
+      title: copy.servicesTitle,
+      links: services.map((service) => ({ name: service.title, href: `/services/${service.slug}` }))
     },
-    {
-      title: 'Resources',
-      links: [
-        { name: 'Case Studies', href: '/projects' },
-        { name: 'White Papers', href: '/resources' },
-        { name: 'Documentation', href: '/docs' },
-        { name: 'Support', href: '/support' },
-        { name: 'API', href: '/api' }
-      ]
-    }
-  ]
-
-  const legalLinks = [
-    { name: 'Privacy Policy', href: '/privacy' },
-    { name: 'Terms of Service', href: '/terms' },
-    { name: 'Cookie Policy', href: '/cookies' },
-    { name: 'Security', href: '/security' }
+    ...copy.sections
   ]
 
   return (
@@ -101,39 +101,39 @@ const Footer = () => {
               viewport={{ once: true }}
             >
               <h2 className="text-3xl lg:text-4xl font-display font-bold text-white mb-4 drop-shadow-lg">
-                Stay Updated
+                {copy.newsletterTitle}
               </h2>
               <p className="text-xl text-white mb-8 max-w-2xl mx-auto font-medium drop-shadow-md">
-                Get the latest insights on digital transformation, technology trends, 
-                and exclusive resources delivered to your inbox.
+                {copy.newsletterText}
               </p>
               
               <form onSubmit={handleNewsletterSubmit} className="max-w-md mx-auto">
+                <HoneypotField {...spamGuard.honeypotProps} />
                 <div className="flex gap-2">
                   <div className="flex-1">
                     <label htmlFor="newsletter-email" className="sr-only">
-                      Email address
+                      {t('footer.emailLabel')}
                     </label>
                     <input
                       id="newsletter-email"
                       type="email"
                       value={email}
-                      onChange={(e) => setEmail(e.target.value)}
-                      placeholder="Enter your email"
+                      onChange={handleEmailChange}
+                      placeholder={t('footer.emailPlaceholder')}
                       className="w-full px-4 py-3 bg-white border-2 border-gray-600 rounded-xl text-black placeholder-gray-600 focus:outline-none focus:ring-2 focus:ring-cyan-400 focus:border-cyan-400 transition-all font-medium"
                       required
-                      disabled={newsletterStatus === 'loading'}
+                      disabled={isSubscribing}
                     />
                   </div>
                   <motion.button
                     type="submit"
                     whileHover={prefersReducedMotion ? {} : { scale: 1.05 }}
                     whileTap={prefersReducedMotion ? {} : { scale: 0.95 }}
-                    disabled={newsletterStatus === 'loading'}
+                    disabled={isSubscribing}
                     className="px-6 py-3 bg-cyan-400 hover:bg-cyan-300 text-black font-bold rounded-xl transition-all duration-300 focus:outline-none focus:ring-2 focus:ring-cyan-300 focus:ring-offset-2 focus:ring-offset-gray-900 disabled:opacity-50 border-2 border-cyan-300"
-                    aria-label="Subscribe to newsletter"
+                    aria-label={t('footer.subscribe')}
                   >
-                    {newsletterStatus === 'loading' ? (
+                    {isSubscribing ? (
                       <div className="w-5 h-5 border-2 border-primary-900/20 border-t-primary-900 rounded-full animate-spin"></div>
                     ) : (
                       <FaPaperPlane className="w-5 h-5" />
@@ -141,25 +141,20 @@ const Footer = () => {
                   </motion.button>
                 </div>
                 
-                {/* Status messages */}
-                {newsletterStatus === 'success' && (
-                  <motion.p 
-                    initial={prefersReducedMotion ? false : { opacity: 0, y: 10 }}
-                    animate={prefersReducedMotion ? {} : { opacity: 1, y: 0 }}
-                    className="text-accent text-sm mt-2"
-                  >
-                    Thanks for subscribing! Check your email for confirmation.
-                  </motion.p>
-                )}
-                {newsletterStatus === 'error' && (
-                  <motion.p 
-                    initial={prefersReducedMotion ? false : { opacity: 0, y: 10 }}
-                    animate={prefersReducedMotion ? {} : { opacity: 1, y: 0 }}
-                    className="text-red-400 text-sm mt-2"
-                  >
-                    Please enter a valid email address.
-                  </motion.p>
-                )}
+                {/* Status message, worded by the newsletter service or provider */}
+                <div aria-live="polite">
+                  {newsletter.message && (
+                    <motion.p 
+                      key={newsletter.status}
+                      role={isNewsletterError ? 'alert' : 'status'}
+                      initial={prefersReducedMotion ? false : { opacity: 0, y: 10 }}
+                      animate={prefersReducedMotion ? {} : { opacity: 1, y: 0 }}
+                      className={isNewsletterError ? 'text-red-400 text-sm mt-2' : 'text-accent text-sm mt-2'}
+                    >
+                      {newsletter.message}
+                    </motion.p>
+                  )}
+                </div>
               </form>
             </motion.div>
           </div>
@@ -217,7 +212,7 @@ const Footer = () => {
                         href={social.url}
                         whileHover={prefersReducedMotion ? {} : { scale: 1.2, y: -2 }}
                         className="w-10 h-10 bg-white/90 hover:bg-cyan-400 hover:text-black text-gray-800 rounded-lg flex items-center justify-center transition-all duration-300 focus-visible border-2 border-cyan-400"
-                        aria-label={`Follow us on ${social.name}`}
+                        aria-label={t('footer.follow', { name: social.name })}
                         target="_blank"
                         rel="noopener noreferrer"
                       >
@@ -249,7 +244,7 @@ const Footer = () => {
                     {section.links.map((link) => (
                       <li key={link.name}>
                         <button
-                          onClick={() => scrollToElement(link.href.substring(1), 100)}
+                          onClick={() => navigate(link.href)}
                           className="text-white hover:text-cyan-300 transition-colors text-sm focus-visible p-1 -m-1 rounded font-bold"
                         >
                           {link.name}
@@ -269,17 +264,17 @@ const Footer = () => {
             
             <div className="text-center md:text-left">
               <p className="text-white text-sm flex items-center justify-center md:justify-start font-bold">
-                © {currentYear} {company.name}. Made with 
+                © {currentYear} {company.name}. {copy.madeWith}
                 <FaHeart className="text-red-400 mx-1" /> 
-                by our amazing team.
+                {copy.madeBy}
               </p>
             </div>
 
             <div className="flex flex-wrap justify-center gap-6">
-              {legalLinks.map((link) => (
+              {copy.legalLinks.map((link) => (
                 <button
                   key={link.name}
-                  onClick={() => scrollToElement(link.href.substring(1), 100)}
+                  onClick={() => navigate(link.href)}
                   className="text-white hover:text-cyan-300 transition-colors text-sm focus-visible p-1 -m-1 rounded font-bold"
                 >
                   {link.name}
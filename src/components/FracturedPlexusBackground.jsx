@@ -1,7 +1,12 @@
 import React, { useMemo, useRef } from 'react';
-import { Canvas, useFrame } from '@react-three/fiber';
-import { Points, Line } from '@react-three/drei';
+import { useFrame } from '@react-three/fiber';
+import { Points } from '@react-three/drei';
 import * as THREE from 'three';
+import BackgroundCanvas from './BackgroundCanvas';
+import PlexusLines from './PlexusLines';
+import { useQuality } from '../hooks/useQuality';
+import { useNetwork } from '../hooks/useNetwork';
+import { createRandom, subSeed } from '../utils/random';
 
 // Shader for the fractured plexus lines with cyan-blue to turquoise gradient
 const FracturedPlexusShader = {
@@ -34,138 +39,15 @@ const FracturedPlexusShader = {
   `
 };
 
-// Generate chaotic, crystalline network structure
-function generateFracturedNetwork(nodeCount = 200, connectionDistance = 0.3) {
-  const nodes = [];
-  const connections = [];
-  
-  // Create chaotic, asymmetrical distribution using multiple random clusters
-  for (let i = 0; i < nodeCount; i++) {
-    let x, y, z;
-    
-    if (i < nodeCount * 0.3) {
-      // Dense central cluster
-      const angle = Math.random() * Math.PI * 2;
-      const radius = Math.random() * 0.5;
-      x = Math.cos(angle) * radius + (Math.random() - 0.5) * 0.4;
-      y = Math.sin(angle) * radius + (Math.random() - 0.5) * 0.4;
-      z = (Math.random() - 0.5) * 0.6;
-    } else if (i < nodeCount * 0.6) {
-      // Scattered outer fragments
-      x = (Math.random() - 0.5) * 3;
-      y = (Math.random() - 0.5) * 3;
-      z = (Math.random() - 0.5) * 3;
-    } else {
-      // Crystalline formations - geometric clusters
-      const clusterIndex = Math.floor(Math.random() * 5);
-      const clusterCenter = [
-        [(Math.random() - 0.5) * 2, (Math.random() - 0.5) * 2, (Math.random() - 0.5) * 2],
-        [(Math.random() - 0.5) * 2, (Math.random() - 0.5) * 2, (Math.random() - 0.5) * 2],
-        [(Math.random() - 0.5) * 2, (Math.random() - 0.5) * 2, (Math.random() - 0.5) * 2],
-        [(Math.random() - 0.5) * 2, (Math.random() - 0.5) * 2, (Math.random() - 0.5) * 2],
-        [(Math.random() - 0.5) * 2, (Math.random() - 0.5) * 2, (Math.random() - 0.5) * 2]
-      ][clusterIndex];
-      
-      x = clusterCenter[0] + (Math.random() - 0.5) * 0.3;
-      y = clusterCenter[1] + (Math.random() - 0.5) * 0.3;
-      z = clusterCenter[2] + (Math.random() - 0.5) * 0.3;
-    }
-    
-    // Create gradient colors from cyan-blue to turquoise-green
-    const depth = (z + 2) / 4; // Normalize z to 0-1
-    const r = 0.0 + depth * 0.2; // Dark blue to slight red component
-    const g = 0.8 + depth * 0.2; // High green component
-    const b = 1.0 - depth * 0.3; // Full blue to turquoise
-    
-    nodes.push({
-      position: [x, y, z],
-      color: [r, g, b],
-      opacity: 0.6 + Math.random() * 0.4
-    });
-  }
-  
-  // Create asymmetrical, chaotic connections
-  const connectionLines = [];
-  nodes.forEach((node, i) => {
-    const nodeConnections = [];
-    let connectionCount = 0;
-    
-    nodes.forEach((otherNode, j) => {
-      if (i !== j && connectionCount < 8) {
-        const distance = Math.sqrt(
-          Math.pow(node.position[0] - otherNode.position[0], 2) +
-          Math.pow(node.position[1] - otherNode.position[1], 2) +
-          Math.pow(node.position[2] - otherNode.position[2], 2)
-        );
-        
-        // Variable connection distance for chaotic structure
-        const dynamicDistance = connectionDistance + Math.random() * 0.4;
-        
-        if (distance < dynamicDistance) {
-          // Avoid duplicate connections
-          const connectionExists = connections.some(conn => 
-            (conn.start === i && conn.end === j) || (conn.start === j && conn.end === i)
-          );
-          
-          if (!connectionExists) {
-            connections.push({ start: i, end: j, distance });
-            
-            // Create line geometry
-            const linePositions = [
-              ...node.position,
-              ...otherNode.position
-            ];
-            
-            // Blend colors for the line
-            const lineColor = [
-              (node.color[0] + otherNode.color[0]) / 2,
-              (node.color[1] + otherNode.color[1]) / 2,
-              (node.color[2] + otherNode.color[2]) / 2
-            ];
-            
-            connectionLines.push({
-              positions: linePositions,
-              color: lineColor,
-              opacity: Math.max(node.opacity, otherNode.opacity) * 0.7
-            });
-            
-            connectionCount++;
-          }
-        }
-      }
-    });
-  });
-  
-  return { nodes, connections: connectionLines };
-}
-
 // Fractured plexus network component
-function FracturedPlexus({ nodeCount = 200, animationSpeed = 0.3 }) {
+function FracturedPlexus({ nodeCount = 200, animationSpeed = 0.3, seed }) {
   const meshRef = useRef();
   const lineGroupRef = useRef();
+  const quality = useQuality();
+  const scaledNodeCount = Math.round(nodeCount * quality.nodeScale);
   
-  const networkData = useMemo(() => generateFracturedNetwork(nodeCount), [nodeCount]);
-  
-  // Create node geometry and materials
-  const { nodePositions, nodeColors, nodeOpacities } = useMemo(() => {
-    const positions = new Float32Array(networkData.nodes.length * 3);
-    const colors = new Float32Array(networkData.nodes.length * 3);
-    const opacities = new Float32Array(networkData.nodes.length);
-    
-    networkData.nodes.forEach((node, i) => {
-      positions[i * 3] = node.position[0];
-      positions[i * 3 + 1] = node.position[1];
-      positions[i * 3 + 2] = node.position[2];
-      
-      colors[i * 3] = node.color[0];
-      colors[i * 3 + 1] = node.color[1];
-      colors[i * 3 + 2] = node.color[2];
-      
-      opacities[i] = node.opacity;
-    });
-    
-    return { nodePositions: positions, nodeColors: colors, nodeOpacities: opacities };
-  }, [networkData]);
+  // Large networks are built in a worker; nothing is drawn until the first one arrives
+  const networkData = useNetwork('fractured', { nodeCount: scaledNodeCount, seed: subSeed(seed, 'network') });
   
   // Animation
   useFrame((state) => {
@@ -183,27 +65,29 @@ function FracturedPlexus({ nodeCount = 200, animationSpeed = 0.3 }) {
     }
   });
   
+  if (!networkData) return null;
+  
   return (
     <>
       {/* Nodes */}
       <Points ref={meshRef}>
-        <bufferGeometry>
+        <bufferGeometry key={networkData.nodeCount}>
           <bufferAttribute
             attach="attributes-position"
-            array={nodePositions}
-            count={nodePositions.length / 3}
+            array={networkData.positions}
+            count={networkData.positions.length / 3}
             itemSize={3}
           />
           <bufferAttribute
             attach="attributes-color"
-            array={nodeColors}
-            count={nodeColors.length / 3}
+            array={networkData.colors}
+            count={networkData.colors.length / 3}
             itemSize={3}
           />
           <bufferAttribute
             attach="attributes-opacity"
-            array={nodeOpacities}
-            count={nodeOpacities.length}
+            array={networkData.opacities}
+            count={networkData.opacities.length}
             itemSize={1}
           />
         </bufferGeometry>
@@ -218,29 +102,18 @@ function FracturedPlexus({ nodeCount = 200, animationSpeed = 0.3 }) {
       
       {/* Connection Lines */}
       <group ref={lineGroupRef}>
-        {networkData.connections.map((connection, index) => (
-          <Line
-            key={index}
-            points={[
-              [connection.positions[0], connection.positions[1], connection.positions[2]],
-              [connection.positions[3], connection.positions[4], connection.positions[5]]
-            ]}
-            color={new THREE.Color(connection.color[0], connection.color[1], connection.color[2])}
-            lineWidth={1}
-            transparent
-            opacity={connection.opacity}
-          />
-        ))}
+        <PlexusLines network={networkData} lineWidth={1} />
       </group>
     </>
   );
 }
 
 // Atmosphere particles for depth
-function FracturedAtmosphere() {
+function FracturedAtmosphere({ seed }) {
   const particlesRef = useRef();
   
   const particleData = useMemo(() => {
+    const random = createRandom(subSeed(seed, 'atmosphere'));
     const count = 800;
     const positions = new Float32Array(count * 3);
     const colors = new Float32Array(count * 3);
@@ -248,21 +121,21 @@ function FracturedAtmosphere() {
     
     for (let i = 0; i < count; i++) {
       // Random distribution in larger space
-      positions[i * 3] = (Math.random() - 0.5) * 8;
-      positions[i * 3 + 1] = (Math.random() - 0.5) * 8;
-      positions[i * 3 + 2] = (Math.random() - 0.5) * 8;
+      positions[i * 3] = (random() - 0.5) * 8;
+      positions[i * 3 + 1] = (random() - 0.5) * 8;
+      positions[i * 3 + 2] = (random() - 0.5) * 8;
       
       // Cyan-blue to turquoise gradient
-      const intensity = Math.random();
+      const intensity = random();
       colors[i * 3] = 0.0 + intensity * 0.3; // Red component
       colors[i * 3 + 1] = 0.7 + intensity * 0.3; // Green component
       colors[i * 3 + 2] = 0.9 + intensity * 0.1; // Blue component
       
-      opacities[i] = Math.random() * 0.3;
+      opacities[i] = random() * 0.3;
     }
     
     return { positions, colors, opacities };
-  }, []);
+  }, [seed]);
   
   useFrame((state) => {
     if (particlesRef.current) {
@@ -306,7 +179,7 @@ function FracturedAtmosphere() {
 }
 
 // Main fractured plexus background component
-export default function FracturedPlexusBackground() {
+export default function FracturedPlexusBackground({ seed }) {
   return (
     <div className="fixed inset-0 w-full h-full overflow-hidden">
       {/* Dark teal/navy gradient background */}
@@ -328,7 +201,7 @@ export default function FracturedPlexusBackground() {
       />
       
       {/* Three.js Canvas */}
-      <Canvas
+      <BackgroundCanvas
         camera={{ 
           position: [0, 0, 5], 
           fov: 60,
@@ -362,11 +235,11 @@ export default function FracturedPlexusBackground() {
         />
         
         {/* Main fractured plexus network */}
-        <FracturedPlexus nodeCount={200} animationSpeed={0.2} />
+        <FracturedPlexus nodeCount={200} animationSpeed={0.2} seed={seed} />
         
         {/* Atmospheric particles */}
-        <FracturedAtmosphere />
-      </Canvas>
+        <FracturedAtmosphere seed={seed} />
+      </BackgroundCanvas>
       
       {/* Subtle vignette overlay */}
       <div 
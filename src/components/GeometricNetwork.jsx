@@ -3,12 +3,14 @@
  * Recreates the exact AppDost network structure with precision
  */
 import { useEffect, useRef, useState } from 'react'
+import { useBackgroundActivity } from '../hooks/useBackgroundActivity'
 
 const GeometricNetwork = () => {
   const canvasRef = useRef(null)
   const animationRef = useRef(null)
   const mouseRef = useRef({ x: 0, y: 0 })
   const [dimensions, setDimensions] = useState({ width: 0, height: 0 })
+  const { isActive, reducedMotion } = useBackgroundActivity()
 
   useEffect(() => {
     const updateDimensions = () => {
@@ -33,7 +35,8 @@ const GeometricNetwork = () => {
   }, [])
 
   useEffect(() => {
-    if (!canvasRef.current || !dimensions.width || !dimensions.height) return
+    // While inactive the loop stays stopped and the canvas keeps its last frame
+    if (!isActive || !canvasRef.current || !dimensions.width || !dimensions.height) return
 
     const canvas = canvasRef.current
     const ctx = canvas.getContext('2d')
@@ -195,7 +198,10 @@ const GeometricNetwork = () => {
       }
 
       ctx.globalAlpha = 1
-      animationRef.current = requestAnimationFrame(animate)
+      // Reduced motion keeps the first frame as a still image
+      if (!reducedMotion) {
+        animationRef.current = requestAnimationFrame(animate)
+      }
     }
 
     animate()
@@ -205,7 +211,7 @@ const GeometricNetwork = () => {
         cancelAnimationFrame(animationRef.current)
       }
     }
-  }, [dimensions])
+  }, [dimensions, isActive, reducedMotion])
 
   return (
     <div className="fixed inset-0 w-full h-full overflow-hidden bg-[#0a1628] z-0">
@@ -1,20 +1,49 @@
 /**
  * Header component with sticky navigation, glass morphism effect, and mobile menu
- * Includes accessibility features and keyboard navigation
+ * Includes accessibility features and keyboard navigation. A scroll-spy keeps
+ * the highlighted item and the URL (and so the head, see RouteHead) on the
+ * section in view.
+ * The language switcher sits beside the call to action
  */
 import { useState, useEffect } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { FaBars, FaTimes } from 'react-icons/fa'
-import { navigation, company } from '../data/content'
-import { cn, scrollToElement } from '../utils/helpers'
+import { cn } from '../utils/helpers'
+import { navigate, getLocation } from '../utils/router'
+import { routes, matchRoute, getSectionRoute, PAGES } from '../data/routes'
 import { usePrefersReducedMotion } from '../hooks/usePrefersReducedMotion'
+import { useRoute } from '../hooks/useRoute'
+import { useContent } from '../hooks/useContent'
+import { useScrollSpy } from '../hooks/useScrollSpy'
+import { useLocale } from '../hooks/useLocale'
 import AppDostLogo from './AppDostLogo'
+import LanguageSwitcher from './LanguageSwitcher'
+
+// Home page sections with their own URL, in page order
+const SPY_SECTIONS = [...new Set(routes
+  .filter((route) => route.page === PAGES.HOME && route.section)
+  .map((route) => route.section))]
 
 const Header = () => {
   const [isScrolled, setIsScrolled] = useState(false)
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false)
-  const [activeSection, setActiveSection] = useState('home')
   const prefersReducedMotion = usePrefersReducedMotion()
+  const navigation = useContent('navigation')
+  const { route } = useRoute()
+  const { t } = useLocale()
+  const spySection = useScrollSpy(SPY_SECTIONS)
+  const activeSection = spySection ?? route.section
+
+  // Follow the section in view with the URL, replacing rather than adding history entries
+  useEffect(() => {
+    const sectionRoute = getSectionRoute(spySection)
+    // Compared by section so deeper URLs within it (e.g. a service's page) are kept
+    if (sectionRoute && sectionRoute.section !== matchRoute(getLocation()).section) {
+      navigate(sectionRoute.path, { replace: true, scroll: false })
+    }
+  }, [spySection])
+
+  const isActive = (href) => activeSection === matchRoute({ pathname: href }).section
 
   // Handle scroll effect for header background
   useEffect(() => {
@@ -31,16 +60,10 @@ const Header = () => {
     setIsMobileMenuOpen(!isMobileMenuOpen)
   }
 
-  // Handle navigation click
-  const handleNavClick = (href, name) => {
+  // Handle navigation click; App scrolls to the section once the URL changes
+  const handleNavClick = (href) => {
     setIsMobileMenuOpen(false)
-    setActiveSection(name.toLowerCase())
-    
-    if (href.startsWith('/')) {
-      // For now, scroll to sections on the same page
-      const sectionId = href === '/' ? 'hero' : href.substring(1)
-      scrollToElement(sectionId, 100)
-    }
+    navigate(href)
   }
 
   // Close mobile menu on escape key
@@ -87,7 +110,7 @@ const Header = () => {
         className="skip-to-content"
         onFocus={(e) => e.target.focus()}
       >
-        Skip to main content
+        {t('header.skipToContent')}
       </a>
 
       <motion.header
@@ -118,7 +141,7 @@ const Header = () => {
                 {navigation.map((item) => (
                   <motion.button
                     key={item.name}
-                    onClick={() => handleNavClick(item.href, item.name)}
+                    onClick={() => handleNavClick(item.href)}
                     whileHover={prefersReducedMotion ? {} : { y: -2 }}
                     whileTap={prefersReducedMotion ? {} : { y: 0 }}
                     transition={{
@@ -129,11 +152,11 @@ const Header = () => {
                     }}
                     className={cn(
                       'text-sm lg:text-base font-medium transition-colors duration-200 focus-visible px-4 py-2.5 rounded-lg relative smooth-button ultra-smooth',
-                      activeSection === item.name.toLowerCase()
+                      isActive(item.href)
                         ? 'text-accent bg-accent/10'
                         : 'text-white hover:text-accent hover:bg-white/5'
                     )}
-                    aria-current={activeSection === item.name.toLowerCase() ? 'page' : undefined}
+                    aria-current={isActive(item.href) ? 'page' : undefined}
                   >
                     {item.name}
                   </motion.button>
@@ -141,15 +164,16 @@ const Header = () => {
               </div>
             </nav>
 
-            {/* CTA Button - Desktop */}
-            <div className="hidden lg:block">
+            {/* Language and CTA - Desktop */}
+            <div className="hidden lg:flex items-center gap-4">
+              <LanguageSwitcher />
               <motion.button
                 whileHover={prefersReducedMotion ? {} : { scale: 1.05 }}
                 whileTap={prefersReducedMotion ? {} : { scale: 0.95 }}
-                onClick={() => handleNavClick('/contact', 'Contact')}
+                onClick={() => handleNavClick('/contact')}
                 className="btn-primary text-sm lg:text-base px-6 lg:px-8 py-2.5 lg:py-3 font-semibold shadow-lg"
               >
-                Get Started
+                {t('header.cta')}
               </motion.button>
             </div>
 
@@ -159,7 +183,7 @@ const Header = () => {
               className="lg:hidden p-3 rounded-xl text-white hover:bg-white/10 focus-visible transition-colors duration-200 flex items-center justify-center"
               aria-expanded={isMobileMenuOpen}
               aria-controls="mobile-menu"
-              aria-label={isMobileMenuOpen ? 'Close menu' : 'Open menu'}
+              aria-label={isMobileMenuOpen ? t('header.closeMenu') : t('header.openMenu')}
             >
               {isMobileMenuOpen ? (
                 <FaTimes className="w-5 h-5" />
@@ -185,7 +209,7 @@ const Header = () => {
                   {navigation.map((item, index) => (
                     <motion.button
                       key={item.name}
-                      onClick={() => handleNavClick(item.href, item.name)}
+                      onClick={() => handleNavClick(item.href)}
                       initial={prefersReducedMotion ? false : { opacity: 0, x: -20 }}
                       animate={prefersReducedMotion ? {} : { 
                         opacity: 1, 
@@ -194,11 +218,11 @@ const Header = () => {
                       }}
                       className={cn(
                         'block w-full text-left px-3 py-2 rounded-md text-base font-medium transition-colors focus-visible',
-                        activeSection === item.name.toLowerCase()
+                        isActive(item.href)
                           ? 'text-accent bg-accent/10'
                           : 'text-white hover:text-accent hover:bg-white/5'
                       )}
-                      aria-current={activeSection === item.name.toLowerCase() ? 'page' : undefined}
+                      aria-current={isActive(item.href) ? 'page' : undefined}
                     >
                       {item.name}
                     </motion.button>
@@ -212,13 +236,14 @@ const Header = () => {
                       x: 0,
                       transition: { delay: navigation.length * 0.1 }
                     }}
-                    className="pt-4"
+                    className="pt-4 space-y-4"
                   >
+                    <LanguageSwitcher className="px-1" />
                     <button
-                      onClick={() => handleNavClick('/contact', 'Contact')}
+                      onClick={() => handleNavClick('/contact')}
                       className="btn-primary w-full text-center"
                     >
-                      Get Started
+                      {t('header.cta')}
                     </button>
                   </motion.div>
                 </div>
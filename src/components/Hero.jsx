@@ -1,101 +1,20 @@
 /**
- * Hero component with particle background, animated text, and CTA buttons
+ * Hero component with animated text and CTA buttons over the global network background
  * Features accessibility support and reduced motion preferences
  */
-import { useCallback, useMemo } from 'react'
 import { motion } from 'framer-motion'
-import Particles from 'react-tsparticles'
-import { loadFull } from 'tsparticles'
 import { FaArrowDown, FaPlay } from 'react-icons/fa'
 import { usePrefersReducedMotion } from '../hooks/usePrefersReducedMotion'
+import { useContent } from '../hooks/useContent'
+import { useLocale } from '../hooks/useLocale'
 import { scrollToElement } from '../utils/helpers'
-import AppDostSphereBackground from './AppDostSphereBackground'
+import { navigate } from '../utils/router'
 
 const Hero = () => {
   const prefersReducedMotion = usePrefersReducedMotion()
-
-  // Initialize particles
-  const particlesInit = useCallback(async (engine) => {
-    await loadFull(engine)
-  }, [])
-
-  const particlesLoaded = useCallback(async (_container) => {
-    // Particle system loaded
-  }, [])
-
-  // Particle configuration
-  const particlesOptions = useMemo(() => ({
-    background: {
-      color: {
-        value: "transparent",
-      },
-    },
-    fpsLimit: 60,
-    interactivity: {
-      events: {
-        onClick: {
-          enable: !prefersReducedMotion,
-          mode: "push",
-        },
-        onHover: {
-          enable: !prefersReducedMotion,
-          mode: "repulse",
-        },
-        resize: true,
-      },
-      modes: {
-        push: {
-          quantity: 4,
-        },
-        repulse: {
-          distance: 200,
-          duration: 0.4,
-        },
-      },
-    },
-    particles: {
-      color: {
-        value: ["#0ea5a4", "#7CFFB2"],
-      },
-      links: {
-        color: "#0ea5a4",
-        distance: 150,
-        enable: !prefersReducedMotion,
-        opacity: 0.2,
-        width: 1,
-      },
-      collisions: {
-        enable: false,
-      },
-      move: {
-        direction: "none",
-        enable: !prefersReducedMotion,
-        outModes: {
-          default: "bounce",
-        },
-        random: false,
-        speed: 1,
-        straight: false,
-      },
-      number: {
-        density: {
-          enable: true,
-          area: 800,
-        },
-        value: prefersReducedMotion ? 0 : 80,
-      },
-      opacity: {
-        value: 0.3,
-      },
-      shape: {
-        type: "circle",
-      },
-      size: {
-        value: { min: 1, max: 5 },
-      },
-    },
-    detectRetina: true,
-  }), [prefersReducedMotion])
+  const copy = useContent('copy').hero
+  const { t } = useLocale()
+  const [headline, ...highlightedHeadline] = copy.headline
 
   // Animation variants
   const containerVariants = {
@@ -121,16 +40,17 @@ const Hero = () => {
   }
 
   const scrollToServices = () => {
-    scrollToElement('services', 100)
+    navigate('/services')
   }
 
   const scrollToContact = () => {
-    scrollToElement('contact', 100)
+    navigate('/contact')
   }
 
   return (
     <section 
       id="hero" 
+      aria-label={t('hero.label')}
       className="relative min-h-screen flex items-center justify-center overflow-hidden"
     >
 
@@ -157,11 +77,13 @@ const Hero = () => {
             className="text-4xl sm:text-5xl lg:text-6xl xl:text-7xl 2xl:text-8xl font-display font-bold leading-[0.9] mb-8 lg:mb-10"
           >
             <span className="block text-white tracking-tight">
-              TRANSFORM YOUR IDEAS
-            </span>
-            <span className="block text-gradient mt-2 lg:mt-4 tracking-tight">
-              INTO DIGITAL REALITY
+              {headline}
             </span>
+            {highlightedHeadline.map((line) => (
+              <span key={line} className="block text-gradient mt-2 lg:mt-4 tracking-tight">
+                {line}
+              </span>
+            ))}
           </motion.h1>
 
           {/* Subheading */}
@@ -169,7 +91,7 @@ const Hero = () => {
             variants={prefersReducedMotion ? {} : itemVariants}
             className="text-lg sm:text-xl lg:text-2xl xl:text-3xl text-muted max-w-4xl mx-auto mb-12 lg:mb-16 leading-relaxed font-light"
           >
-            Architecting the future of digital experiences with product-led engineering and data-driven design.
+            {copy.subheading}
           </motion.p>
 
           {/* CTA Buttons */}
@@ -192,10 +114,10 @@ const Hero = () => {
                 mass: 0.8
               }}
               className="btn-primary group relative overflow-hidden px-8 lg:px-10 py-4 lg:py-5 text-base lg:text-lg font-semibold"
-              aria-label="Get free consultation"
+              aria-label={t('hero.primaryCtaLabel')}
             >
               <span className="relative z-10 flex items-center">
-                Get Free Consultation
+                {copy.primaryCta}
                 <motion.div
                   animate={prefersReducedMotion ? {} : { x: [0, 5, 0] }}
                   transition={{ repeat: Infinity, duration: 2 }}
@@ -221,10 +143,10 @@ const Hero = () => {
                 mass: 0.8
               }}
               className="btn-secondary group flex items-center px-8 lg:px-10 py-4 lg:py-5 text-base lg:text-lg font-semibold"
-              aria-label="Explore our services"
+              aria-label={t('hero.secondaryCtaLabel')}
             >
               <FaPlay className="mr-3 text-sm group-hover:scale-110 transition-transform" />
-              Explore Services
+              {copy.secondaryCta}
             </motion.button>
           </motion.div>
 
@@ -233,12 +155,11 @@ const Hero = () => {
             variants={prefersReducedMotion ? {} : itemVariants}
             className="text-muted text-sm lg:text-base"
           >
-            <p className="mb-6 font-medium">Trusted by 250+ companies worldwide</p>
+            <p className="mb-6 font-medium">{copy.trustLine}</p>
             <div className="flex flex-wrap justify-center items-center gap-6 lg:gap-12 opacity-70">
-              <div className="text-xs font-semibold tracking-wider">FORTUNE 500</div>
-              <div className="text-xs font-semibold tracking-wider">STARTUPS</div>
-              <div className="text-xs font-semibold tracking-wider">ENTERPRISES</div>
-              <div className="text-xs font-semibold tracking-wider">SCALE-UPS</div>
+              {copy.audiences.map((audience) => (
+                <div key={audience} className="text-xs font-semibold tracking-wider">{audience}</div>
+              ))}
             </div>
           </motion.div>
         </motion.div>
@@ -259,9 +180,9 @@ const Hero = () => {
           animate={prefersReducedMotion ? {} : { y: [0, 10, 0] }}
           transition={{ repeat: Infinity, duration: 2 }}
           className="flex flex-col items-center text-muted hover:text-accent transition-colors focus-visible p-2 rounded"
-          aria-label="Scroll to see more content"
+          aria-label={t('hero.scrollLabel')}
         >
-          <span className="text-xs mb-2 font-medium">Scroll to explore</span>
+          <span className="text-xs mb-2 font-medium">{copy.scrollHint}</span>
           <FaArrowDown className="text-lg" />
         </motion.button>
       </motion.div>
@@ -0,0 +1,15 @@
+/**
+ * HoneypotField component - an input people never see but form-filling bots do
+ * Moved off-screen rather than display:none, which some bots skip, and kept
+ * out of the tab order and accessibility tree
+ */
+const HoneypotField = ({ id, ...inputProps }) => {
+  return (
+    <div aria-hidden="true" className="absolute -left-[9999px] w-px h-px overflow-hidden">
+      <label htmlFor={id}>Leave this field empty</label>
+      <input id={id} type="text" tabIndex={-1} autoComplete="off" {...inputProps} />
+    </div>
+  )
+}
+
+export default HoneypotField
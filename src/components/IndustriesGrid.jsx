@@ -0,0 +1,164 @@
+/**
+ * IndustriesGrid component rendering the `industries` content
+ * Each industry expands to show its specialties and the projects and
+ * services that share its tags
+ */
+import { useState } from 'react'
+import { motion } from 'framer-motion'
+import { FaChevronDown } from 'react-icons/fa'
+import { cn } from '../utils/helpers'
+import { findRelated } from '../utils/tags'
+import { useIntersectionObserver } from '../hooks/useIntersectionObserver'
+import { usePrefersReducedMotion } from '../hooks/usePrefersReducedMotion'
+import { useContent } from '../hooks/useContent'
+import { useLocale } from '../hooks/useLocale'
+import Link from './Link'
+
+const MAX_RELATED_SERVICES = 3
+
+const IndustryCard = ({ industry, index, isVisible, isExpanded, onToggle }) => {
+  const prefersReducedMotion = usePrefersReducedMotion()
+  const projects = useContent('projects')
+  const services = useContent('services')
+  const { t } = useLocale()
+  const Icon = industry.icon
+  const detailsId = `industry-${industry.id}-details`
+  const relatedProjects = findRelated(industry, projects)
+  const relatedServices = findRelated(industry, services, MAX_RELATED_SERVICES)
+
+  return (
+    <motion.article
+      initial={prefersReducedMotion ? false : { opacity: 0, y: 40 }}
+      animate={isVisible ? { opacity: 1, y: 0 } : {}}
+      transition={{
+        duration: prefersReducedMotion ? 0 : 0.5,
+        delay: prefersReducedMotion ? 0 : index * 0.1
+      }}
+      className={cn(
+        'card text-left bg-black/30 backdrop-blur-sm border transition-colors',
+        isExpanded ? 'border-cyan-400/50' : 'border-white/10 hover:border-cyan-400/50'
+      )}
+    >
+      <div className="flex items-start gap-4 mb-4">
+        <div className="w-12 h-12 flex-shrink-0 rounded-xl bg-gradient-to-br from-primary-600 to-accent flex items-center justify-center">
+          <Icon className="text-xl text-white" aria-hidden="true" />
+        </div>
+        <div>
+          <h3 className="text-xl font-bold text-white mb-1">{industry.name}</h3>
+          <p className="text-gray-300">{industry.description}</p>
+        </div>
+      </div>
+
+      <button
+        type="button"
+        onClick={onToggle}
+        aria-expanded={isExpanded}
+        aria-controls={detailsId}
+        className="inline-flex items-center text-accent text-sm font-semibold hover:underline focus-visible rounded"
+      >
+        {isExpanded ? t('industries.hideDetails') : t('industries.showSpecialties')}{' '}
+        <span className="sr-only">{t('industries.toggleFor', { name: industry.name })}</span>
+        <FaChevronDown
+          className={cn('ml-2 text-xs transition-transform duration-300', isExpanded && 'rotate-180')}
+          aria-hidden="true"
+        />
+      </button>
+
+      <div id={detailsId} hidden={!isExpanded} className="mt-6 space-y-5">
+        <div>
+          <h4 className="text-white font-semibold mb-2 text-sm">{t('industries.specialties')}</h4>
+          <ul className="flex flex-wrap gap-2" role="list">
+            {industry.specialties.map((specialty) => (
+              <li key={specialty} className="px-3 py-1 bg-white/10 text-accent text-xs font-medium rounded-full border border-accent/20">
+                {specialty}
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        {relatedProjects.length > 0 && (
+          <div>
+            <h4 className="text-white font-semibold mb-2 text-sm">{t('industries.relatedProjects')}</h4>
+            <ul className="space-y-1" role="list">
+              {relatedProjects.map((project) => (
+                <li key={project.id}>
+                  <Link href={`/projects?project=${project.id}`} className="text-cyan-400 hover:underline text-sm">
+                    {project.title}
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {relatedServices.length > 0 && (
+          <div>
+            <h4 className="text-white font-semibold mb-2 text-sm">{t('industries.relatedServices')}</h4>
+            <ul className="space-y-1" role="list">
+              {relatedServices.map((service) => (
+                <li key={service.id}>
+                  <Link href={`/services/${service.slug}`} scroll={false} className="text-cyan-400 hover:underline text-sm">
+                    {service.title}
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </motion.article>
+  )
+}
+
+const IndustriesGrid = () => {
+  const { elementRef, hasIntersected } = useIntersectionObserver({
+    threshold: 0.1
+  })
+  const prefersReducedMotion = usePrefersReducedMotion()
+  const industries = useContent('industries')
+  const { t } = useLocale()
+  const [expandedId, setExpandedId] = useState(null)
+
+  return (
+    <section 
+      id="industries" 
+      ref={elementRef}
+      className="py-20 lg:py-32 relative"
+    >
+      <div className="absolute inset-0 bg-black/50 backdrop-blur-md"></div>
+
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8 relative z-10">
+        {/* Section Header */}
+        <motion.div
+          initial={prefersReducedMotion ? false : { opacity: 0, y: 30 }}
+          animate={hasIntersected ? { opacity: 1, y: 0 } : {}}
+          transition={{ duration: prefersReducedMotion ? 0 : 0.6 }}
+          className="text-center mb-12"
+        >
+          <h2 className="text-3xl lg:text-5xl font-display font-bold text-white mb-6">
+            {t('industries.title')} <span className="text-gradient">{t('industries.highlight')}</span>
+          </h2>
+          <p className="text-xl text-gray-300 max-w-3xl mx-auto">
+            {t('industries.intro')}
+          </p>
+        </motion.div>
+
+        {/* Industries Grid */}
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 items-start">
+          {industries.map((industry, index) => (
+            <IndustryCard
+              key={industry.id}
+              industry={industry}
+              index={index}
+              isVisible={hasIntersected}
+              isExpanded={expandedId === industry.id}
+              onToggle={() => setExpandedId(expandedId === industry.id ? null : industry.id)}
+            />
+          ))}
+        </div>
+      </div>
+    </section>
+  )
+}
+
+export default IndustriesGrid
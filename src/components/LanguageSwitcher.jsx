@@ -0,0 +1,52 @@
+/**
+ * LanguageSwitcher - links to the current page in each of the site's languages
+ * Picking one remembers it for later visits (see AppRouter) and keeps the
+ * page where it is; modified clicks open the other language in a new tab
+ */
+import { cn } from '../utils/helpers'
+import { navigate, isModifiedClick } from '../utils/router'
+import { localizePath, saveLocale } from '../utils/i18n'
+import { LOCALES, LOCALE_CODES } from '../data/locales'
+import { useRoute } from '../hooks/useRoute'
+import { useLocale } from '../hooks/useLocale'
+
+const LanguageSwitcher = ({ className }) => {
+  const { location } = useRoute()
+  const { locale, t } = useLocale()
+  const currentPath = `${location.pathname}${location.search}${location.hash}`
+
+  const handleClick = (event, code) => {
+    if (isModifiedClick(event)) return
+
+    event.preventDefault()
+    saveLocale(code)
+    if (code !== locale) {
+      navigate(currentPath, { locale: code, scroll: false })
+    }
+  }
+
+  return (
+    <div role="group" aria-label={t('language.label')} className={cn('flex items-center gap-1', className)}>
+      {LOCALE_CODES.map((code) => (
+        <a
+          key={code}
+          href={localizePath(currentPath, code)}
+          hrefLang={code}
+          lang={code}
+          onClick={(event) => handleClick(event, code)}
+          aria-current={code === locale ? 'true' : undefined}
+          className={cn(
+            'px-2.5 py-1.5 rounded-lg text-sm font-medium transition-colors focus-visible',
+            code === locale
+              ? 'text-accent bg-accent/10'
+              : 'text-gray-300 hover:text-white hover:bg-white/5'
+          )}
+        >
+          {LOCALES[code].label}
+        </a>
+      ))}
+    </div>
+  )
+}
+
+export default LanguageSwitcher
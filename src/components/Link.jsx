@@ -0,0 +1,29 @@
+/**
+ * Link component - an anchor that navigates through the client-side router
+ * Modified clicks (new tab, new window) are left to the browser; `replace` and
+ * `scroll` are passed on to navigate(). Site paths point into the current language
+ */
+import { navigate, isModifiedClick } from '../utils/router'
+import { withLocale } from '../utils/i18n'
+import { useRoute } from '../hooks/useRoute'
+
+const Link = ({ href, replace, scroll, onClick, children, ...props }) => {
+  const { route } = useRoute()
+  const localizedHref = withLocale(href, route.locale)
+
+  const handleClick = (event) => {
+    onClick?.(event)
+    if (event.defaultPrevented || isModifiedClick(event)) return
+
+    event.preventDefault()
+    navigate(localizedHref, { replace, scroll })
+  }
+
+  return (
+    <a href={localizedHref} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  )
+}
+
+export default Link
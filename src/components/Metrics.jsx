@@ -4,16 +4,19 @@
  */
 import { useState, useEffect } from 'react'
 import { motion } from 'framer-motion'
-import { metrics } from '../data/content'
 import { useIntersectionObserver } from '../hooks/useIntersectionObserver'
 import { usePrefersReducedMotion } from '../hooks/usePrefersReducedMotion'
+import { useContent } from '../hooks/useContent'
+import { useLocale } from '../hooks/useLocale'
 import { animateValue, formatNumber } from '../utils/helpers'
+import { LOCALES } from '../data/locales'
 
 const MetricCard = ({ metric, index, shouldAnimate }) => {
   const [displayValue, setDisplayValue] = useState(0)
   const [hasAnimated, setHasAnimated] = useState(false)
   const prefersReducedMotion = usePrefersReducedMotion()
-  
+  const { numberFormat } = LOCALES[useLocale().locale]
+
   const Icon = metric.icon
 
   // Animate the counter when shouldAnimate becomes true
@@ -69,9 +72,9 @@ const MetricCard = ({ metric, index, shouldAnimate }) => {
       <div className="text-center mb-2">
         <span 
           className="text-4xl lg:text-5xl font-bold text-gradient font-display"
-          aria-label={`${metric.value}${metric.suffix} ${metric.label}`}
+          aria-label={`${formatNumber(metric.value, numberFormat)}${metric.suffix} ${metric.label}`}
         >
-          {formatNumber(displayValue)}
+          {formatNumber(displayValue, numberFormat)}
           <span className="text-accent">{metric.suffix}</span>
         </span>
       </div>
@@ -92,6 +95,8 @@ const Metrics = () => {
     threshold: 0.2
   })
   const prefersReducedMotion = usePrefersReducedMotion()
+  const metrics = useContent('metrics')
+  const { t } = useLocale()
 
   const containerVariants = {
     hidden: { opacity: 0 },
@@ -122,11 +127,10 @@ const Metrics = () => {
           className="text-center mb-16"
         >
           <h2 className="text-3xl lg:text-5xl font-display font-bold text-white mb-4">
-            Proven Impact
+            {t('metrics.title')}
           </h2>
           <p className="text-xl text-gray-300 max-w-2xl mx-auto">
-            Our track record speaks for itself. Here's how we've helped organizations 
-            transform their digital presence and achieve measurable results.
+            {t('metrics.intro')}
           </p>
         </motion.div>
 
@@ -159,28 +163,16 @@ const Metrics = () => {
         >
           <div className="max-w-4xl mx-auto">
             <p className="text-gray-300 text-lg leading-relaxed">
-              Every project is an opportunity to push boundaries and deliver exceptional results. 
-              Our multidisciplinary team combines technical expertise with creative vision to 
-              build solutions that don't just meet requirements—they exceed expectations.
+              {t('metrics.closing')}
             </p>
             
             <div className="mt-8 flex flex-wrap justify-center gap-8 text-sm text-gray-400">
-              <div className="flex items-center">
-                <span className="w-2 h-2 bg-accent rounded-full mr-2"></span>
-                ISO 27001 Certified
-              </div>
-              <div className="flex items-center">
-                <span className="w-2 h-2 bg-accent rounded-full mr-2"></span>
-                WCAG AA Compliant
-              </div>
-              <div className="flex items-center">
-                <span className="w-2 h-2 bg-accent rounded-full mr-2"></span>
-                SOC 2 Type II
-              </div>
-              <div className="flex items-center">
-                <span className="w-2 h-2 bg-accent rounded-full mr-2"></span>
-                GDPR Ready
-              </div>
+              {t('metrics.badges').map((badge) => (
+                <div key={badge} className="flex items-center">
+                  <span className="w-2 h-2 bg-accent rounded-full mr-2"></span>
+                  {badge}
+                </div>
+              ))}
             </div>
           </div>
         </motion.div>
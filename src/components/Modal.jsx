@@ -0,0 +1,99 @@
+/**
+ * Modal component - accessible dialog rendered over the page
+ * Traps focus while open, closes on Escape or a backdrop click, locks page
+ * scrolling, and returns focus to whatever opened it when it closes
+ */
+import { useEffect, useRef } from 'react'
+import { createPortal } from 'react-dom'
+import { motion } from 'framer-motion'
+import { FaTimes } from 'react-icons/fa'
+import { usePrefersReducedMotion } from '../hooks/usePrefersReducedMotion'
+import { useLocale } from '../hooks/useLocale'
+
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(',')
+
+const Modal = ({ titleId, onClose, children }) => {
+  const dialogRef = useRef(null)
+  const closeButtonRef = useRef(null)
+  const prefersReducedMotion = usePrefersReducedMotion()
+  const { t } = useLocale()
+
+  // Focus the dialog on open, hand focus back on close, and keep the page still meanwhile
+  useEffect(() => {
+    const previouslyFocused = document.activeElement
+    const previousOverflow = document.body.style.overflow
+
+    closeButtonRef.current?.focus()
+    document.body.style.overflow = 'hidden'
+
+    return () => {
+      document.body.style.overflow = previousOverflow
+      previouslyFocused?.focus?.()
+    }
+  }, [])
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      event.stopPropagation()
+      onClose()
+      return
+    }
+
+    if (event.key !== 'Tab') return
+
+    // Wrap Tab and Shift+Tab around the dialog's own controls
+    const focusable = Array.from(dialogRef.current.querySelectorAll(FOCUSABLE_SELECTOR))
+    const first = focusable[0]
+    const last = focusable[focusable.length - 1]
+
+    if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault()
+      last.focus()
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault()
+      first.focus()
+    }
+  }
+
+  return createPortal(
+    <div
+      className="fixed inset-0 z-[60] flex items-center justify-center p-4 bg-black/80 backdrop-blur-sm"
+      onMouseDown={(event) => {
+        if (event.target === event.currentTarget) onClose()
+      }}
+    >
+      <motion.div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        onKeyDown={handleKeyDown}
+        initial={prefersReducedMotion ? false : { opacity: 0, y: 30, scale: 0.97 }}
+        animate={prefersReducedMotion ? {} : { opacity: 1, y: 0, scale: 1 }}
+        transition={{ duration: prefersReducedMotion ? 0 : 0.25, ease: 'easeOut' }}
+        className="relative w-full max-w-3xl max-h-[90vh] overflow-y-auto rounded-3xl bg-gray-900 border border-white/10 p-6 lg:p-10 shadow-2xl"
+      >
+        <button
+          ref={closeButtonRef}
+          type="button"
+          onClick={onClose}
+          className="absolute top-4 right-4 p-3 rounded-xl text-white hover:bg-white/10 focus-visible transition-colors duration-200"
+          aria-label={t('common.closeDialog')}
+        >
+          <FaTimes className="w-5 h-5" />
+        </button>
+        {children}
+      </motion.div>
+    </div>,
+    document.body
+  )
+}
+
+export default Modal
@@ -4,9 +4,10 @@
  * Designed for high-end tech websites like AppDost, IBM Watson, DeepMind
  */
 import { useRef, useMemo, useCallback } from 'react'
-import { Canvas, useFrame, extend } from '@react-three/fiber'
+import { useFrame, extend } from '@react-three/fiber'
 import { shaderMaterial } from '@react-three/drei'
 import * as THREE from 'three'
+import BackgroundCanvas from './BackgroundCanvas'
 
 // Advanced glow shader for holographic effect
 const HolographicGlowMaterial = shaderMaterial(
@@ -407,7 +408,7 @@ const DigitalAura = () => {
 const ModernRingNetworkBackground = () => {
   return (
     <div className="fixed inset-0 w-full h-full bg-gradient-to-b from-[#071633] to-[#0a0f24] flex items-center justify-center">
-      <Canvas
+      <BackgroundCanvas
         camera={{ 
           position: [0, 0, 8], 
           fov: 60,
@@ -463,7 +464,7 @@ const ModernRingNetworkBackground = () => {
 
         {/* Atmospheric fog */}
         <fog attach="fog" args={['#0a0f24', 10, 30]} />
-      </Canvas>
+      </BackgroundCanvas>
 
       {/* Soft radial glow overlay */}
       <div 
@@ -0,0 +1,117 @@
+/**
+ * NetworkBackground - single entry point for every network background variant
+ * Resolves the variant from the registry and lazy-loads its renderer once the
+ * page has painted, showing a static gradient until then. Rendering pauses while
+ * the tab is hidden or the caller reports the background as covered (`paused`),
+ * and `reducedMotion` swaps the animation for a still frame or poster.
+ * `interactive` lets backgrounds react to the pointer and scroll on mouse-driven devices
+ *
+ * Renderers the browser can't support are skipped, and a renderer that fails
+ * (context creation, permanent context loss, chunk load) falls back along the
+ * chain WebGL -> Canvas 2D -> CSS gradient; `onRendererChange` reports the tier used
+ */
+import { lazy, Suspense, useState, useEffect, useMemo, useCallback } from 'react'
+import {
+  getBackgroundVariant,
+  getFallbackChain,
+  getReducedMotionStrategy,
+  DEFAULT_BACKGROUND_VARIANT
+} from '../data/backgrounds'
+import { BackgroundActivityContext } from '../hooks/useBackgroundActivity'
+import { usePageVisibility } from '../hooks/usePageVisibility'
+import { useHasFinePointer } from '../hooks/useHasFinePointer'
+import { runWhenIdle } from '../utils/helpers'
+import { supportsRendererTier, RENDERER_TIERS } from '../utils/webgl'
+import BackgroundPlaceholder from './BackgroundPlaceholder'
+import BackgroundErrorBoundary from './BackgroundErrorBoundary'
+
+// One lazy component per variant so switching back and forth reuses the loaded module
+const lazyRenderers = new Map()
+
+const getRenderer = (variant) => {
+  if (!lazyRenderers.has(variant.id)) {
+    lazyRenderers.set(variant.id, lazy(variant.load))
+  }
+  return lazyRenderers.get(variant.id)
+}
+
+const NetworkBackground = ({
+  variant = DEFAULT_BACKGROUND_VARIANT,
+  paused = false,
+  reducedMotion = false,
+  interactive = false,
+  onRendererChange,
+  ...overrides
+}) => {
+  const [isReady, setIsReady] = useState(false)
+  const [failures, setFailures] = useState({ variant, count: 0 })
+  const isPageVisible = usePageVisibility()
+  const hasFinePointer = useHasFinePointer()
+  const isActive = isPageVisible && !paused
+  const isInteractive = interactive && hasFinePointer && !reducedMotion
+
+  const activity = useMemo(
+    () => ({ isActive, reducedMotion, interactive: isInteractive }),
+    [isActive, reducedMotion, isInteractive]
+  )
+
+  // Keep three/tsparticles out of the critical path: start loading after first paint
+  useEffect(() => {
+    return runWhenIdle(() => setIsReady(true))
+  }, [])
+
+  let definition = getBackgroundVariant(variant)
+
+  if (!definition) {
+    console.warn(`Unknown background variant "${variant}", using "${DEFAULT_BACKGROUND_VARIANT}"`)
+    definition = getBackgroundVariant(DEFAULT_BACKGROUND_VARIANT)
+  }
+
+  const chain = useMemo(() => {
+    return getFallbackChain(definition).filter((step) => supportsRendererTier(step.tier))
+  }, [definition])
+
+  // Failures are counted per variant so switching variants starts at the top of the chain again
+  const failureCount = failures.variant === variant ? failures.count : 0
+  const step = chain[Math.min(failureCount, chain.length - 1)]
+  const showPoster = reducedMotion && step.variant && getReducedMotionStrategy(step.variant) === 'poster'
+  const renderedTier = !step.variant || showPoster ? RENDERER_TIERS.CSS : step.tier
+
+  const handleError = useCallback((error) => {
+    console.warn('Background renderer failed, falling back:', error)
+    setFailures((prev) => ({
+      variant,
+      count: (prev.variant === variant ? prev.count : 0) + 1
+    }))
+  }, [variant])
+
+  useEffect(() => {
+    if (isReady) onRendererChange?.(renderedTier)
+  }, [isReady, renderedTier, onRendererChange])
+
+  if (!isReady || !step.variant || showPoster) {
+    return <BackgroundPlaceholder />
+  }
+
+  const Renderer = getRenderer(step.variant)
+  // Caller overrides are meant for the requested variant, not its fallbacks
+  const props = step.variant === definition
+    ? { ...definition.props, ...overrides }
+    : step.variant.props
+
+  return (
+    <BackgroundActivityContext.Provider value={activity}>
+      <BackgroundErrorBoundary
+        key={`${step.variant.id}:${failureCount}`}
+        fallback={<BackgroundPlaceholder />}
+        onError={handleError}
+      >
+        <Suspense fallback={<BackgroundPlaceholder />}>
+          <Renderer {...props} />
+        </Suspense>
+      </BackgroundErrorBoundary>
+    </BackgroundActivityContext.Provider>
+  )
+}
+
+export default NetworkBackground
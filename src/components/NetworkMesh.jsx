@@ -0,0 +1,189 @@
+/**
+ * NetworkMesh - draws a whole node/connection network in two draw calls
+ * Nodes render as one Points cloud (core plus soft halo per point) and
+ * connections as one LineSegments buffer. Pulsing is done in the shaders from
+ * per-vertex delay/intensity attributes, so nothing is updated per node from React
+ *
+ * Waves are { base, amplitude, speed, phase } and evaluate to
+ * base + amplitude * sin(time * speed + delay * phase)
+ */
+import { useMemo, useEffect } from 'react'
+import { useFrame } from '@react-three/fiber'
+import * as THREE from 'three'
+import { buildNodeBuffers, buildConnectionBuffers } from '../utils/networkBuffers'
+
+const STEADY = { base: 1, amplitude: 0, speed: 0, phase: 0 }
+
+const WAVE_GLSL = `
+  uniform float uTime;
+
+  float wave(vec4 w, float delay) {
+    return w.x + w.y * sin(uTime * w.z + delay * w.w);
+  }
+`
+
+const nodeVertexShader = `
+  ${WAVE_GLSL}
+  uniform vec4 uWave;
+  uniform float uHaloScale;
+  uniform float uViewportHeight;
+  attribute vec3 aColor;
+  attribute vec3 aHaloColor;
+  attribute float aSize;
+  attribute float aIntensity;
+  attribute float aDelay;
+  varying vec3 vColor;
+  varying vec3 vHaloColor;
+  varying float vAlpha;
+
+  void main() {
+    float pulse = wave(uWave, aDelay);
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+
+    // World-space radius (halo included) to pixels, like a mesh of that size would be
+    gl_PointSize = aSize * pulse * uHaloScale * projectionMatrix[1][1] * uViewportHeight / -mvPosition.z;
+    gl_Position = projectionMatrix * mvPosition;
+
+    vColor = aColor;
+    vHaloColor = aHaloColor;
+    vAlpha = aIntensity * pulse;
+  }
+`
+
+const nodeFragmentShader = `
+  uniform float uHaloScale;
+  uniform float uHaloOpacity;
+  varying vec3 vColor;
+  varying vec3 vHaloColor;
+  varying float vAlpha;
+
+  void main() {
+    // Distance from the centre in core radii
+    float dist = length(gl_PointCoord - 0.5) * 2.0 * uHaloScale;
+    if (dist > uHaloScale) discard;
+
+    float core = 1.0 - smoothstep(0.8, 1.0, dist);
+    float halo = (1.0 - smoothstep(1.0, uHaloScale, dist)) * uHaloOpacity;
+
+    gl_FragColor = vec4(mix(vHaloColor, vColor, core), max(core, halo) * vAlpha);
+  }
+`
+
+const lineVertexShader = `
+  ${WAVE_GLSL}
+  uniform vec4 uFlow;
+  uniform vec4 uPulse;
+  attribute vec3 aColor;
+  attribute float aIntensity;
+  attribute float aDelay;
+  varying vec3 vColor;
+  varying float vAlpha;
+
+  void main() {
+    vColor = aColor;
+    vAlpha = aIntensity * wave(uFlow, aDelay) * wave(uPulse, aDelay);
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`
+
+const lineFragmentShader = `
+  varying vec3 vColor;
+  varying float vAlpha;
+
+  void main() {
+    gl_FragColor = vec4(vColor, vAlpha);
+  }
+`
+
+const setWave = (uniform, { base, amplitude, speed, phase }) => {
+  uniform.value.set(base, amplitude, speed, phase)
+}
+
+const NetworkMesh = ({
+  nodes,
+  connections,
+  segments = 1,
+  nodeWave = STEADY,
+  haloScale = 3,
+  haloOpacity = 0.2,
+  flowWave = STEADY,
+  pulseWave = STEADY
+}) => {
+  const nodeBuffers = useMemo(() => buildNodeBuffers(nodes), [nodes])
+  const lineBuffers = useMemo(() => buildConnectionBuffers(connections, segments), [connections, segments])
+
+  const nodeMaterial = useMemo(() => new THREE.ShaderMaterial({
+    vertexShader: nodeVertexShader,
+    fragmentShader: nodeFragmentShader,
+    uniforms: {
+      uTime: { value: 0 },
+      uWave: { value: new THREE.Vector4() },
+      uHaloScale: { value: 1 },
+      uHaloOpacity: { value: 0 },
+      uViewportHeight: { value: 1 }
+    },
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending
+  }), [])
+
+  const lineMaterial = useMemo(() => new THREE.ShaderMaterial({
+    vertexShader: lineVertexShader,
+    fragmentShader: lineFragmentShader,
+    uniforms: {
+      uTime: { value: 0 },
+      uFlow: { value: new THREE.Vector4() },
+      uPulse: { value: new THREE.Vector4() }
+    },
+    transparent: true,
+    depthWrite: false
+  }), [])
+
+  useEffect(() => {
+    return () => {
+      nodeMaterial.dispose()
+      lineMaterial.dispose()
+    }
+  }, [nodeMaterial, lineMaterial])
+
+  useFrame((state) => {
+    const time = state.clock.elapsedTime
+
+    nodeMaterial.uniforms.uTime.value = time
+    nodeMaterial.uniforms.uHaloScale.value = haloScale
+    nodeMaterial.uniforms.uHaloOpacity.value = haloOpacity
+    nodeMaterial.uniforms.uViewportHeight.value = state.size.height * state.viewport.dpr
+    setWave(nodeMaterial.uniforms.uWave, nodeWave)
+
+    lineMaterial.uniforms.uTime.value = time
+    setWave(lineMaterial.uniforms.uFlow, flowWave)
+    setWave(lineMaterial.uniforms.uPulse, pulseWave)
+  })
+
+  return (
+    <>
+      {/* Connections first so nodes draw over them */}
+      <lineSegments material={lineMaterial} frustumCulled={false}>
+        <bufferGeometry key={lineBuffers.count}>
+          <bufferAttribute attach="attributes-position" array={lineBuffers.positions} count={lineBuffers.count} itemSize={3} />
+          <bufferAttribute attach="attributes-aColor" array={lineBuffers.colors} count={lineBuffers.count} itemSize={3} />
+          <bufferAttribute attach="attributes-aIntensity" array={lineBuffers.intensities} count={lineBuffers.count} itemSize={1} />
+          <bufferAttribute attach="attributes-aDelay" array={lineBuffers.delays} count={lineBuffers.count} itemSize={1} />
+        </bufferGeometry>
+      </lineSegments>
+
+      <points material={nodeMaterial} frustumCulled={false}>
+        <bufferGeometry key={nodeBuffers.count}>
+          <bufferAttribute attach="attributes-position" array={nodeBuffers.positions} count={nodeBuffers.count} itemSize={3} />
+          <bufferAttribute attach="attributes-aColor" array={nodeBuffers.colors} count={nodeBuffers.count} itemSize={3} />
+          <bufferAttribute attach="attributes-aHaloColor" array={nodeBuffers.haloColors} count={nodeBuffers.count} itemSize={3} />
+          <bufferAttribute attach="attributes-aSize" array={nodeBuffers.sizes} count={nodeBuffers.count} itemSize={1} />
+          <bufferAttribute attach="attributes-aIntensity" array={nodeBuffers.intensities} count={nodeBuffers.count} itemSize={1} />
+          <bufferAttribute attach="attributes-aDelay" array={nodeBuffers.delays} count={nodeBuffers.count} itemSize={1} />
+        </bufferGeometry>
+      </points>
+    </>
+  )
+}
+
+export default NetworkMesh
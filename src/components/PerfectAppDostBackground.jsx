@@ -3,88 +3,14 @@
  * Exact replica of the circular network from the reference photo
  */
 import { useRef, useMemo, useCallback } from 'react'
-import { Canvas, useFrame } from '@react-three/fiber'
-import * as THREE from 'three'
+import { useFrame } from '@react-three/fiber'
+import BackgroundCanvas from './BackgroundCanvas'
+import NetworkMesh from './NetworkMesh'
 
-// Perfect circular network node
-const PerfectNode = ({ position, size = 0.08, intensity = 1.0, delay = 0 }) => {
-  const meshRef = useRef()
-  const glowRef = useRef()
-
-  useFrame((state) => {
-    if (meshRef.current && glowRef.current) {
-      const time = state.clock.elapsedTime + delay
-      
-      // Subtle pulsing like in photo
-      const pulse = Math.sin(time * 1.5 + delay) * 0.15 + 0.85
-      
-      meshRef.current.scale.setScalar(size * pulse)
-      glowRef.current.scale.setScalar(size * 3 * pulse)
-      
-      // Update opacity
-      meshRef.current.material.opacity = intensity * pulse
-      glowRef.current.material.opacity = intensity * 0.3 * pulse
-    }
-  })
-
-  return (
-    <group position={position}>
-      {/* Core bright node */}
-      <mesh ref={meshRef}>
-        <circleGeometry args={[size, 12]} />
-        <meshBasicMaterial 
-          color="#00ffff" 
-          transparent 
-          opacity={0.9}
-        />
-      </mesh>
-      
-      {/* Outer glow halo */}
-      <mesh ref={glowRef}>
-        <circleGeometry args={[size * 3, 16]} />
-        <meshBasicMaterial 
-          color="#00aaff" 
-          transparent 
-          opacity={0.2}
-        />
-      </mesh>
-    </group>
-  )
-}
-
-// Perfect connection line matching photo
-const PerfectConnection = ({ start, end, intensity = 1.0, delay = 0 }) => {
-  const lineRef = useRef()
-
-  const points = useMemo(() => {
-    return [new THREE.Vector3(...start), new THREE.Vector3(...end)]
-  }, [start, end])
-
-  const geometry = useMemo(() => {
-    return new THREE.BufferGeometry().setFromPoints(points)
-  }, [points])
-
-  useFrame((state) => {
-    if (lineRef.current) {
-      const time = state.clock.elapsedTime + delay
-      
-      // Gentle pulsing animation
-      const pulse = Math.sin(time * 2 + delay) * 0.2 + 0.8
-      lineRef.current.material.opacity = intensity * 0.6 * pulse
-    }
-  })
-
-  return (
-    <line ref={lineRef} geometry={geometry}>
-      <lineBasicMaterial 
-        color="#00d4ff" 
-        transparent 
-        opacity={0.6}
-        linewidth={1}
-      />
-    </line>
-  )
-}
+// Node pulse: 0.85 + 0.15 * sin(1.5t + 2.5 * delay) on both size and opacity
+const NODE_WAVE = { base: 0.85, amplitude: 0.15, speed: 1.5, phase: 2.5 }
+// Line opacity: 0.6 * (0.8 + 0.2 * sin(2t + 3 * delay))
+const LINE_WAVE = { base: 0.48, amplitude: 0.12, speed: 2, phase: 3 }
 
 // Main network exactly like AppDost photo
 const PerfectAppDostNetwork = () => {
@@ -111,7 +37,11 @@ const PerfectAppDostNetwork = () => {
         position: [x, y, z],
         id: `main_${i}`,
         angle: angle,
-        index: i
+        index: i,
+        size: 0.08,
+        color: '#00ffff',
+        haloColor: '#00aaff',
+        delay: i * 0.1
       }
       
       networkNodes.push(nodeData)
@@ -184,7 +114,7 @@ const PerfectAppDostNetwork = () => {
     
     return {
       nodes: networkNodes,
-      connections: networkConnections
+      connections: networkConnections.map((connection) => ({ ...connection, color: '#00d4ff' }))
     }
   }, [])
 
@@ -198,27 +128,14 @@ const PerfectAppDostNetwork = () => {
 
   return (
     <group ref={groupRef}>
-      {/* Render all connections first (behind nodes) */}
-      {connections.map((connection, index) => (
-        <PerfectConnection
-          key={`connection_${index}`}
-          start={connection.start}
-          end={connection.end}
-          intensity={connection.intensity}
-          delay={connection.delay}
-        />
-      ))}
-      
-      {/* Render all nodes on top */}
-      {nodes.map((node, index) => (
-        <PerfectNode
-          key={`node_${node.id}`}
-          position={node.position}
-          size={0.08}
-          intensity={1.0}
-          delay={index * 0.1}
-        />
-      ))}
+      <NetworkMesh
+        nodes={nodes}
+        connections={connections}
+        nodeWave={NODE_WAVE}
+        haloScale={3}
+        haloOpacity={0.3}
+        flowWave={LINE_WAVE}
+      />
     </group>
   )
 }
@@ -273,7 +190,7 @@ const PerfectAppDostBackground = () => {
         background: 'radial-gradient(ellipse at center, #162636 0%, #0f1f2a 40%, #0a141c 70%, #050b0f 100%)' 
       }}
     >
-      <Canvas
+      <BackgroundCanvas
         camera={{ 
           position: [0, 0, 9], 
           fov: 45,
@@ -301,7 +218,7 @@ const PerfectAppDostBackground = () => {
 
         {/* Subtle background particles */}
         <SubtleParticles />
-      </Canvas>
+      </BackgroundCanvas>
 
       {/* Photo-accurate glow overlay */}
       <div 
@@ -4,9 +4,10 @@
  * Larger scale, more nodes, better distribution for perfect screen coverage
  */
 import { useRef, useMemo } from 'react'
-import { Canvas, useFrame, extend } from '@react-three/fiber'
+import { useFrame, extend } from '@react-three/fiber'
 import { shaderMaterial } from '@react-three/drei'
 import * as THREE from 'three'
+import BackgroundCanvas from './BackgroundCanvas'
 
 // Enhanced full-screen plexus shader
 const FullScreenPlexusShader = shaderMaterial(
@@ -372,7 +373,7 @@ const PerfectFullScreenPlexusBackground = () => {
         linear-gradient(135deg, #0a1428 0%, #051018 30%, #041018 70%, #020810 100%)
       `
     }}>
-      <Canvas
+      <BackgroundCanvas
         camera={{ 
           position: [0, 0, 15], 
           fov: 60,
@@ -426,7 +427,7 @@ const PerfectFullScreenPlexusBackground = () => {
 
         {/* Optimized fog for full screen depth */}
         <fog attach="fog" args={['#041018', 12, 40]} />
-      </Canvas>
+      </BackgroundCanvas>
 
       {/* Enhanced bloom effects for full screen */}
       <div 
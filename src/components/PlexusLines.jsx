@@ -0,0 +1,50 @@
+/**
+ * PlexusLines - every connection of a generated plexus network in one draw call
+ * Takes the typed line buffers from utils/networkGenerators and renders them as
+ * a single LineSegments2, which keeps support for lines wider than one pixel
+ */
+import { useMemo, useEffect } from 'react'
+import { useThree } from '@react-three/fiber'
+import * as THREE from 'three'
+import { LineSegments2 } from 'three/examples/jsm/lines/LineSegments2.js'
+import { LineSegmentsGeometry } from 'three/examples/jsm/lines/LineSegmentsGeometry.js'
+import { LineMaterial } from 'three/examples/jsm/lines/LineMaterial.js'
+
+const PlexusLines = ({ network, lineWidth = 1 }) => {
+  const size = useThree((state) => state.size)
+
+  const lines = useMemo(() => {
+    const geometry = new LineSegmentsGeometry()
+    geometry.setPositions(network.linePositions)
+    // LineMaterial has no per-vertex alpha, so opacity is folded into the colour and blended additively
+    geometry.setColors(network.lineColors.map((value, i) => value * network.lineOpacities[Math.floor(i / 3)]))
+
+    const material = new LineMaterial({
+      vertexColors: true,
+      linewidth: lineWidth,
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending
+    })
+
+    return new LineSegments2(geometry, material)
+  }, [network, lineWidth])
+
+  // Line width is in pixels, so the material needs the viewport size
+  useEffect(() => {
+    lines.material.resolution.set(size.width, size.height)
+  }, [lines, size])
+
+  useEffect(() => {
+    return () => {
+      lines.geometry.dispose()
+      lines.material.dispose()
+    }
+  }, [lines])
+
+  if (network.edgeCount === 0) return null
+
+  return <primitive object={lines} />
+}
+
+export default PlexusLines
@@ -3,231 +3,26 @@
  * High-quality, enterprise-grade circular network visualization
  * Advanced shaders, professional lighting, and smooth animations
  */
-import { useRef, useMemo, useCallback } from 'react'
-import { Canvas, useFrame, extend } from '@react-three/fiber'
-import { shaderMaterial } from '@react-three/drei'
+import { useRef, useMemo } from 'react'
+import { useFrame } from '@react-three/fiber'
 import * as THREE from 'three'
+import BackgroundCanvas from './BackgroundCanvas'
+import NetworkMesh from './NetworkMesh'
 
-// Professional glow shader material
-const ProfessionalGlowMaterial = shaderMaterial(
-  {
-    time: 0,
-    color: new THREE.Color('#00e6ff'),
-    glowColor: new THREE.Color('#00ffff'),
-    intensity: 1.0,
-    pulseSpeed: 1.5,
-    radius: 0.1,
-    falloff: 2.0,
-  },
-  // Vertex shader
-  `
-    varying vec2 vUv;
-    varying vec3 vPosition;
-    varying vec3 vNormal;
-    varying vec3 vWorldPosition;
-    uniform float time;
-    
-    void main() {
-      vUv = uv;
-      vPosition = position;
-      vNormal = normalize(normalMatrix * normal);
-      
-      vec4 worldPosition = modelMatrix * vec4(position, 1.0);
-      vWorldPosition = worldPosition.xyz;
-      
-      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-    }
-  `,
-  // Fragment shader
-  `
-    uniform vec3 color;
-    uniform vec3 glowColor;
-    uniform float time;
-    uniform float intensity;
-    uniform float pulseSpeed;
-    uniform float radius;
-    uniform float falloff;
-    
-    varying vec2 vUv;
-    varying vec3 vPosition;
-    varying vec3 vNormal;
-    varying vec3 vWorldPosition;
-    
-    void main() {
-      // Distance from center
-      float dist = length(vUv - 0.5);
-      
-      // Professional pulse animation
-      float pulse = sin(time * pulseSpeed) * 0.2 + 0.8;
-      
-      // Multi-layer glow effect
-      float innerGlow = 1.0 - smoothstep(0.0, radius, dist);
-      float midGlow = 1.0 - smoothstep(radius, radius * 2.0, dist);
-      float outerGlow = 1.0 - smoothstep(radius * 2.0, radius * 4.0, dist);
-      
-      // Combine glows with different intensities
-      float finalGlow = innerGlow * 1.0 + midGlow * 0.6 + outerGlow * 0.3;
-      finalGlow = pow(finalGlow, falloff) * intensity * pulse;
-      
-      // Color mixing for professional look
-      vec3 finalColor = mix(color, glowColor, innerGlow * 0.7);
-      finalColor *= finalGlow;
-      
-      gl_FragColor = vec4(finalColor, finalGlow * 0.9);
-    }
-  `
-)
-
-extend({ ProfessionalGlowMaterial })
-
-// Professional network connection with advanced effects
-const ProfessionalConnection = ({ start, end, intensity = 1.0, delay = 0, type = 'primary' }) => {
-  const lineRef = useRef()
-  const materialRef = useRef()
-
-  const { points, curve } = useMemo(() => {
-    const startVec = new THREE.Vector3(...start)
-    const endVec = new THREE.Vector3(...end)
-    
-    // Create elegant curve for professional look
-    const distance = startVec.distanceTo(endVec)
-    const midPoint = startVec.clone().lerp(endVec, 0.5)
-    
-    // Add subtle curve based on connection type
-    let curvature = 0
-    if (type === 'diagonal') curvature = distance * 0.05
-    if (type === 'cross') curvature = distance * 0.03
-    
-    midPoint.z += curvature
-    
-    const bezierCurve = new THREE.QuadraticBezierCurve3(startVec, midPoint, endVec)
-    return {
-      points: bezierCurve.getPoints(40),
-      curve: bezierCurve
-    }
-  }, [start, end, type])
-
-  const geometry = useMemo(() => {
-    return new THREE.BufferGeometry().setFromPoints(points)
-  }, [points])
-
-  useFrame((state) => {
-    if (materialRef.current) {
-      const time = state.clock.elapsedTime + delay
-      
-      // Professional data flow animation
-      const flow = (Math.sin(time * 2.5 + delay * 3) + 1) * 0.5
-      const basePulse = Math.sin(time * 1.2 + delay) * 0.15 + 0.85
-      
-      // Different intensities based on connection type
-      let typeMultiplier = 1.0
-      if (type === 'secondary') typeMultiplier = 0.7
-      if (type === 'tertiary') typeMultiplier = 0.4
-      
-      materialRef.current.opacity = (0.3 + flow * 0.4) * intensity * basePulse * typeMultiplier
-    }
-  })
-
-  const getConnectionColor = () => {
-    switch (type) {
-      case 'primary': return '#00e6ff'
-      case 'secondary': return '#0099cc'
-      case 'tertiary': return '#006699'
-      default: return '#00e6ff'
-    }
-  }
+// Node core pulse: 0.9 + 0.1 * sin(1.8t + 2.8 * delay)
+const NODE_WAVE = { base: 0.9, amplitude: 0.1, speed: 1.8, phase: 2.8 }
+// Line opacity: (0.3 + 0.4 * flow) * pulse, flowing at 2.5x and pulsing at 1.2x
+const FLOW_WAVE = { base: 0.5, amplitude: 0.2, speed: 2.5, phase: 5.5 }
+const PULSE_WAVE = { base: 0.85, amplitude: 0.15, speed: 1.2, phase: 2.2 }
 
-  return (
-    <line ref={lineRef} geometry={geometry}>
-      <lineBasicMaterial
-        ref={materialRef}
-        color={getConnectionColor()}
-        transparent
-        opacity={0.6}
-        linewidth={type === 'primary' ? 2 : 1}
-      />
-    </line>
-  )
+const CONNECTION_STYLES = {
+  primary: { color: '#00e6ff', intensity: 1.0 },
+  secondary: { color: '#0099cc', intensity: 0.7 },
+  tertiary: { color: '#006699', intensity: 0.4 }
 }
 
-// Professional glowing node
-const ProfessionalNode = ({ position, size = 0.1, nodeType = 'standard', delay = 0 }) => {
-  const groupRef = useRef()
-  const coreRef = useRef()
-  const glowRef = useRef()
-  const pulseRef = useRef()
-
-  const isCenter = nodeType === 'center'
-  const actualSize = isCenter ? size * 1.8 : size
-
-  useFrame((state) => {
-    if (groupRef.current && coreRef.current && glowRef.current) {
-      const time = state.clock.elapsedTime + delay
-      
-      // Professional pulsing animation
-      const corePulse = Math.sin(time * 1.8 + delay * 2) * 0.1 + 0.9
-      const glowPulse = Math.sin(time * 1.2 + delay) * 0.2 + 0.8
-      
-      // Scale animations
-      coreRef.current.scale.setScalar(actualSize * corePulse)
-      glowRef.current.scale.setScalar(actualSize * 2.5 * glowPulse)
-      
-      // Update shader uniforms
-      if (coreRef.current.material && coreRef.current.material.uniforms) {
-        coreRef.current.material.uniforms.time.value = time
-        coreRef.current.material.uniforms.intensity.value = isCenter ? 1.5 : 1.0
-      }
-      
-      // Subtle rotation for center node
-      if (isCenter) {
-        groupRef.current.rotation.z = time * 0.2
-      }
-    }
-  })
-
-  return (
-    <group ref={groupRef} position={position}>
-      {/* Core node with professional shader */}
-      <mesh ref={coreRef}>
-        <circleGeometry args={[actualSize, 16]} />
-        <professionalGlowMaterial
-          transparent
-          blending={THREE.AdditiveBlending}
-          color={isCenter ? "#ffffff" : "#00e6ff"}
-          glowColor={isCenter ? "#00ffff" : "#00aaff"}
-          intensity={isCenter ? 1.8 : 1.2}
-          pulseSpeed={1.5}
-          radius={0.3}
-          falloff={1.5}
-        />
-      </mesh>
-      
-      {/* Outer glow halo */}
-      <mesh ref={glowRef}>
-        <circleGeometry args={[actualSize * 2, 20]} />
-        <meshBasicMaterial
-          color={isCenter ? "#00ffff" : "#00aaff"}
-          transparent
-          opacity={isCenter ? 0.15 : 0.1}
-          blending={THREE.AdditiveBlending}
-        />
-      </mesh>
-      
-      {/* Pulse ring for center node */}
-      {isCenter && (
-        <mesh ref={pulseRef}>
-          <ringGeometry args={[actualSize * 1.5, actualSize * 2, 32]} />
-          <meshBasicMaterial
-            color="#00ffff"
-            transparent
-            opacity={0.2}
-            blending={THREE.AdditiveBlending}
-          />
-        </mesh>
-      )}
-    </group>
-  )
-}
+const NODE_SIZE = 0.08
+const HUB_SIZE = NODE_SIZE * 1.8
 
 // Main professional network component
 const ProfessionalNetworkSystem = () => {
@@ -337,7 +132,27 @@ const ProfessionalNetworkSystem = () => {
       }
     })
     
-    return { nodes: networkNodes, connections: networkConnections }
+    return {
+      nodes: networkNodes.map((node, index) => {
+        const isHub = node.nodeType === 'center'
+        return {
+          ...node,
+          size: isHub ? HUB_SIZE : NODE_SIZE,
+          color: isHub ? '#ffffff' : '#00e6ff',
+          haloColor: isHub ? '#00ffff' : '#00aaff',
+          intensity: isHub ? 1.8 : 1.2,
+          delay: index * 0.08
+        }
+      }),
+      connections: networkConnections.map((connection) => {
+        const style = CONNECTION_STYLES[connection.type]
+        return {
+          ...connection,
+          color: style.color,
+          intensity: connection.intensity * style.intensity
+        }
+      })
+    }
   }, [])
 
   // Professional rotation and breathing animation
@@ -361,28 +176,26 @@ const ProfessionalNetworkSystem = () => {
   return (
     <group ref={systemRef}>
       <group ref={groupRef}>
-        {/* Render connections first */}
-        {connections.map((connection, index) => (
-          <ProfessionalConnection
-            key={`conn_${index}`}
-            start={connection.start}
-            end={connection.end}
-            intensity={connection.intensity}
-            delay={connection.delay}
-            type={connection.type}
-          />
-        ))}
-        
-        {/* Render nodes on top */}
-        {nodes.map((node, index) => (
-          <ProfessionalNode
-            key={`node_${node.id}`}
-            position={node.position}
-            size={0.08}
-            nodeType={node.nodeType}
-            delay={index * 0.08}
+        <NetworkMesh
+          nodes={nodes}
+          connections={connections}
+          nodeWave={NODE_WAVE}
+          haloScale={2.5}
+          haloOpacity={0.1}
+          flowWave={FLOW_WAVE}
+          pulseWave={PULSE_WAVE}
+        />
+
+        {/* Pulse ring around the hub */}
+        <mesh>
+          <ringGeometry args={[HUB_SIZE * 1.5, HUB_SIZE * 2, 32]} />
+          <meshBasicMaterial
+            color="#00ffff"
+            transparent
+            opacity={0.2}
+            blending={THREE.AdditiveBlending}
           />
-        ))}
+        </mesh>
       </group>
     </group>
   )
@@ -487,7 +300,7 @@ const ProfessionalAppDostBackground = () => {
         ` 
       }}
     >
-      <Canvas
+      <BackgroundCanvas
         camera={{ 
           position: [0, 1, 10], 
           fov: 42,
@@ -545,7 +358,7 @@ const ProfessionalAppDostBackground = () => {
 
         {/* Professional fog */}
         <fog attach="fog" args={['#0a141c', 12, 45]} />
-      </Canvas>
+      </BackgroundCanvas>
 
       {/* Professional glow overlays */}
       <div 
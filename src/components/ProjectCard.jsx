@@ -0,0 +1,60 @@
+/**
+ * ProjectCard component for one case study in the ProjectsGrid
+ * Shows the headline metrics and opens the full case study
+ */
+import { motion } from 'framer-motion'
+import { FaArrowRight } from 'react-icons/fa'
+import { usePrefersReducedMotion } from '../hooks/usePrefersReducedMotion'
+import { useLocale } from '../hooks/useLocale'
+
+// Metrics shown on the card; the rest are in the case study
+const CARD_METRIC_COUNT = 2
+
+const ProjectCard = ({ project, onOpen }) => {
+  const prefersReducedMotion = usePrefersReducedMotion()
+  const { t } = useLocale()
+  const keyMetrics = project.metrics.slice(0, CARD_METRIC_COUNT)
+
+  return (
+    <motion.article
+      layout={!prefersReducedMotion}
+      initial={prefersReducedMotion ? false : { opacity: 0, y: 30 }}
+      animate={prefersReducedMotion ? {} : { opacity: 1, y: 0 }}
+      exit={prefersReducedMotion ? {} : { opacity: 0, y: 30 }}
+      transition={{ duration: prefersReducedMotion ? 0 : 0.4 }}
+      className="card group relative h-full flex flex-col text-left bg-black/30 backdrop-blur-sm border border-white/10 hover:border-cyan-400/50 transition-colors"
+    >
+      <span className="self-start px-3 py-1 mb-4 bg-white/10 text-accent text-xs font-medium rounded-full border border-accent/20">
+        {t(`projects.categories.${project.category}`)}
+      </span>
+
+      <h3 className="text-xl font-bold text-white mb-3">
+        {project.title}
+      </h3>
+      <p className="text-gray-300 mb-6 leading-relaxed flex-grow">
+        {project.description}
+      </p>
+
+      <dl className="grid grid-cols-2 gap-4 mb-6">
+        {keyMetrics.map(({ id, label, value }) => (
+          <div key={id}>
+            <dt className="text-gray-400 text-xs mb-1">{label}</dt>
+            <dd className="text-2xl font-bold text-gradient font-display">{value}</dd>
+          </div>
+        ))}
+      </dl>
+
+      <button
+        type="button"
+        onClick={() => onOpen(project)}
+        className="mt-auto inline-flex items-center text-accent font-semibold hover:underline focus-visible rounded"
+        aria-haspopup="dialog"
+      >
+        {t('projects.viewCaseStudy')}<span className="sr-only">: {project.title}</span>
+        <FaArrowRight className="ml-2 text-sm transition-transform duration-300 group-hover:translate-x-1" aria-hidden="true" />
+      </button>
+    </motion.article>
+  )
+}
+
+export default ProjectCard
@@ -0,0 +1,194 @@
+/**
+ * ProjectsGrid component showcasing case studies from the `projects` content
+ * Category filters narrow the grid; each card opens the full
+ * problem -> approach -> outcome case study in a modal, which can also be
+ * linked to directly as /projects?project=<id>
+ */
+import { useState, useEffect, useMemo } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { FaExternalLinkAlt } from 'react-icons/fa'
+import { cn } from '../utils/helpers'
+import { navigate } from '../utils/router'
+import { useRoute } from '../hooks/useRoute'
+import { useContent } from '../hooks/useContent'
+import { useLocale } from '../hooks/useLocale'
+import { useIntersectionObserver } from '../hooks/useIntersectionObserver'
+import { usePrefersReducedMotion } from '../hooks/usePrefersReducedMotion'
+import ProjectCard from './ProjectCard'
+import Modal from './Modal'
+import Link from './Link'
+
+// Filter value for every category, labelled by the `projects.all` message
+const ALL_CATEGORIES = 'all'
+
+// Case study fields in reading order; each is headed by `projects.<key>`
+const CASE_STUDY_STEPS = ['problem', 'approach', 'outcome']
+
+const ProjectCaseStudy = ({ project }) => {
+  const { t } = useLocale()
+
+  return (
+    <article>
+      <span className="inline-block px-3 py-1 mb-4 bg-white/10 text-accent text-xs font-medium rounded-full border border-accent/20">
+        {t(`projects.categories.${project.category}`)}
+      </span>
+      <h3 id="project-case-study-title" className="text-2xl lg:text-3xl font-display font-bold text-white mb-3 pr-12">
+        {project.title}
+      </h3>
+      <p className="text-gray-300 text-lg mb-8">{project.description}</p>
+
+      <ol className="space-y-6 mb-8">
+        {CASE_STUDY_STEPS.map((step, index) => (
+          <li key={step} className="flex gap-4">
+            <span className="flex-shrink-0 w-8 h-8 rounded-full bg-accent/10 border border-accent/30 text-accent font-bold flex items-center justify-center" aria-hidden="true">
+              {index + 1}
+            </span>
+            <div>
+              <h4 className="text-white font-semibold mb-1">{t(`projects.${step}`)}</h4>
+              <p className="text-gray-300 leading-relaxed">{project[step]}</p>
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      <h4 className="text-white font-semibold mb-3">{t('projects.results')}</h4>
+      <dl className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-8">
+        {project.metrics.map(({ id, label, value }) => (
+          <div key={id} className="glass rounded-2xl p-4 flex flex-col-reverse">
+            <dt className="text-gray-400 text-xs mt-1">{label}</dt>
+            <dd className="text-2xl font-bold text-gradient font-display">{value}</dd>
+          </div>
+        ))}
+      </dl>
+
+      <h4 className="text-white font-semibold mb-3">{t('services.technologies')}</h4>
+      <ul className="flex flex-wrap gap-2 mb-8" role="list">
+        {project.techStack.map((tech) => (
+          <li key={tech} className="px-3 py-1 bg-white/10 text-accent text-xs font-medium rounded-full border border-accent/20">
+            {tech}
+          </li>
+        ))}
+      </ul>
+
+      {project.liveUrl && (
+        <a
+          href={project.liveUrl}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="btn-primary"
+        >
+          {t('projects.viewLive')}
+          <FaExternalLinkAlt className="ml-2 text-sm" aria-hidden="true" />
+          <span className="sr-only">{t('common.opensInNewTab')}</span>
+        </a>
+      )}
+    </article>
+  )
+}
+
+const ProjectsGrid = () => {
+  const { elementRef, hasIntersected } = useIntersectionObserver({
+    threshold: 0.1
+  })
+  const prefersReducedMotion = usePrefersReducedMotion()
+  const [category, setCategory] = useState(ALL_CATEGORIES)
+  const [openProject, setOpenProject] = useState(null)
+  const { location } = useRoute()
+  const projects = useContent('projects')
+  const { t } = useLocale()
+
+  // Filters in the order categories first appear in the content
+  const categories = useMemo(() => {
+    return [ALL_CATEGORIES, ...new Set(projects.map((project) => project.category))]
+  }, [projects])
+
+  useEffect(() => {
+    const projectId = new URLSearchParams(location.search).get('project')
+    const requested = projects.find((project) => String(project.id) === projectId)
+    if (requested) setOpenProject(requested)
+  }, [location, projects])
+
+  const closeProject = () => {
+    setOpenProject(null)
+    // Drop the deep link so closing isn't undone by the next render of the same URL
+    if (new URLSearchParams(location.search).has('project')) {
+      navigate(location.pathname, { replace: true, scroll: false })
+    }
+  }
+
+  const visibleProjects = category === ALL_CATEGORIES
+    ? projects
+    : projects.filter((project) => project.category === category)
+
+  return (
+    <section 
+      id="projects" 
+      ref={elementRef}
+      className="py-20 lg:py-32 relative"
+    >
+      <div className="absolute inset-0 bg-black/40 backdrop-blur-sm"></div>
+
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8 relative z-10">
+        {/* Section Header */}
+        <motion.div
+          initial={prefersReducedMotion ? false : { opacity: 0, y: 30 }}
+          animate={hasIntersected ? { opacity: 1, y: 0 } : {}}
+          transition={{ duration: prefersReducedMotion ? 0 : 0.6 }}
+          className="text-center mb-12"
+        >
+          <h2 className="text-3xl lg:text-5xl font-display font-bold text-white mb-6">
+            {t('projects.title')} <span className="text-gradient">{t('projects.highlight')}</span>
+          </h2>
+          <p className="text-xl text-gray-300 max-w-3xl mx-auto">
+            {t('projects.intro')}
+          </p>
+        </motion.div>
+
+        {/* Category filters */}
+        <div className="flex flex-wrap justify-center gap-3 mb-12" role="group" aria-label={t('projects.filterLabel')}>
+          {categories.map((name) => (
+            <button
+              key={name}
+              type="button"
+              onClick={() => setCategory(name)}
+              aria-pressed={category === name}
+              className={cn(
+                'px-5 py-2 rounded-full text-sm font-medium border transition-all duration-300 focus-visible',
+                category === name
+                  ? 'bg-accent/10 text-accent border-accent/50'
+                  : 'bg-white/5 text-gray-300 border-white/10 hover:text-accent hover:border-accent/30'
+              )}
+            >
+              {t(name === ALL_CATEGORIES ? 'projects.all' : `projects.categories.${name}`)}
+            </button>
+          ))}
+        </div>
+
+        {/* Projects Grid */}
+        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6 lg:gap-8" aria-live="polite">
+          <AnimatePresence mode="popLayout">
+            {visibleProjects.map((project) => (
+              <ProjectCard key={project.id} project={project} onOpen={setOpenProject} />
+            ))}
+          </AnimatePresence>
+        </div>
+
+        <p className="text-center text-gray-300 text-lg mt-12">
+          {t('projects.similarChallenge')}
+          <Link href="/contact" className="text-cyan-400 hover:underline ml-1">
+            {t('projects.tellUs')}
+          </Link>
+          .
+        </p>
+      </div>
+
+      {openProject && (
+        <Modal titleId="project-case-study-title" onClose={closeProject}>
+          <ProjectCaseStudy project={openProject} />
+        </Modal>
+      )}
+    </section>
+  )
+}
+
+export default ProjectsGrid
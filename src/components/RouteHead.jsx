@@ -0,0 +1,23 @@
+/**
+ * RouteHead component - writes the current route's head tags
+ * Title, description, canonical, hreflang alternates, social previews and
+ * robots directives all come from the route table (see getRouteHead) and the
+ * content being shown, so section and detail URLs each get their own.
+ * Renders nothing itself
+ */
+import { useMemo } from 'react'
+import { getRouteHead } from '../data/routes'
+import { useRoute } from '../hooks/useRoute'
+import { useContent } from '../hooks/useContent'
+import { useHead } from '../hooks/useHead'
+
+const RouteHead = () => {
+  const { route } = useRoute()
+  const content = useContent()
+  const head = useMemo(() => getRouteHead(route, content), [route, content])
+  useHead(head)
+
+  return null
+}
+
+export default RouteHead
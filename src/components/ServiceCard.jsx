@@ -1,13 +1,17 @@
 /**
  * ServiceCard component for individual service display
- * Features hover effects, tech stack display, and accessibility support
+ * Features hover effects, tech stack display, and accessibility support.
+ * The whole card links to the service's page; its slug doubles as an anchor
  */
 import { motion } from 'framer-motion'
 import { FaArrowRight } from 'react-icons/fa'
 import { usePrefersReducedMotion } from '../hooks/usePrefersReducedMotion'
+import { useLocale } from '../hooks/useLocale'
+import Link from './Link'
 
 const ServiceCard = ({ service, index, isVisible }) => {
   const prefersReducedMotion = usePrefersReducedMotion()
+  const { t } = useLocale()
   const Icon = service.icon
 
   const cardVariants = {
@@ -45,13 +49,15 @@ const ServiceCard = ({ service, index, isVisible }) => {
 
   return (
     <motion.article
+      id={service.slug}
+      layout={!prefersReducedMotion}
       initial={prefersReducedMotion ? false : "hidden"}
       animate={isVisible ? "visible" : "hidden"}
+      exit={prefersReducedMotion ? undefined : "hidden"}
       whileHover={prefersReducedMotion ? {} : "hover"}
       variants={prefersReducedMotion ? {} : { ...cardVariants, ...hoverVariants }}
       className="card group relative overflow-hidden h-full flex flex-col cursor-pointer bg-black/30 backdrop-blur-sm border border-white/10 hover:border-cyan-400/50 ultra-smooth gpu-accelerated smooth-hover"
       role="article"
-      tabIndex={0}
     >
       {/* Background gradient effect */}
       <div className={`absolute inset-0 bg-gradient-to-br ${service.color} opacity-0 group-hover:opacity-10 transition-opacity duration-500`}></div>
@@ -64,7 +70,14 @@ const ServiceCard = ({ service, index, isVisible }) => {
           </div>
           <div className="flex-1">
             <h3 className="text-xl font-bold text-white group-hover:text-gradient transition-colors duration-300">
-              {service.title}
+              {/* Stretched over the card so the whole card is clickable */}
+              <Link
+                href={`/services/${service.slug}`}
+                scroll={false}
+                className="focus-visible rounded after:absolute after:inset-0 after:z-20"
+              >
+                {service.title}
+              </Link>
             </h3>
           </div>
         </div>
@@ -81,7 +94,7 @@ const ServiceCard = ({ service, index, isVisible }) => {
           }}
           className="text-accent opacity-0 group-hover:opacity-100 transition-opacity duration-300"
         >
-          <FaArrowRight className="text-lg" />
+          <FaArrowRight className="text-lg" aria-hidden="true" />
         </motion.div>
       </div>
 
@@ -92,7 +105,7 @@ const ServiceCard = ({ service, index, isVisible }) => {
 
       {/* Key benefits */}
       <div className="mb-6">
-        <h4 className="text-white font-semibold mb-3 text-sm">Key Benefits:</h4>
+        <h4 className="text-white font-semibold mb-3 text-sm">{t('services.benefits')}:</h4>
         <ul className="space-y-2" role="list">
           {service.bullets.map((bullet, bulletIndex) => (
             <li key={bulletIndex} className="flex items-start text-sm text-gray-300">
@@ -105,7 +118,7 @@ const ServiceCard = ({ service, index, isVisible }) => {
 
       {/* Tech stack */}
       <div className="mt-auto">
-        <h4 className="text-white font-semibold mb-3 text-sm">Technologies:</h4>
+        <h4 className="text-white font-semibold mb-3 text-sm">{t('services.technologies')}:</h4>
         <div className="flex flex-wrap gap-2">
           {service.techStack.map((tech, techIndex) => (
             <span
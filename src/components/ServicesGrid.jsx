@@ -1,19 +1,149 @@
 /**
  * ServicesGrid component displaying all services with animations
- * Features responsive grid layout and intersection observer animations
+ * Features responsive grid layout and intersection observer animations.
+ * The category chips (one per `category` the services declare) and search box
+ * narrow the grid and are mirrored in the URL as
+ * /services?category=<category>&q=<text>; /services/<slug> opens that
+ * service's details in a modal
  */
-import { motion } from 'framer-motion'
-import { services } from '../data/content'
+import { Fragment, useState, useEffect, useMemo } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { FaArrowRight, FaSearch } from 'react-icons/fa'
 import { useIntersectionObserver } from '../hooks/useIntersectionObserver'
 import { usePrefersReducedMotion } from '../hooks/usePrefersReducedMotion'
+import { useRoute } from '../hooks/useRoute'
+import { useContent } from '../hooks/useContent'
+import { useLocale } from '../hooks/useLocale'
 import ServiceCard from './ServiceCard'
-import { scrollToElement } from '../utils/helpers'
+import Modal from './Modal'
+import Link from './Link'
+import { cn } from '../utils/helpers'
+import { navigate } from '../utils/router'
+import { findRelated } from '../utils/tags'
+
+const NO_FILTERS = { categories: [], query: '' }
+
+const readFilters = (search, services) => {
+  const params = new URLSearchParams(search)
+  return {
+    categories: params.getAll('category').filter((category) => services.some((service) => service.category === category)),
+    query: params.get('q') ?? ''
+  }
+}
+
+const filtersToUrl = ({ categories, query }) => {
+  const params = new URLSearchParams()
+  categories.forEach((category) => params.append('category', category))
+  if (query) params.set('q', query)
+  const search = params.toString()
+  return search ? `/services?${search}` : '/services'
+}
+
+// Every word of the query must appear in the title, a bullet or a technology
+const matchesQuery = (service, query) => {
+  const text = [service.title, ...service.bullets, ...service.techStack].join(' ').toLowerCase()
+  return query.toLowerCase().split(/\s+/).every((word) => text.includes(word))
+}
+
+const filterServices = (services, { categories, query }) => {
+  return services.filter((service) => {
+    return (categories.length === 0 || categories.includes(service.category)) && matchesQuery(service, query.trim())
+  })
+}
+
+const ServiceDetail = ({ service }) => {
+  const projects = useContent('projects')
+  const { t } = useLocale()
+  const Icon = service.icon
+  const relatedProjects = findRelated(service, projects)
+
+  return (
+    <article>
+      <div className={`w-14 h-14 mb-4 rounded-xl bg-gradient-to-br ${service.color} flex items-center justify-center`}>
+        <Icon className="text-2xl text-white" aria-hidden="true" />
+      </div>
+      <h3 id="service-detail-title" className="text-2xl lg:text-3xl font-display font-bold text-white mb-3 pr-12">
+        {service.title}
+      </h3>
+      <p className="text-gray-300 text-lg mb-8">{service.description}</p>
+
+      <h4 className="text-white font-semibold mb-3">{t('services.benefits')}</h4>
+      <ul className="space-y-2 mb-8" role="list">
+        {service.bullets.map((bullet) => (
+          <li key={bullet} className="flex items-start text-gray-300">
+            <span className="text-cyan-400 mr-2" aria-hidden="true">•</span>
+            <span>{bullet}</span>
+          </li>
+        ))}
+      </ul>
+
+      <h4 className="text-white font-semibold mb-3">{t('services.technologies')}</h4>
+      <ul className="flex flex-wrap gap-2 mb-8" role="list">
+        {service.techStack.map((tech) => (
+          <li key={tech} className="px-3 py-1 bg-white/10 text-accent text-xs font-medium rounded-full border border-accent/20">
+            {tech}
+          </li>
+        ))}
+      </ul>
+
+      {relatedProjects.length > 0 && (
+        <>
+          <h4 className="text-white font-semibold mb-3">{t('services.relatedProjects')}</h4>
+          <ul className="space-y-2 mb-8" role="list">
+            {relatedProjects.map((project) => (
+              <li key={project.id}>
+                <Link href={`/projects?project=${project.id}`} className="text-cyan-400 hover:underline">
+                  {project.title}
+                </Link>
+                <span className="text-gray-400 text-sm"> - {t(`projects.categories.${project.category}`)}</span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <Link href={`/contact?service=${service.slug}`} className="btn-primary">
+        {t('services.discuss', { title: service.title })}
+        <FaArrowRight className="ml-2 text-sm" aria-hidden="true" />
+      </Link>
+    </article>
+  )
+}
 
 const ServicesGrid = () => {
   const { elementRef, hasIntersected } = useIntersectionObserver({
     threshold: 0.1
   })
   const prefersReducedMotion = usePrefersReducedMotion()
+  const { location, route } = useRoute()
+  const services = useContent('services')
+  const copy = useContent('copy').services
+  const { t } = useLocale()
+  const openService = services.find((service) => service.slug === route.params?.slug)
+  // Kept in state rather than read from the URL, which drops the query once another section scrolls into view
+  const [filters, setFilters] = useState(() => readFilters(location.search, services))
+  const visibleServices = filterServices(services, filters)
+  // Chips in the order categories first appear in the content
+  const categories = useMemo(() => [...new Set(services.map((service) => service.category))], [services])
+  const isFiltered = filters.categories.length > 0 || filters.query !== ''
+
+  // Links and back/forward to a filtered URL apply its filters
+  useEffect(() => {
+    const params = new URLSearchParams(location.search)
+    if (params.has('category') || params.has('q')) setFilters(readFilters(location.search, services))
+  }, [location, services])
+
+  const updateFilters = (next) => {
+    setFilters(next)
+    navigate(filtersToUrl(next), { replace: true, scroll: false })
+  }
+
+  const toggleCategory = (category) => {
+    const selected = filters.categories.includes(category)
+      ? filters.categories.filter((item) => item !== category)
+      : [...filters.categories, category]
+    updateFilters({ ...filters, categories: selected })
+  }
 
   const containerVariants = {
     hidden: { opacity: 0 },
@@ -42,36 +172,75 @@ const ServicesGrid = () => {
           initial={prefersReducedMotion ? false : { opacity: 0, y: 30 }}
           animate={hasIntersected ? { opacity: 1, y: 0 } : {}}
           transition={{ duration: prefersReducedMotion ? 0 : 0.6 }}
-          className="text-center mb-16"
+          className="text-center mb-8"
         >
           <h2 className="text-3xl lg:text-5xl font-display font-bold text-white mb-6">
-            Our <span className="text-gradient">Services</span>
+            {copy.title} <span className="text-gradient">{copy.highlight}</span>
           </h2>
           <p className="text-xl text-gray-300 max-w-3xl mx-auto leading-relaxed mb-8">
-            From AI-powered solutions to cutting-edge web applications, we deliver 
-            comprehensive digital services that transform businesses and drive growth.
+            {copy.intro}
           </p>
           
-          {/* Service categories preview */}
-          <div className="flex flex-wrap justify-center gap-4 text-sm">
-            {services.map((service, index) => (
-              <motion.span
-                key={service.id}
-                initial={prefersReducedMotion ? false : { opacity: 0, scale: 0.8 }}
-                animate={hasIntersected ? { opacity: 1, scale: 1 } : {}}
-                transition={{ 
-                  duration: prefersReducedMotion ? 0 : 0.4, 
-                  delay: prefersReducedMotion ? 0 : 0.3 + index * 0.1 
-                }}
-                className="px-4 py-2 bg-white/5 border border-white/10 rounded-full text-muted hover:text-accent hover:border-accent/30 transition-all duration-300 cursor-pointer"
-                onClick={() => scrollToElement('services', 100)}
-              >
-                {service.title}
-              </motion.span>
-            ))}
+          {/* Service category filters */}
+          <div className="flex flex-wrap justify-center gap-4 text-sm" role="group" aria-label={t('services.filterLabel')}>
+            {categories.map((category, index) => {
+              const isSelected = filters.categories.includes(category)
+
+              return (
+                <motion.button
+                  key={category}
+                  type="button"
+                  initial={prefersReducedMotion ? false : { opacity: 0, scale: 0.8 }}
+                  animate={hasIntersected ? { opacity: 1, scale: 1 } : {}}
+                  transition={{ 
+                    duration: prefersReducedMotion ? 0 : 0.4, 
+                    delay: prefersReducedMotion ? 0 : 0.3 + index * 0.1 
+                  }}
+                  aria-pressed={isSelected}
+                  onClick={() => toggleCategory(category)}
+                  className={cn(
+                    'px-4 py-2 border rounded-full transition-all duration-300 focus-visible',
+                    isSelected
+                      ? 'bg-accent/10 text-accent border-accent/50'
+                      : 'bg-white/5 border-white/10 text-muted hover:text-accent hover:border-accent/30'
+                  )}
+                >
+                  {t(`services.categories.${category}`)}
+                </motion.button>
+              )
+            })}
+          </div>
+
+          {/* Search */}
+          <div className="relative max-w-md mx-auto mt-8">
+            <label htmlFor="services-search" className="sr-only">{t('services.searchLabel')}</label>
+            <FaSearch className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-400" aria-hidden="true" />
+            <input
+              id="services-search"
+              type="search"
+              value={filters.query}
+              onChange={(e) => updateFilters({ ...filters, query: e.target.value })}
+              placeholder={t('services.searchPlaceholder')}
+              className="w-full pl-11 pr-4 py-3 bg-black/20 border border-white/20 rounded-xl text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-cyan-400 focus:border-transparent backdrop-blur-sm"
+            />
           </div>
         </motion.div>
 
+        <div aria-live="polite" className="text-center text-muted text-sm mb-8">
+          {isFiltered && (
+            <p>
+              {t('services.showing', { shown: visibleServices.length, total: services.length })}{' '}
+              <button
+                type="button"
+                onClick={() => updateFilters(NO_FILTERS)}
+                className="text-cyan-400 hover:underline focus-visible rounded"
+              >
+                {t('services.clearFilters')}
+              </button>
+            </p>
+          )}
+        </div>
+
         {/* Services Grid */}
         <motion.div
           initial={prefersReducedMotion ? false : "hidden"}
@@ -79,16 +248,25 @@ const ServicesGrid = () => {
           variants={prefersReducedMotion ? {} : containerVariants}
           className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6 lg:gap-8"
         >
-          {services.map((service, index) => (
-            <ServiceCard
-              key={service.id}
-              service={service}
-              index={index}
-              isVisible={hasIntersected}
-            />
-          ))}
+          <AnimatePresence mode="popLayout">
+            {visibleServices.map((service, index) => (
+              <ServiceCard
+                key={service.id}
+                service={service}
+                index={index}
+                isVisible={hasIntersected}
+              />
+            ))}
+          </AnimatePresence>
         </motion.div>
 
+        {visibleServices.length === 0 && (
+          <p className="text-center text-gray-300 text-lg">
+            {t('services.noMatch')}{' '}
+            <Link href="/contact" className="text-cyan-400 hover:underline">{t('services.noMatchLink')}</Link>.
+          </p>
+        )}
+
         {/* CTA Section */}
         <motion.div
           initial={prefersReducedMotion ? false : { opacity: 0, y: 40 }}
@@ -101,47 +279,56 @@ const ServicesGrid = () => {
         >
           <div className="glass rounded-3xl p-8 lg:p-12 max-w-4xl mx-auto">
             <h3 className="text-2xl lg:text-3xl font-bold text-white mb-4">
-              Ready to Transform Your Business?
+              {copy.ctaTitle}
             </h3>
             <p className="text-muted text-lg mb-8 max-w-2xl mx-auto">
-              Let's discuss how our expertise can help you achieve your digital transformation goals. 
-              Get a free consultation and detailed project roadmap.
+              {copy.ctaText}
             </p>
             
             <div className="flex flex-col sm:flex-row gap-4 justify-center">
               <motion.button
                 whileHover={prefersReducedMotion ? {} : { scale: 1.05 }}
                 whileTap={prefersReducedMotion ? {} : { scale: 0.95 }}
-                onClick={() => scrollToElement('contact', 100)}
+                onClick={() => navigate('/contact')}
                 className="btn-primary"
               >
-                Get Free Consultation
+                {copy.primaryCta}
               </motion.button>
               
               <motion.button
                 whileHover={prefersReducedMotion ? {} : { scale: 1.05 }}
                 whileTap={prefersReducedMotion ? {} : { scale: 0.95 }}
-                onClick={() => scrollToElement('projects', 100)}
+                onClick={() => navigate('/projects')}
                 className="btn-secondary"
               >
-                View Case Studies
+                {copy.secondaryCta}
               </motion.button>
             </div>
             
             {/* Trust indicators */}
             <div className="mt-8 pt-8 border-t border-white/10">
-              <p className="text-muted text-sm mb-4">Trusted by industry leaders</p>
+              <p className="text-muted text-sm mb-4">{copy.trustTitle}</p>
               <div className="flex justify-center items-center gap-8 text-xs text-muted/60">
-                <span>Fast Delivery</span>
-                <span>•</span>
-                <span>24/7 Support</span>
-                <span>•</span>
-                <span>Money Back Guarantee</span>
+                {copy.trustPoints.map((point, index) => (
+                  <Fragment key={point}>
+                    {index > 0 && <span aria-hidden="true">•</span>}
+                    <span>{point}</span>
+                  </Fragment>
+                ))}
               </div>
             </div>
           </div>
         </motion.div>
       </div>
+
+      {openService && (
+        <Modal
+          titleId="service-detail-title"
+          onClose={() => navigate(filtersToUrl(filters), { replace: true, scroll: false })}
+        >
+          <ServiceDetail service={openService} />
+        </Modal>
+      )}
     </section>
   )
 }
@@ -3,8 +3,9 @@
  * Bright, clear network sphere that's guaranteed to be visible
  */
 import { useRef, useMemo } from 'react'
-import { Canvas, useFrame } from '@react-three/fiber'
+import { useFrame } from '@react-three/fiber'
 import * as THREE from 'three'
+import BackgroundCanvas from './BackgroundCanvas'
 
 // Simple bright glowing node
 const BrightNode = ({ position, delay = 0 }) => {
@@ -150,7 +151,7 @@ const SimpleVisibleBackground = () => {
         background: 'linear-gradient(135deg, #071633 0%, #0a0f24 100%)'
       }}
     >
-      <Canvas
+      <BackgroundCanvas
         camera={{ 
           position: [0, 0, 10], 
           fov: 75
@@ -167,7 +168,7 @@ const SimpleVisibleBackground = () => {
 
         {/* Simple ring network */}
         <SimpleRingNetwork />
-      </Canvas>
+      </BackgroundCanvas>
 
       {/* Visible glow effect */}
       <div 
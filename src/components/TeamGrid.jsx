@@ -0,0 +1,57 @@
+/**
+ * TeamGrid component for the leadership team in the About section
+ * Renders the `team` content with photo, role, bio and LinkedIn profile
+ */
+import { motion } from 'framer-motion'
+import { FaLinkedin } from 'react-icons/fa'
+import { usePrefersReducedMotion } from '../hooks/usePrefersReducedMotion'
+import { useContent } from '../hooks/useContent'
+import { useLocale } from '../hooks/useLocale'
+import Avatar from './Avatar'
+
+const TeamGrid = ({ isVisible }) => {
+  const prefersReducedMotion = usePrefersReducedMotion()
+  const team = useContent('team')
+  const { t } = useLocale()
+
+  return (
+    <div id="team">
+      <h3 className="text-2xl lg:text-3xl font-display font-bold text-white mb-8 text-center">
+        {t('about.teamTitle')} <span className="text-gradient">{t('about.teamHighlight')}</span>
+      </h3>
+
+      <ul className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6" role="list">
+        {team.map((member, index) => (
+          <motion.li
+            key={member.id}
+            initial={prefersReducedMotion ? false : { opacity: 0, y: 40 }}
+            animate={isVisible ? { opacity: 1, y: 0 } : {}}
+            transition={{
+              duration: prefersReducedMotion ? 0 : 0.5,
+              delay: prefersReducedMotion ? 0 : index * 0.1
+            }}
+            className="card text-center bg-black/30 backdrop-blur-sm border border-white/10 hover:border-cyan-400/50 transition-colors flex flex-col items-center"
+          >
+            <Avatar src={member.image} name={member.name} className="w-24 h-24 mb-4" />
+            <h4 className="text-lg font-bold text-white">{member.name}</h4>
+            <p className="text-accent text-sm font-medium mb-3">{member.role}</p>
+            <p className="text-gray-300 text-sm leading-relaxed mb-4 flex-grow">{member.bio}</p>
+            {member.linkedin && (
+              <a
+                href={member.linkedin}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-gray-400 hover:text-cyan-400 transition-colors focus-visible rounded"
+                aria-label={t('about.linkedin', { name: member.name })}
+              >
+                <FaLinkedin className="text-xl" aria-hidden="true" />
+              </a>
+            )}
+          </motion.li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default TeamGrid
@@ -0,0 +1,49 @@
+/**
+ * ValuesGrid component for the company values in the About section
+ * Renders the `companyValues` content
+ */
+import { motion } from 'framer-motion'
+import { usePrefersReducedMotion } from '../hooks/usePrefersReducedMotion'
+import { useContent } from '../hooks/useContent'
+import { useLocale } from '../hooks/useLocale'
+
+const ValuesGrid = ({ isVisible }) => {
+  const prefersReducedMotion = usePrefersReducedMotion()
+  const companyValues = useContent('companyValues')
+  const { t } = useLocale()
+
+  return (
+    <div>
+      <h3 className="text-2xl lg:text-3xl font-display font-bold text-white mb-8 text-center">
+        {t('about.valuesTitle')} <span className="text-gradient">{t('about.valuesHighlight')}</span>
+      </h3>
+
+      <ul className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6" role="list">
+        {companyValues.map((value, index) => {
+          const Icon = value.icon
+
+          return (
+            <motion.li
+              key={value.id}
+              initial={prefersReducedMotion ? false : { opacity: 0, y: 40 }}
+              animate={isVisible ? { opacity: 1, y: 0 } : {}}
+              transition={{
+                duration: prefersReducedMotion ? 0 : 0.5,
+                delay: prefersReducedMotion ? 0 : index * 0.1
+              }}
+              className="card text-left bg-black/30 backdrop-blur-sm border border-white/10"
+            >
+              <div className="w-12 h-12 rounded-xl bg-gradient-to-br from-primary-600 to-accent flex items-center justify-center mb-4">
+                <Icon className="text-xl text-white" aria-hidden="true" />
+              </div>
+              <h4 className="text-lg font-bold text-white mb-2">{value.title}</h4>
+              <p className="text-gray-300 text-sm leading-relaxed">{value.description}</p>
+            </motion.li>
+          )
+        })}
+      </ul>
+    </div>
+  )
+}
+
+export default ValuesGrid
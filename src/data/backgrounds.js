@@ -0,0 +1,256 @@
+/**
+ * Registry of network background variants
+ * Each variant declares its renderer type, a lazy loader and the props it can be tuned with
+ * Variants marked `seedable` take a `seed` prop that pins their layout; the
+ * others draw from Math.random and differ on every load
+ */
+import { RENDERER_TIERS } from '../utils/webgl'
+
+export const RENDERERS = {
+  THREE: 'three',
+  TSPARTICLES: 'tsparticles',
+  CANVAS_2D: 'canvas2d'
+}
+
+export const DEFAULT_BACKGROUND_VARIANT = 'appdost-sphere'
+
+// Capability each renderer needs
+const RENDERER_REQUIREMENTS = {
+  [RENDERERS.THREE]: RENDERER_TIERS.WEBGL,
+  [RENDERERS.CANVAS_2D]: RENDERER_TIERS.CANVAS_2D,
+  [RENDERERS.TSPARTICLES]: RENDERER_TIERS.CANVAS_2D
+}
+
+// Variant to try when a renderer fails, before giving up and showing the CSS gradient
+export const FALLBACK_VARIANTS = {
+  [RENDERERS.THREE]: 'geometric-network'
+}
+
+/**
+ * How a renderer honours reduced motion, unless a variant overrides it
+ * - still: render one frame and stop
+ * - poster: skip the renderer and show the static gradient
+ */
+export const REDUCED_MOTION_STRATEGIES = {
+  [RENDERERS.THREE]: 'still',
+  [RENDERERS.CANVAS_2D]: 'still',
+  [RENDERERS.TSPARTICLES]: 'poster'
+}
+
+export const backgroundVariants = [
+  {
+    id: 'appdost-sphere',
+    name: 'AppDost Sphere',
+    renderer: RENDERERS.THREE,
+    load: () => import('../components/AppDostSphereBackground'),
+    seedable: true,
+    // Pinned so the live site shows the same layout on every visit
+    props: { seed: 'appdost' }
+  },
+  {
+    id: 'appdost-3d',
+    name: 'AppDost 3D Circle',
+    renderer: RENDERERS.THREE,
+    load: () => import('../components/AppDost3DBackground'),
+    props: {}
+  },
+  {
+    id: 'exact-appdost',
+    name: 'Exact AppDost',
+    renderer: RENDERERS.THREE,
+    load: () => import('../components/ExactAppDostBackground'),
+    props: {}
+  },
+  {
+    id: 'perfect-appdost',
+    name: 'Perfect AppDost',
+    renderer: RENDERERS.THREE,
+    load: () => import('../components/PerfectAppDostBackground'),
+    props: {}
+  },
+  {
+    id: 'professional-appdost',
+    name: 'Professional AppDost',
+    renderer: RENDERERS.THREE,
+    load: () => import('../components/ProfessionalAppDostBackground'),
+    props: {}
+  },
+  {
+    id: 'cinematic-plexus',
+    name: 'Cinematic Plexus',
+    renderer: RENDERERS.THREE,
+    load: () => import('../components/CinematicPlexusBackground'),
+    props: {}
+  },
+  {
+    id: 'fullscreen-plexus',
+    name: 'Full-Screen Plexus',
+    renderer: RENDERERS.THREE,
+    load: () => import('../components/PerfectFullScreenPlexusBackground'),
+    props: {}
+  },
+  {
+    id: 'fractured-plexus',
+    name: 'Fractured Plexus',
+    renderer: RENDERERS.THREE,
+    load: () => import('../components/FracturedPlexusBackground'),
+    seedable: true,
+    props: {}
+  },
+  {
+    id: 'custom-plexus',
+    name: 'Customizable Plexus',
+    renderer: RENDERERS.THREE,
+    load: () => import('../components/CustomizablePlexusBackground'),
+    seedable: true,
+    props: {
+      shapeType: 'fracturedChaotic',
+      colorScheme: 'cyanTurquoise',
+      backgroundStyle: 'darkTealNavy',
+      nodeCount: 200,
+      animationSpeed: 0.2,
+      connectionDistance: 0.3,
+      maxConnections: 8,
+      lineWidth: 1
+    }
+  },
+  {
+    id: 'plexus-sphere',
+    name: 'Plexus Sphere',
+    renderer: RENDERERS.THREE,
+    load: () => import('../components/CustomizablePlexusBackground'),
+    seedable: true,
+    props: {
+      shapeType: 'symmetricalSphere',
+      colorScheme: 'cyanTurquoise',
+      backgroundStyle: 'charcoalBlack',
+      nodeCount: 250,
+      animationSpeed: 0.2,
+      connectionDistance: 0.45,
+      maxConnections: 6,
+      lineWidth: 1
+    }
+  },
+  {
+    id: 'modern-ring',
+    name: 'Modern Ring Network',
+    renderer: RENDERERS.THREE,
+    load: () => import('../components/ModernRingNetworkBackground'),
+    props: {}
+  },
+  {
+    id: 'digital-sphere',
+    name: 'Digital Sphere',
+    renderer: RENDERERS.THREE,
+    load: () => import('../components/DigitalSphere3D'),
+    props: {}
+  },
+  {
+    id: 'enhanced-digital-sphere',
+    name: 'Enhanced Digital Sphere',
+    renderer: RENDERERS.THREE,
+    load: () => import('../components/EnhancedDigitalSphere'),
+    props: {}
+  },
+  {
+    id: 'simple-visible',
+    name: 'Simple Ring Network',
+    renderer: RENDERERS.THREE,
+    load: () => import('../components/SimpleVisibleBackground'),
+    props: {}
+  },
+  {
+    id: 'basic-test',
+    name: 'Basic Three.js Test',
+    renderer: RENDERERS.THREE,
+    load: () => import('../components/BasicTestBackground'),
+    props: {}
+  },
+  {
+    id: 'sphere-network',
+    name: 'Sphere Network',
+    renderer: RENDERERS.TSPARTICLES,
+    load: () => import('../components/SphereNetwork'),
+    props: {}
+  },
+  {
+    id: 'particle-network',
+    name: '3D Particle Network',
+    renderer: RENDERERS.TSPARTICLES,
+    load: () => import('../components/Background3D'),
+    props: {}
+  },
+  {
+    id: 'appdost-particles',
+    name: 'AppDost Particles',
+    renderer: RENDERERS.TSPARTICLES,
+    load: () => import('../components/AppDostBackground'),
+    props: {}
+  },
+  {
+    id: 'appdost-exact-particles',
+    name: 'AppDost Exact Particles',
+    renderer: RENDERERS.TSPARTICLES,
+    load: () => import('../components/AppDostExact'),
+    props: {}
+  },
+  {
+    id: 'appdost-precision',
+    name: 'AppDost Precision',
+    renderer: RENDERERS.CANVAS_2D,
+    load: () => import('../components/AppDostPrecision'),
+    props: {}
+  },
+  {
+    id: 'geometric-network',
+    name: 'Geometric Network',
+    renderer: RENDERERS.CANVAS_2D,
+    load: () => import('../components/GeometricNetwork'),
+    props: {}
+  },
+  {
+    id: 'canvas-ring',
+    name: 'Canvas 2D Ring',
+    renderer: RENDERERS.CANVAS_2D,
+    load: () => import('../components/Canvas2DRingNetwork'),
+    props: {}
+  }
+]
+
+/**
+ * Look up a variant by id
+ */
+export const getBackgroundVariant = (id) => {
+  return backgroundVariants.find((variant) => variant.id === id)
+}
+
+/**
+ * Reduced motion strategy for a variant
+ */
+export const getReducedMotionStrategy = (variant) => {
+  return variant.reducedMotion || REDUCED_MOTION_STRATEGIES[variant.renderer] || 'poster'
+}
+
+/**
+ * Ordered list of renderers to try for a variant: the variant itself, its
+ * renderer's fallback variant (if any) and finally the CSS gradient
+ * Each step is { tier, variant } with variant null for the gradient
+ */
+export const getFallbackChain = (variant) => {
+  const chain = [{ tier: RENDERER_REQUIREMENTS[variant.renderer], variant }]
+  const fallback = getBackgroundVariant(FALLBACK_VARIANTS[variant.renderer])
+
+  if (fallback) {
+    chain.push({ tier: RENDERER_REQUIREMENTS[fallback.renderer], variant: fallback })
+  }
+
+  chain.push({ tier: RENDERER_TIERS.CSS, variant: null })
+  return chain
+}
+
+/**
+ * Variants that use a given renderer type
+ */
+export const getVariantsByRenderer = (renderer) => {
+  return backgroundVariants.filter((variant) => variant.renderer === renderer)
+}
@@ -0,0 +1,217 @@
+/**
+ * Schemas for the hand-edited collections in src/content (see data/content)
+ * validateContent() checks each collection's shape plus rules that span
+ * fields and collections (unique ids, navigation that resolves to a route,
+ * figures that agree). It runs in the tests and, via checkContent(), on
+ * start-up in development
+ */
+import * as content from './content'
+import { matchRoute } from './routes'
+import {
+  SEVERITY,
+  optional,
+  string,
+  number,
+  url,
+  image,
+  component,
+  array,
+  shape,
+  unique,
+  validate
+} from '../utils/schema'
+import { showDevOverlay } from '../utils/devOverlay'
+
+const id = number({ min: 1 })
+const text = string()
+const slug = string({ pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/ })
+const tags = array(slug, { minLength: 1 })
+const texts = array(text, { minLength: 1 })
+const sitePath = string({ pattern: /^\// })
+const links = array(shape({ name: text, href: sitePath }), { minLength: 1 })
+
+// `company` fields a metric may restate (see the metrics' `companyField`)
+const COMPANY_FIGURES = ['employees']
+
+export const contentSchema = {
+  company: shape({
+    name: text,
+    tagline: text,
+    description: text,
+    // Canonical origin of the site, used for absolute URLs in structured data and the sitemap
+    url: string({ pattern: /^https?:\/\/[^/]+$/ }),
+    logo: image(),
+    founded: string({ pattern: /^\d{4}$/ }),
+    employees: string({ pattern: /^\d+\+?$/ }),
+    email: string({ pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ }),
+    phone: text,
+    address: text
+  }),
+  navigation: links,
+  metrics: array(shape({
+    id,
+    label: text,
+    value: number({ min: 0 }),
+    suffix: optional(text),
+    icon: component(),
+    // The company figure this metric restates; the two must agree
+    companyField: optional(string({ oneOf: COMPANY_FIGURES }))
+  })),
+  services: array(shape({
+    id,
+    slug,
+    // Filter chip in ServicesGrid, labelled by the services.categories.<category> message
+    category: slug,
+    title: text,
+    description: text,
+    bullets: texts,
+    techStack: texts,
+    tags,
+    icon: component(),
+    color: string({ pattern: /^from-[\w-]+ to-[\w-]+$/ })
+  })),
+  projects: array(shape({
+    id,
+    title: text,
+    // Filter chip in ProjectsGrid, labelled by the projects.categories.<category> message
+    category: slug,
+    image: optional(image()),
+    description: text,
+    problem: text,
+    approach: text,
+    outcome: text,
+    metrics: array(shape({ id, label: text, value: text }), { minLength: 1 }),
+    techStack: texts,
+    tags,
+    liveUrl: optional(url())
+  })),
+  industries: array(shape({
+    id,
+    name: text,
+    description: text,
+    icon: component(),
+    specialties: texts,
+    tags
+  })),
+  team: array(shape({
+    id,
+    name: text,
+    role: text,
+    bio: text,
+    image: optional(image()),
+    linkedin: optional(url())
+  })),
+  socialLinks: array(shape({
+    name: text,
+    url: url(),
+    icon: component()
+  })),
+  companyValues: array(shape({
+    id,
+    title: text,
+    description: text,
+    icon: component()
+  })),
+  // Section copy; `title` and `highlight` make up a heading, the latter in the accent gradient
+  copy: shape({
+    hero: shape({
+      headline: texts,
+      subheading: text,
+      primaryCta: text,
+      secondaryCta: text,
+      trustLine: text,
+      audiences: texts,
+      scrollHint: text
+    }),
+    services: shape({
+      title: text,
+      highlight: text,
+      intro: text,
+      ctaTitle: text,
+      ctaText: text,
+      primaryCta: text,
+      secondaryCta: text,
+      trustTitle: text,
+      trustPoints: texts
+    }),
+    contact: shape({
+      title: text,
+      highlight: text,
+      intro: text
+    }),
+    footer: shape({
+      newsletterTitle: text,
+      newsletterText: text,
+      servicesTitle: text,
+      madeWith: text,
+      madeBy: text,
+      sections: array(shape({ title: text, links }), { minLength: 1 }),
+      legalLinks: links
+    })
+  }),
+  // Parsed from about.md
+  about: shape({
+    title: text,
+    highlight: text,
+    intro: texts,
+    sections: array(shape({ title: text, paragraphs: texts }), { minLength: 1 })
+  })
+}
+
+const crossChecks = [
+  // Ids (and service slugs) identify items in URLs and React keys
+  (data, _path, report) => {
+    Object.keys(contentSchema)
+      .filter((key) => Array.isArray(data[key]) && data[key].some((item) => item?.id !== undefined))
+      .forEach((key) => unique('id')(data[key], key, report))
+    if (Array.isArray(data.services)) unique('slug')(data.services, 'services', report)
+  },
+  (data, _path, report) => {
+    data.navigation?.forEach((item, index) => {
+      if (matchRoute({ pathname: item.href }).path === null) {
+        report(`navigation[${index}].href`, `"${item.href}" doesn't match any route`)
+      }
+    })
+  },
+  (data, _path, report) => {
+    data.metrics?.forEach((metric, index) => {
+      const field = metric.companyField
+      const figure = field && data.company?.[field]
+      if (figure && figure !== `${metric.value}${metric.suffix ?? ''}`) {
+        report(`metrics[${index}].value`, `${metric.label} is ${metric.value}${metric.suffix ?? ''} but company.${field} is "${figure}"`)
+      }
+    })
+  }
+]
+
+/**
+ * Every problem in `data` (the content module by default) as
+ * [{ path, message, severity }]
+ */
+export const validateContent = (data = content) => {
+  const issues = Object.entries(contentSchema).flatMap(([key, rule]) => validate(data[key], rule, key))
+  crossChecks.forEach((check) => {
+    issues.push(...validate(data, check))
+  })
+  return issues
+}
+
+export const formatIssues = (issues) => {
+  return issues.map((issue) => `${issue.path}: ${issue.message}`).join('\n')
+}
+
+/**
+ * Validate the content, logging warnings and showing errors in the dev overlay
+ */
+export const checkContent = () => {
+  const issues = validateContent()
+  const errors = issues.filter((issue) => issue.severity === SEVERITY.ERROR)
+  const warnings = issues.filter((issue) => issue.severity === SEVERITY.WARNING)
+
+  if (warnings.length > 0) {
+    console.warn(`data/content has ${warnings.length} warning(s):\n${formatIssues(warnings)}`)
+  }
+  if (errors.length > 0) {
+    showDevOverlay(`data/content has ${errors.length} error(s)`, formatIssues(errors))
+  }
+}
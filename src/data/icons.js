@@ -0,0 +1,43 @@
+/**
+ * Icons that content can refer to by name
+ * Content files are plain JSON, so an `icon` field holds a react-icons name
+ * that withIcons() swaps for the component. Add an icon here before using it
+ * in content; unknown names are left as strings for the schema to report
+ */
+import {
+  FaAward,
+  FaBrain,
+  FaChartLine,
+  FaCloud,
+  FaCode,
+  FaCogs,
+  FaGithub,
+  FaHeart,
+  FaInstagram,
+  FaLinkedin,
+  FaPalette,
+  FaShieldAlt,
+  FaTwitter,
+  FaUsers
+} from 'react-icons/fa'
+
+export const icons = {
+  FaAward,
+  FaBrain,
+  FaChartLine,
+  FaCloud,
+  FaCode,
+  FaCogs,
+  FaGithub,
+  FaHeart,
+  FaInstagram,
+  FaLinkedin,
+  FaPalette,
+  FaShieldAlt,
+  FaTwitter,
+  FaUsers
+}
+
+export const withIcons = (items) => {
+  return items.map((item) => (typeof item?.icon === 'string' ? { ...item, icon: icons[item.icon] ?? item.icon } : item))
+}
@@ -0,0 +1,26 @@
+/**
+ * Languages the site is published in
+ * The default locale is served at the bare paths (/services); every other
+ * locale gets a path prefix (/hi/services). `numberFormat` is the BCP 47 tag
+ * used for Intl formatting, `label` is shown in the language switcher in the
+ * language itself
+ */
+
+export const DEFAULT_LOCALE = 'en'
+
+export const LOCALES = {
+  en: {
+    code: 'en',
+    label: 'English',
+    numberFormat: 'en-US'
+  },
+  hi: {
+    code: 'hi',
+    label: 'हिन्दी',
+    numberFormat: 'hi-IN'
+  }
+}
+
+export const LOCALE_CODES = Object.keys(LOCALES)
+
+export const isLocale = (code) => Object.hasOwn(LOCALES, code)
@@ -0,0 +1,168 @@
+/**
+ * Route table for the site
+ * Most paths map to a section of the single home page; `page` picks the
+ * top-level component (see AppRouter) for routes that are full pages.
+ * `:name` path segments match any single segment and are returned in `params`.
+ * Paths are written without a locale prefix: matchRoute strips it and reports
+ * the route's `locale`. `title` and `description` are message keys (see
+ * src/locales), or functions of the params, the content and the locale that
+ * return the text itself; getRouteHead() builds the page's head tags from
+ * them (and an optional social preview `image`).
+ *
+ * For the sitemap and robots.txt (see utils/seo): `content` names the
+ * collections a route shows, `staticParams` lists the params of every page a
+ * parameterised route has, and `noIndex` keeps a route out of search engines
+ */
+import { getLocalizedContent } from './content'
+import { DEFAULT_LOCALE, LOCALES, LOCALE_CODES } from './locales'
+import { localizePath, splitLocalePath, translate } from '../utils/i18n'
+
+export const PAGES = {
+  HOME: 'home',
+  DEMO: 'demo'
+}
+
+export const routes = [
+  { path: '/', page: PAGES.HOME, section: 'hero', title: null, content: ['company', 'copy', 'metrics'] },
+  { path: '/services', page: PAGES.HOME, section: 'services', title: 'routes.services', description: 'descriptions.services', content: ['services', 'copy'] },
+  {
+    path: '/services/:slug',
+    page: PAGES.HOME,
+    section: 'services',
+    title: ({ slug }, { services }, locale) => {
+      const service = services.find((item) => item.slug === slug)
+      return service?.title ?? translate(locale, 'routes.services')
+    },
+    description: ({ slug }, { services }, locale) => {
+      const service = services.find((item) => item.slug === slug)
+      return service?.description ?? translate(locale, 'descriptions.services')
+    },
+    content: ['services', 'projects'],
+    staticParams: ({ services }) => services.map(({ slug }) => ({ slug }))
+  },
+  { path: '/projects', page: PAGES.HOME, section: 'projects', title: 'routes.projects', description: 'descriptions.projects', content: ['projects'] },
+  { path: '/industries', page: PAGES.HOME, section: 'industries', title: 'routes.industries', description: 'descriptions.industries', content: ['industries'] },
+  { path: '/about', page: PAGES.HOME, section: 'about', title: 'routes.about', description: 'descriptions.about', content: ['about', 'team', 'companyValues'] },
+  { path: '/contact', page: PAGES.HOME, section: 'contact', title: 'routes.contact', description: 'descriptions.contact', content: ['copy', 'company'] },
+  { path: '/demo', page: PAGES.DEMO, section: null, title: 'routes.demo', description: 'descriptions.demo', noIndex: true }
+]
+
+const getSiteTitle = ({ company }, locale) => {
+  return translate(locale, 'site.title', { name: company.name, tagline: company.tagline })
+}
+
+// The home page's title, which index.html is built with (see plugins/seo)
+export const SITE_TITLE = getSiteTitle(getLocalizedContent(DEFAULT_LOCALE), DEFAULT_LOCALE)
+
+// Unknown paths still render the home page, from the top
+const NOT_FOUND_ROUTE = { path: null, page: PAGES.HOME, section: null, title: null, params: {} }
+
+const normalizePath = (pathname) => pathname.replace(/\/+$/, '') || '/'
+
+/**
+ * A route pattern with its `:name` segments filled from `params`
+ */
+export const buildPath = (pattern, params = {}) => {
+  return pattern.replace(/:(\w+)/g, (_segment, name) => encodeURIComponent(params[name]))
+}
+
+// Params when `path` fits the route's pattern, otherwise null
+const matchPath = (pattern, path) => {
+  const patternSegments = pattern.split('/')
+  const pathSegments = path.split('/')
+  if (patternSegments.length !== pathSegments.length) return null
+
+  const params = {}
+  for (let i = 0; i < patternSegments.length; i++) {
+    const segment = patternSegments[i]
+    if (segment.startsWith(':')) {
+      // A malformed escape (/services/%) matches nothing rather than throwing
+      try {
+        params[segment.slice(1)] = decodeURIComponent(pathSegments[i])
+      } catch (_error) {
+        return null
+      }
+    } else if (segment !== pathSegments[i]) {
+      return null
+    }
+  }
+  return params
+}
+
+/**
+ * Route for a location ({ pathname, search }), with its path `params` and `locale`
+ */
+export const matchRoute = ({ pathname, search = '' }) => {
+  const { locale, pathname: localPath } = splitLocalePath(pathname)
+
+  // Older links open the demo with ?demo=true on any path
+  if (new URLSearchParams(search).get('demo') === 'true') {
+    return { ...routes.find((route) => route.page === PAGES.DEMO), params: {}, locale }
+  }
+
+  const path = normalizePath(localPath)
+  for (const route of routes) {
+    const params = matchPath(route.path, path)
+    if (params) return { ...route, params, locale }
+  }
+  return { ...NOT_FOUND_ROUTE, locale }
+}
+
+/**
+ * Home page route for a section id, if the section has its own URL
+ */
+export const getSectionRoute = (section) => {
+  return routes.find((route) => route.page === PAGES.HOME && route.section === section)
+}
+
+// Route text: a message key, or a function of the params, content and locale
+const routeText = (text, route, content, locale) => {
+  return typeof text === 'function' ? text(route.params, content, locale) : text && translate(locale, text)
+}
+
+/**
+ * Document title for a route, in the route's language
+ * `content` is the site content in that language; it defaults to the
+ * bundled content, while the app passes what its content source serves
+ */
+export const getRouteTitle = (route, content = getLocalizedContent(route.locale)) => {
+  const { locale = DEFAULT_LOCALE } = route
+  const title = routeText(route.title, route, content, locale)
+  return title ? `${title} | ${content.company.name}` : getSiteTitle(content, locale)
+}
+
+// Whether a parameterised route's params name a real page (e.g. a known service slug)
+const hasPage = (route, content) => {
+  if (!route.staticParams) return true
+  return route.staticParams(content).some((params) => {
+    return Object.entries(params).every(([name, value]) => route.params?.[name] === value)
+  })
+}
+
+/**
+ * Document head for a route (see utils/head): its title and description in
+ * the route's language, absolute canonical and alternate URLs, and robots
+ * directives. Unknown paths, including detail URLs for items that don't
+ * exist, get no canonical and are kept out of search results. `content` is
+ * as for getRouteTitle
+ */
+export const getRouteHead = (route, content = getLocalizedContent(route.locale)) => {
+  const { locale = DEFAULT_LOCALE } = route
+  const { company } = content
+  const absoluteUrl = (path) => new URL(path, company.url).href
+  const path = route.path && hasPage(route, content) ? buildPath(route.path, route.params) : null
+
+  return {
+    title: getRouteTitle(route, content),
+    description: routeText(route.description, route, content, locale) ?? company.description,
+    canonical: path && absoluteUrl(localizePath(path, locale)),
+    image: absoluteUrl(route.image ?? company.logo),
+    robots: !path || route.noIndex ? 'noindex, nofollow' : 'index, follow',
+    locale: LOCALES[locale].numberFormat.replace('-', '_'),
+    siteName: company.name,
+    alternates: path ? [
+      ...LOCALE_CODES.map((code) => ({ hreflang: code, href: absoluteUrl(localizePath(path, code)) })),
+      { hreflang: 'x-default', href: absoluteUrl(localizePath(path, DEFAULT_LOCALE)) }
+    ] : []
+  }
+}
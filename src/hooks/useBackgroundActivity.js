@@ -0,0 +1,18 @@
+/**
+ * Hook to read how the network background should be animating
+ * - isActive: false while the tab is hidden or the background is covered
+ * - reducedMotion: render a single still frame instead of animating
+ * - interactive: follow the pointer and scroll (never with reduced motion or touch input)
+ * Provided by NetworkBackground; backgrounds rendered on their own always animate
+ */
+import { createContext, useContext } from 'react'
+
+export const BackgroundActivityContext = createContext({
+  isActive: true,
+  reducedMotion: false,
+  interactive: false
+})
+
+export const useBackgroundActivity = () => {
+  return useContext(BackgroundActivityContext)
+}
@@ -0,0 +1,59 @@
+/**
+ * Hook to follow the pointer and page scroll for interactive backgrounds
+ * Returns a ref rather than state so pointer movement never re-renders React;
+ * read it from useFrame:
+ * - pointer: { x, y } in normalised device coordinates (-1..1, y up)
+ * - pointerActive: whether a mouse is currently over the page
+ * - scroll: 0..1 progress through the page
+ * Listens only while `enabled` and falls back to the resting values otherwise
+ */
+import { useRef, useEffect } from 'react'
+
+const getScrollProgress = () => {
+  const maxScroll = document.documentElement.scrollHeight - window.innerHeight
+  return maxScroll > 0 ? Math.min(1, Math.max(0, window.scrollY / maxScroll)) : 0
+}
+
+export const useBackgroundInteraction = (enabled) => {
+  const interactionRef = useRef({ pointer: { x: 0, y: 0 }, pointerActive: false, scroll: 0 })
+
+  useEffect(() => {
+    const interaction = interactionRef.current
+
+    if (!enabled) {
+      interaction.pointerActive = false
+      interaction.scroll = 0
+      return
+    }
+
+    const handlePointerMove = (event) => {
+      // Touch and stylus drags are scrolls, not hovering
+      if (event.pointerType !== 'mouse') return
+
+      interaction.pointer.x = (event.clientX / window.innerWidth) * 2 - 1
+      interaction.pointer.y = -((event.clientY / window.innerHeight) * 2 - 1)
+      interaction.pointerActive = true
+    }
+
+    const handlePointerLeave = () => {
+      interaction.pointerActive = false
+    }
+
+    const handleScroll = () => {
+      interaction.scroll = getScrollProgress()
+    }
+
+    handleScroll()
+    window.addEventListener('pointermove', handlePointerMove, { passive: true })
+    window.addEventListener('scroll', handleScroll, { passive: true })
+    document.documentElement.addEventListener('pointerleave', handlePointerLeave)
+
+    return () => {
+      window.removeEventListener('pointermove', handlePointerMove)
+      window.removeEventListener('scroll', handleScroll)
+      document.documentElement.removeEventListener('pointerleave', handlePointerLeave)
+    }
+  }, [enabled])
+
+  return interactionRef
+}
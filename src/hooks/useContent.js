@@ -0,0 +1,15 @@
+/**
+ * Hook to read one content collection, e.g. useContent('services'), or with
+ * no key every collection
+ * Served by the nearest ContentProvider; without one (tests, the demo page)
+ * it returns the bundled content
+ */
+import { createContext, useContext } from 'react'
+import { getBundledContent } from '../services/contentSource'
+
+export const ContentContext = createContext(getBundledContent())
+
+export const useContent = (key) => {
+  const content = useContext(ContentContext)
+  return key === undefined ? content : content[key]
+}
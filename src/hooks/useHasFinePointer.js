@@ -0,0 +1,23 @@
+/**
+ * Hook to detect a precise, hovering pointer (mouse or trackpad)
+ * False on touch-first devices, where pointer-driven effects fight with scrolling
+ */
+import { useState, useEffect } from 'react'
+
+export const useHasFinePointer = () => {
+  const [hasFinePointer, setHasFinePointer] = useState(false)
+
+  useEffect(() => {
+    const mediaQueryList = window.matchMedia('(hover: hover) and (pointer: fine)')
+    setHasFinePointer(mediaQueryList.matches)
+
+    const handleChange = (event) => {
+      setHasFinePointer(event.matches)
+    }
+
+    mediaQueryList.addEventListener('change', handleChange)
+    return () => mediaQueryList.removeEventListener('change', handleChange)
+  }, [])
+
+  return hasFinePointer
+}
@@ -0,0 +1,13 @@
+/**
+ * Hook that keeps the document head in line with a page's metadata
+ * `head` is as for utils/head (title, description, canonical, image, robots,
+ * ...); tags are rewritten whenever it changes, so pass a memoised object
+ */
+import { useEffect } from 'react'
+import { applyHead } from '../utils/head'
+
+export const useHead = (head) => {
+  useEffect(() => {
+    applyHead(head)
+  }, [head])
+}
@@ -0,0 +1,15 @@
+/**
+ * Hook for the current language and its messages
+ * `locale` comes from the URL (see utils/i18n); t(key, values) looks up a
+ * message in src/locales, e.g. t('contact.send')
+ */
+import { useCallback } from 'react'
+import { useRoute } from './useRoute'
+import { translate } from '../utils/i18n'
+
+export const useLocale = () => {
+  const { locale } = useRoute().route
+  const t = useCallback((key, values) => translate(locale, key, values), [locale])
+
+  return { locale, t }
+}
@@ -0,0 +1,79 @@
+/**
+ * Hook to build a plexus network with one of the NETWORK_GENERATORS
+ * Small networks are built synchronously; from WORKER_NODE_THRESHOLD nodes up
+ * the work moves to a Web Worker so the main thread keeps painting. While a
+ * worker build is pending the previous network (or null on first build) is returned
+ */
+import { useState, useEffect, useMemo } from 'react'
+import { NETWORK_GENERATORS } from '../utils/networkGenerators'
+
+export const WORKER_NODE_THRESHOLD = 400
+
+let worker = null
+let nextRequestId = 0
+const pendingRequests = new Map()
+
+// One worker shared by every background, created on first use
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('../workers/network.worker.js', import.meta.url), { type: 'module' })
+
+    worker.onmessage = ({ data }) => {
+      const request = pendingRequests.get(data.id)
+      if (!request) return
+
+      pendingRequests.delete(data.id)
+      if (data.error) request.reject(new Error(data.error))
+      else request.resolve(data.network)
+    }
+
+    worker.onerror = (event) => {
+      pendingRequests.forEach((request) => request.reject(new Error(event.message)))
+      pendingRequests.clear()
+      worker.terminate()
+      worker = null
+    }
+  }
+  return worker
+}
+
+const buildOffThread = (type, options) => {
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++
+    pendingRequests.set(id, { resolve, reject })
+    getWorker().postMessage({ id, type, options })
+  })
+}
+
+export const useNetwork = (type, options) => {
+  // Options are plain values, so a JSON key stands in for deep comparison
+  const key = JSON.stringify(options)
+  const offThread = typeof Worker !== 'undefined' && (options.nodeCount ?? 0) >= WORKER_NODE_THRESHOLD
+  const [workerNetwork, setWorkerNetwork] = useState(null)
+
+  const syncNetwork = useMemo(() => {
+    return offThread ? null : NETWORK_GENERATORS[type](JSON.parse(key))
+  }, [type, key, offThread])
+
+  useEffect(() => {
+    if (!offThread) return
+
+    let cancelled = false
+    const params = JSON.parse(key)
+
+    buildOffThread(type, params)
+      .catch((error) => {
+        console.warn('Network worker failed, building on the main thread:', error)
+        return NETWORK_GENERATORS[type](params)
+      })
+      .then((network) => {
+        if (!cancelled) setWorkerNetwork(network)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [type, key, offThread])
+
+  return offThread ? workerNetwork : syncNetwork
+}
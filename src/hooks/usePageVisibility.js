@@ -0,0 +1,20 @@
+/**
+ * Hook to track whether the document is visible
+ * Uses the Page Visibility API so work can stop while the tab is in the background
+ */
+import { useState, useEffect } from 'react'
+
+export const usePageVisibility = () => {
+  const [isVisible, setIsVisible] = useState(() => !document.hidden)
+
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      setIsVisible(!document.hidden)
+    }
+
+    document.addEventListener('visibilitychange', handleVisibilityChange)
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange)
+  }, [])
+
+  return isVisible
+}
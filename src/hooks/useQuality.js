@@ -0,0 +1,12 @@
+/**
+ * Hook to read the current background quality tier
+ * Provided by BackgroundCanvas; defaults to the highest tier outside of one
+ */
+import { createContext, useContext } from 'react'
+import { QUALITY_TIERS } from '../utils/quality'
+
+export const QualityContext = createContext(QUALITY_TIERS[0])
+
+export const useQuality = () => {
+  return useContext(QualityContext)
+}
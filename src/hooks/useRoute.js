@@ -0,0 +1,14 @@
+/**
+ * Hook to read the current location and the route it matches
+ * Re-renders on navigate() and on browser back/forward
+ */
+import { useMemo, useSyncExternalStore } from 'react'
+import { subscribe, getLocation } from '../utils/router'
+import { matchRoute } from '../data/routes'
+
+export const useRoute = () => {
+  const location = useSyncExternalStore(subscribe, getLocation)
+  const route = useMemo(() => matchRoute(location), [location])
+
+  return { location, route }
+}
@@ -0,0 +1,43 @@
+/**
+ * Hook to track which section the user is currently reading
+ * Watches a band across the upper middle of the viewport; the first of
+ * `sectionIds` (in the given order) crossing it is active. The last active
+ * section is kept while the band sits between sections, and null is returned
+ * until one has been seen. Pass a stable array, e.g. a module constant
+ */
+import { useState, useEffect } from 'react'
+
+// Top 40% and bottom 55% of the viewport are excluded, leaving a band just above the middle
+const SPY_ROOT_MARGIN = '-40% 0px -55% 0px'
+
+export const useScrollSpy = (sectionIds) => {
+  const [activeId, setActiveId] = useState(null)
+
+  useEffect(() => {
+    const elements = sectionIds.map((id) => document.getElementById(id)).filter(Boolean)
+    if (elements.length === 0) return
+
+    const inBand = new Set()
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) {
+            inBand.add(entry.target.id)
+          } else {
+            inBand.delete(entry.target.id)
+          }
+        })
+
+        const current = sectionIds.find((id) => inBand.has(id))
+        if (current) setActiveId(current)
+      },
+      { rootMargin: SPY_ROOT_MARGIN, threshold: 0 }
+    )
+
+    elements.forEach((element) => observer.observe(element))
+    return () => observer.disconnect()
+  }, [sectionIds])
+
+  return activeId
+}
@@ -0,0 +1,31 @@
+/**
+ * Hook wiring a form up to the anti-spam checks in services/antiSpam
+ * Returns props for <HoneypotField />, check() to run before sending (resolves
+ * to { ok, token } or { ok: false, reason }) and record() to call once a
+ * submission went through, which also restarts the minimum-time clock
+ */
+import { useState, useCallback } from 'react'
+import { checkSubmission, recordSubmission, HONEYPOT_FIELD } from '../services/antiSpam'
+
+export const useSpamGuard = (formId, rules) => {
+  const [startedAt, setStartedAt] = useState(() => Date.now())
+  const [honeypot, setHoneypot] = useState('')
+
+  const check = useCallback(() => {
+    return checkSubmission(formId, { values: { [HONEYPOT_FIELD]: honeypot }, startedAt, rules })
+  }, [formId, honeypot, startedAt, rules])
+
+  const record = useCallback(() => {
+    recordSubmission(formId, rules)
+    setStartedAt(Date.now())
+  }, [formId, rules])
+
+  const honeypotProps = {
+    id: `${formId}-${HONEYPOT_FIELD}`,
+    name: HONEYPOT_FIELD,
+    value: honeypot,
+    onChange: (e) => setHoneypot(e.target.value)
+  }
+
+  return { honeypotProps, check, record }
+}
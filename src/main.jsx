@@ -1,18 +1,18 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
-import App from './App.jsx'
-import NetworkBackgroundDemo from './NetworkBackgroundDemo.jsx'
+import AppRouter from './AppRouter.jsx'
+import ContentProvider from './components/ContentProvider'
 
-// Check URL parameter to show demo
-const urlParams = new URLSearchParams(window.location.search)
-const showDemo = urlParams.get('demo') === 'true'
-
-// Add demo link info to console
-console.log('🚀 3D Network Demo available at: ' + window.location.origin + '?demo=true')
+// Check the hand-edited site content while developing; builds leave this out
+if (import.meta.env.DEV) {
+  import('./data/contentSchema').then(({ checkContent }) => checkContent())
+}
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    {showDemo ? <NetworkBackgroundDemo /> : <App />}
+    <ContentProvider>
+      <AppRouter />
+    </ContentProvider>
   </StrictMode>,
 )
@@ -3,18 +3,25 @@
  * Full-screen immersive experience with no UI elements
  */
 import { useState, useEffect } from 'react'
-import Background3D from '../components/Background3D'
-import SphereNetwork from '../components/SphereNetwork'
+import NetworkBackground from '../components/NetworkBackground'
+import { usePrefersReducedMotion } from '../hooks/usePrefersReducedMotion'
+import { backgroundVariants, getBackgroundVariant, DEFAULT_BACKGROUND_VARIANT } from '../data/backgrounds'
 
-const NetworkDemo = () => {
-  const [currentBackground, setCurrentBackground] = useState('sphere')
+const NetworkDemo = ({ initialVariant = DEFAULT_BACKGROUND_VARIANT, seed }) => {
+  const [currentVariant, setCurrentVariant] = useState(
+    getBackgroundVariant(initialVariant) ? initialVariant : DEFAULT_BACKGROUND_VARIANT
+  )
   const [showControls, setShowControls] = useState(false)
+  const prefersReducedMotion = usePrefersReducedMotion()
 
-  // Toggle background type with keyboard
+  // Cycle through variants / toggle controls with keyboard
   useEffect(() => {
     const handleKeyPress = (e) => {
       if (e.key === ' ') {
-        setCurrentBackground(prev => prev === 'sphere' ? 'network' : 'sphere')
+        setCurrentVariant(prev => {
+          const index = backgroundVariants.findIndex(variant => variant.id === prev)
+          return backgroundVariants[(index + 1) % backgroundVariants.length].id
+        })
       }
       if (e.key === 'c') {
         setShowControls(prev => !prev)
@@ -25,34 +32,29 @@ const NetworkDemo = () => {
     return () => window.removeEventListener('keydown', handleKeyPress)
   }, [])
 
+  const current = getBackgroundVariant(currentVariant)
+
   return (
     <div className="relative w-full h-screen overflow-hidden bg-primary-900">
       {/* Background Animation */}
-      {currentBackground === 'sphere' ? <SphereNetwork /> : <Background3D />}
-      
+      <NetworkBackground variant={currentVariant} reducedMotion={prefersReducedMotion} seed={seed} />
+
       {/* Optional minimal controls (hidden by default) */}
       {showControls && (
-        <div className="absolute top-4 right-4 z-50 flex flex-col gap-2">
-          <button
-            onClick={() => setCurrentBackground('sphere')}
-            className={`px-4 py-2 rounded-lg text-sm font-medium transition-all duration-300 ${
-              currentBackground === 'sphere'
-                ? 'bg-accent text-primary-900 shadow-glow'
-                : 'bg-white/10 text-white hover:bg-white/20'
-            }`}
-          >
-            Sphere Network
-          </button>
-          <button
-            onClick={() => setCurrentBackground('network')}
-            className={`px-4 py-2 rounded-lg text-sm font-medium transition-all duration-300 ${
-              currentBackground === 'network'
-                ? 'bg-accent text-primary-900 shadow-glow'
-                : 'bg-white/10 text-white hover:bg-white/20'
-            }`}
-          >
-            3D Network
-          </button>
+        <div className="absolute top-4 right-4 z-50 flex flex-col gap-2 max-h-[90vh] overflow-y-auto">
+          {backgroundVariants.map((variant) => (
+            <button
+              key={variant.id}
+              onClick={() => setCurrentVariant(variant.id)}
+              className={`px-4 py-2 rounded-lg text-sm font-medium transition-all duration-300 ${
+                currentVariant === variant.id
+                  ? 'bg-accent text-primary-900 shadow-glow'
+                  : 'bg-white/10 text-white hover:bg-white/20'
+              }`}
+            >
+              {variant.name}
+            </button>
+          ))}
         </div>
       )}
 
@@ -64,10 +66,10 @@ const NetworkDemo = () => {
 
       {/* Performance indicator */}
       <div className="absolute top-4 left-4 z-50 text-accent/50 text-xs font-mono">
-        {currentBackground === 'sphere' ? 'SPHERE MODE' : '3D NETWORK MODE'}
+        {current.name.toUpperCase()} ({current.renderer}){seed && current.seedable && ` seed: ${seed}`}
       </div>
     </div>
   )
 }
 
-export default NetworkDemo
\ No newline at end of file
+export default NetworkDemo
@@ -0,0 +1,119 @@
+/**
+ * Client-side spam protection for the public forms
+ * Four independent checks, run before anything is sent:
+ * - honeypot: a field hidden from people that bots tend to fill in
+ * - minimum time between the form appearing and being submitted
+ * - a per-form cap on submissions, remembered in localStorage
+ * - a challenge token from the active challenge provider, sent with the request
+ *
+ * Challenge providers implement { name, getToken(): Promise<string> } and are
+ * swapped with setChallengeProvider (e.g. for Turnstile or hCaptcha). The
+ * default solves a small proof-of-work puzzle locally, so it needs no network
+ */
+import { hashString } from '../utils/random'
+
+export const HONEYPOT_FIELD = 'website'
+
+export const SPAM_REASONS = {
+  HONEYPOT: 'honeypot',
+  TOO_FAST: 'too-fast',
+  RATE_LIMITED: 'rate-limited',
+  CHALLENGE_FAILED: 'challenge-failed'
+}
+
+export const DEFAULT_SPAM_RULES = {
+  minSubmitTime: 3000,
+  maxSubmissions: 3,
+  windowMs: 10 * 60 * 1000
+}
+
+const STORAGE_PREFIX = 'appdost:submissions:'
+
+// Leading zero bits the proof-of-work hash needs; ~4k hashes on average
+const PROOF_OF_WORK_BITS = 12
+
+/**
+ * Find a nonce whose hash with the challenge starts with `bits` zero bits
+ * Cheap once, expensive for a bot posting thousands of times; the server
+ * verifies it with a single hash
+ */
+export const solveProofOfWork = (challenge, bits = PROOF_OF_WORK_BITS) => {
+  const limit = 2 ** (32 - bits)
+
+  for (let nonce = 0; ; nonce++) {
+    if (hashString(`${challenge}:${nonce}`) < limit) return nonce
+  }
+}
+
+export const proofOfWorkProvider = {
+  name: 'proof-of-work',
+  getToken: async () => {
+    const challenge = `${Date.now().toString(36)}.${Math.random().toString(36).slice(2)}`
+    return `${challenge}:${solveProofOfWork(challenge)}`
+  }
+}
+
+let challengeProvider = proofOfWorkProvider
+
+export const setChallengeProvider = (provider) => {
+  challengeProvider = provider ?? proofOfWorkProvider
+}
+
+export const getChallengeProvider = () => challengeProvider
+
+// Storage can be unavailable (private mode, disabled cookies); the limit is then skipped
+const readSubmissions = (formId) => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_PREFIX + formId))
+    return Array.isArray(stored) ? stored : []
+  } catch (_error) {
+    return []
+  }
+}
+
+const writeSubmissions = (formId, timestamps) => {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + formId, JSON.stringify(timestamps))
+  } catch (_error) {
+    // Nothing to do: the limit is best effort
+  }
+}
+
+const recentSubmissions = (formId, windowMs, now) => {
+  return readSubmissions(formId).filter((timestamp) => now - timestamp < windowMs)
+}
+
+/**
+ * Remember a successful submission of `formId` for the rate limit
+ */
+export const recordSubmission = (formId, { windowMs = DEFAULT_SPAM_RULES.windowMs, now = Date.now() } = {}) => {
+  writeSubmissions(formId, [...recentSubmissions(formId, windowMs, now), now])
+}
+
+/**
+ * Run every check for a submission of `formId`
+ * Resolves to { ok: true, token } or { ok: false, reason } with one of SPAM_REASONS
+ */
+export const checkSubmission = async (formId, { values, startedAt, rules = {}, now = Date.now() }) => {
+  const { minSubmitTime, maxSubmissions, windowMs } = { ...DEFAULT_SPAM_RULES, ...rules }
+
+  if (values[HONEYPOT_FIELD]) {
+    return { ok: false, reason: SPAM_REASONS.HONEYPOT }
+  }
+
+  if (now - startedAt < minSubmitTime) {
+    return { ok: false, reason: SPAM_REASONS.TOO_FAST }
+  }
+
+  if (recentSubmissions(formId, windowMs, now).length >= maxSubmissions) {
+    return { ok: false, reason: SPAM_REASONS.RATE_LIMITED }
+  }
+
+  try {
+    const token = await challengeProvider.getToken()
+    return { ok: true, token }
+  } catch (error) {
+    console.warn(`Challenge provider "${challengeProvider.name}" failed:`, error)
+    return { ok: false, reason: SPAM_REASONS.CHALLENGE_FAILED }
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Contact form validation and submission
+ * The endpoint comes from VITE_CONTACT_API_URL, injected at build time.
+ * Validation messages are worded in the locale passed in (English by default)
+ */
+import { validateEmail } from '../utils/helpers'
+import { postJson } from '../utils/http'
+import { translate } from '../utils/i18n'
+import { DEFAULT_LOCALE } from '../data/locales'
+
+export const CONTACT_FIELDS = ['name', 'email', 'company', 'service', 'message']
+
+export const EMPTY_CONTACT_FORM = Object.fromEntries(CONTACT_FIELDS.map((field) => [field, '']))
+
+export const MESSAGE_MAX_LENGTH = 2000
+
+// Each returns the message key (under contact.errors) of the first problem, or null
+const fieldValidators = {
+  name: (value) => {
+    if (!value.trim()) return 'nameRequired'
+    if (value.trim().length < 2) return 'nameTooShort'
+    return null
+  },
+  email: (value) => {
+    if (!value.trim()) return 'emailRequired'
+    if (!validateEmail(value.trim())) return 'emailInvalid'
+    return null
+  },
+  message: (value) => {
+    if (!value.trim()) return 'messageRequired'
+    if (value.trim().length < 10) return 'messageTooShort'
+    if (value.length > MESSAGE_MAX_LENGTH) return 'messageTooLong'
+    return null
+  }
+}
+
+/**
+ * Error message for one field, or null when it is valid
+ */
+export const validateContactField = (field, value, locale = DEFAULT_LOCALE) => {
+  const problem = fieldValidators[field]?.(value)
+  return problem ? translate(locale, `contact.errors.${problem}`, { max: MESSAGE_MAX_LENGTH }) : null
+}
+
+/**
+ * Errors for every invalid field, keyed by field name; empty when the form is valid
+ */
+export const validateContactForm = (values, locale = DEFAULT_LOCALE) => {
+  const errors = {}
+
+  CONTACT_FIELDS.forEach((field) => {
+    const error = validateContactField(field, values[field], locale)
+    if (error) errors[field] = error
+  })
+
+  return errors
+}
+
+/**
+ * Send a validated form to the contact endpoint
+ * `challengeToken` comes from the anti-spam challenge provider; the rest are postJson options
+ */
+export const submitContactForm = async (values, { challengeToken, ...options } = {}) => {
+  const url = import.meta.env.VITE_CONTACT_API_URL
+  if (!url) {
+    throw new Error('VITE_CONTACT_API_URL is not set')
+  }
+
+  const payload = Object.fromEntries(CONTACT_FIELDS.map((field) => [field, values[field].trim()]))
+  return postJson(url, { ...payload, challengeToken }, options)
+}
@@ -0,0 +1,133 @@
+/**
+ * Where the site content comes from, through a pluggable source
+ * Sources implement { name, load(locale) } and resolve to the full content in
+ * that language: every collection in data/contentSchema. The bundled source
+ * serves the files in src/content, imported at build time. When
+ * VITE_CONTENT_URL is set the remote source fetches a JSON object of
+ * collections at runtime instead (`?locale=<code>` for other languages),
+ * caches it in localStorage and keeps the bundled copy of any collection that
+ * is missing, fails its schema or breaks a rule spanning collections (unique
+ * ids and slugs, navigation routes, figures); if the request fails it uses the
+ * cache, however old, then the bundled content. setContentSource swaps in
+ * another (e.g. a headless CMS)
+ */
+import { getLocalizedContent } from '../data/content'
+import { DEFAULT_LOCALE } from '../data/locales'
+import { contentSchema, formatIssues, validateContent } from '../data/contentSchema'
+import { withIcons } from '../data/icons'
+import { getJson } from '../utils/http'
+import { parseMarkdown } from '../utils/markdown'
+import { SEVERITY, validate } from '../utils/schema'
+
+const CACHE_KEY = 'appdost:content'
+
+// How long fetched content is used before asking the endpoint again
+const DEFAULT_MAX_AGE = 60 * 60 * 1000
+
+export const getBundledContent = (locale = DEFAULT_LOCALE) => getLocalizedContent(locale)
+
+// Remote content names icons like the JSON files do, and may send Markdown for long-form text
+const normalizeCollection = (key, value) => {
+  if (key === 'about' && typeof value === 'string') return parseMarkdown(value)
+  return Array.isArray(value) ? withIcons(value) : value
+}
+
+const errorsOnly = (issues) => issues.filter((issue) => issue.severity === SEVERITY.ERROR)
+
+/**
+ * The bundled content in `locale` with each valid collection in `data` swapped in
+ * Collections are checked against their schema one by one, then the merged
+ * content against the cross-collection rules; a remote collection those rules
+ * report a problem in is replaced by its bundled copy too
+ */
+export const mergeContent = (data, locale = DEFAULT_LOCALE) => {
+  const bundledContent = getBundledContent(locale)
+  const merged = Object.fromEntries(Object.entries(bundledContent).map(([key, bundled]) => {
+    if (data?.[key] === undefined) return [key, bundled]
+
+    const value = normalizeCollection(key, data[key])
+    const errors = errorsOnly(validate(value, contentSchema[key], key))
+    if (errors.length > 0) {
+      if (import.meta.env.DEV) console.warn(`Ignoring invalid "${key}" content, using the bundled copy:\n${formatIssues(errors)}`)
+      return [key, bundled]
+    }
+    return [key, value]
+  }))
+
+  errorsOnly(validateContent(merged)).forEach((issue) => {
+    const key = issue.path.match(/^\w+/)?.[0]
+    if (merged[key] === undefined || merged[key] === bundledContent[key]) return
+
+    if (import.meta.env.DEV) console.warn(`Ignoring inconsistent "${key}" content, using the bundled copy:\n${formatIssues([issue])}`)
+    merged[key] = bundledContent[key]
+  })
+  return merged
+}
+
+const readCache = (cacheKey) => {
+  try {
+    const cached = JSON.parse(window.localStorage.getItem(cacheKey))
+    return cached && typeof cached.savedAt === 'number' ? cached : null
+  } catch (_error) {
+    return null
+  }
+}
+
+const writeCache = (cacheKey, data) => {
+  try {
+    window.localStorage.setItem(cacheKey, JSON.stringify({ savedAt: Date.now(), data }))
+  } catch (_error) {
+    // Best effort: the next visit fetches again
+  }
+}
+
+export const createBundledSource = () => ({
+  name: 'bundled',
+  load: async (locale) => getBundledContent(locale)
+})
+
+// Endpoint and cache entry for a locale; the default locale keeps the plain ones
+const forLocale = (url, cacheKey, locale) => {
+  if (locale === DEFAULT_LOCALE) return { url, cacheKey }
+
+  const localeUrl = new URL(url, window.location.origin)
+  localeUrl.searchParams.set('locale', locale)
+  return { url: localeUrl.href, cacheKey: `${cacheKey}:${locale}` }
+}
+
+/**
+ * Source for a JSON endpoint returning { services: [...], copy: {...}, ... }
+ * Any subset of collections may be sent
+ */
+export const createRemoteSource = (url, { maxAge = DEFAULT_MAX_AGE, cacheKey = CACHE_KEY, requestOptions } = {}) => ({
+  name: 'remote',
+  load: async (locale = DEFAULT_LOCALE) => {
+    const endpoint = forLocale(url, cacheKey, locale)
+    const cached = readCache(endpoint.cacheKey)
+    if (cached && Date.now() - cached.savedAt < maxAge) {
+      return mergeContent(cached.data, locale)
+    }
+
+    try {
+      const data = await getJson(endpoint.url, requestOptions)
+      writeCache(endpoint.cacheKey, data)
+      return mergeContent(data, locale)
+    } catch (error) {
+      if (import.meta.env.DEV) console.warn('Loading remote content failed, using cached or bundled content:', error)
+      return mergeContent(cached?.data, locale)
+    }
+  }
+})
+
+let customSource = null
+
+export const setContentSource = (source) => {
+  customSource = source
+}
+
+export const getContentSource = () => {
+  if (customSource) return customSource
+
+  const url = import.meta.env.VITE_CONTENT_URL
+  return url ? createRemoteSource(url) : createBundledSource()
+}
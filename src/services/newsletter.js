@@ -0,0 +1,114 @@
+/**
+ * Newsletter subscription through a pluggable provider
+ * Providers implement { name, subscribe(email, { challengeToken, locale }) }
+ * and resolve to { status, message } with a NEWSLETTER_RESULTS status, or
+ * throw a NewsletterError; messages should be in `locale` when the provider
+ * can. The default provider posts JSON to VITE_NEWSLETTER_API_URL;
+ * setNewsletterProvider swaps in another (e.g. a mailing list vendor's API)
+ *
+ * Sign-up is double opt-in: a new address is 'pending' until the subscriber
+ * clicks the confirmation email. Only the provider knows who is on the list
+ * (people unsubscribe through the email), so every sign-up asks it; a repeat
+ * of one still in flight shares its request
+ */
+import { validateEmail } from '../utils/helpers'
+import { postJson } from '../utils/http'
+import { translate } from '../utils/i18n'
+import { DEFAULT_LOCALE } from '../data/locales'
+
+export const NEWSLETTER_RESULTS = {
+  PENDING: 'pending',
+  SUBSCRIBED: 'subscribed',
+  ALREADY_SUBSCRIBED: 'already-subscribed'
+}
+
+export const NEWSLETTER_ERRORS = {
+  VALIDATION: 'validation',
+  NETWORK: 'network',
+  UNAVAILABLE: 'unavailable'
+}
+
+/**
+ * Message for a result or error code, used when the provider doesn't send its own
+ */
+export const getNewsletterMessage = (code, locale = DEFAULT_LOCALE) => {
+  return translate(locale, `newsletter.${code}`)
+}
+
+export class NewsletterError extends Error {
+  constructor(code, message, locale) {
+    super(message || getNewsletterMessage(code, locale))
+    this.name = 'NewsletterError'
+    this.code = code
+  }
+}
+
+/**
+ * Provider for a generic webhook taking { email, challengeToken, locale, source } as JSON
+ * Reads `status` and `message` from the response body; a 409 means the address
+ * is already subscribed and a 400/422 that the server rejected it
+ */
+export const createWebhookProvider = (url, requestOptions) => ({
+  name: 'webhook',
+  subscribe: async (email, { challengeToken, locale } = {}) => {
+    try {
+      const body = await postJson(url, { email, challengeToken, locale, source: 'website' }, requestOptions)
+      const status = Object.values(NEWSLETTER_RESULTS).includes(body?.status) ? body.status : NEWSLETTER_RESULTS.PENDING
+      return { status, message: body?.message }
+    } catch (error) {
+      const message = error.body?.message
+
+      if (error.status === 409) {
+        return { status: NEWSLETTER_RESULTS.ALREADY_SUBSCRIBED, message }
+      }
+      if (error.status === 400 || error.status === 422) {
+        throw new NewsletterError(NEWSLETTER_ERRORS.VALIDATION, message, locale)
+      }
+      if (error.status && error.status < 500 && error.status !== 429) {
+        throw new NewsletterError(NEWSLETTER_ERRORS.UNAVAILABLE, message, locale)
+      }
+      throw new NewsletterError(NEWSLETTER_ERRORS.NETWORK, null, locale)
+    }
+  }
+})
+
+let customProvider = null
+
+export const setNewsletterProvider = (provider) => {
+  customProvider = provider
+}
+
+export const getNewsletterProvider = () => {
+  if (customProvider) return customProvider
+
+  const url = import.meta.env.VITE_NEWSLETTER_API_URL
+  return url ? createWebhookProvider(url) : null
+}
+
+// Sign-ups waiting on the provider, by address, so a double click sends one request
+const pendingSignUps = new Map()
+
+/**
+ * Subscribe `email` and resolve to { status, message }, worded in `locale`
+ * Rejects with a NewsletterError whose `code` is one of NEWSLETTER_ERRORS
+ */
+export const subscribeToNewsletter = async (email, { challengeToken, locale } = {}) => {
+  const normalizedEmail = email.trim().toLowerCase()
+  if (!validateEmail(normalizedEmail)) {
+    throw new NewsletterError(NEWSLETTER_ERRORS.VALIDATION, null, locale)
+  }
+
+  const provider = getNewsletterProvider()
+  if (!provider) {
+    throw new NewsletterError(NEWSLETTER_ERRORS.UNAVAILABLE, null, locale)
+  }
+
+  if (!pendingSignUps.has(normalizedEmail)) {
+    const request = provider.subscribe(normalizedEmail, { challengeToken, locale })
+      .finally(() => pendingSignUps.delete(normalizedEmail))
+    pendingSignUps.set(normalizedEmail, request)
+  }
+  const result = await pendingSignUps.get(normalizedEmail)
+
+  return { status: result.status, message: result.message || getNewsletterMessage(result.status, locale) }
+}
@@ -0,0 +1,14 @@
+/**
+ * Show a problem in Vite's error overlay during development
+ * Always logged to the console too, which is all that happens where the
+ * overlay isn't available (tests, production)
+ */
+export const showDevOverlay = (message, details = '') => {
+  console.error(`${message}\n${details}`)
+
+  const ErrorOverlay = customElements.get('vite-error-overlay')
+  if (!ErrorOverlay) return
+
+  document.querySelector('vite-error-overlay')?.remove()
+  document.body.appendChild(new ErrorOverlay({ message, stack: details }))
+}
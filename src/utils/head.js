@@ -0,0 +1,90 @@
+/**
+ * Document head tags for a page: title, description, canonical URL, social
+ * previews, robots directives and hreflang alternates
+ * A head is a plain object ({ title, description, canonical, image, robots,
+ * locale, siteName, alternates }); getHeadTags() turns it into tags, which
+ * applyHead() writes into the live document and renderHead() into static
+ * HTML for prerendering. Every tag has a key (the selector that finds it) so
+ * a page never ends up with two descriptions or canonicals, whether the
+ * previous one came from another route or from index.html
+ */
+
+// Marks the tags the head manager owns, so ones a new page doesn't declare can go
+const MANAGED = 'data-head'
+
+const meta = (attr, name, content) => content && {
+  tag: 'meta',
+  key: `meta[${attr}="${name}"]`,
+  attrs: { [attr]: name, content }
+}
+
+const link = (rel, href, extra = {}) => href && {
+  tag: 'link',
+  key: extra.hreflang ? `link[rel="${rel}"][hreflang="${extra.hreflang}"]` : `link[rel="${rel}"]`,
+  attrs: { rel, ...extra, href }
+}
+
+/**
+ * Tags for `head`, leaving out anything it doesn't set
+ */
+export const getHeadTags = ({ title, description, canonical, image, robots, locale, siteName, alternates = [] }) => {
+  return [
+    title && { tag: 'title', key: 'title', attrs: {}, text: title },
+    meta('name', 'description', description),
+    meta('name', 'robots', robots),
+    link('canonical', canonical),
+    ...alternates.map(({ hreflang, href }) => link('alternate', href, { hreflang })),
+    meta('property', 'og:type', 'website'),
+    meta('property', 'og:site_name', siteName),
+    meta('property', 'og:title', title),
+    meta('property', 'og:description', description),
+    meta('property', 'og:url', canonical),
+    meta('property', 'og:image', image),
+    meta('property', 'og:locale', locale),
+    meta('name', 'twitter:card', image && 'summary_large_image'),
+    meta('name', 'twitter:title', title),
+    meta('name', 'twitter:description', description),
+    meta('name', 'twitter:image', image)
+  ].filter(Boolean)
+}
+
+const escapeHtml = (value) => {
+  return String(value).replace(/[<>&"]/g, (char) => `&#${char.charCodeAt(0)};`)
+}
+
+/**
+ * `head` as HTML for the <head> of a prerendered page
+ */
+export const renderHead = (head) => {
+  return getHeadTags(head).map(({ tag, attrs, text }) => {
+    const attributes = Object.entries({ ...attrs, [MANAGED]: '' })
+      .map(([name, value]) => value === '' ? ` ${name}` : ` ${name}="${escapeHtml(value)}"`)
+      .join('')
+    return tag === 'title' ? `<title${attributes}>${escapeHtml(text)}</title>` : `<${tag}${attributes}>`
+  }).join('\n')
+}
+
+/**
+ * Make the document's head match `head`
+ * Existing tags with the same key are updated in place (and any duplicates
+ * dropped); managed tags the new head doesn't declare are removed
+ */
+export const applyHead = (head) => {
+  const tags = getHeadTags(head)
+  const keys = new Set(tags.map((tag) => tag.key))
+
+  tags.forEach(({ tag, key, attrs, text }) => {
+    const [element = document.createElement(tag), ...duplicates] = document.head.querySelectorAll(key)
+    duplicates.forEach((duplicate) => duplicate.remove())
+
+    Object.entries(attrs).forEach(([name, value]) => element.setAttribute(name, value))
+    if (text !== undefined) element.textContent = text
+    element.setAttribute(MANAGED, '')
+    if (!element.isConnected) document.head.appendChild(element)
+  })
+
+  document.head.querySelectorAll(`[${MANAGED}]`).forEach((element) => {
+    const isDeclared = [...keys].some((key) => element.matches(key))
+    if (!isDeclared) element.remove()
+  })
+}
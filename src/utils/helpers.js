@@ -49,13 +49,34 @@ export const debounce = (func, wait) => {
   }
 }
 
+/**
+ * Run a callback once the browser is idle (after first paint)
+ * Falls back to a timeout where requestIdleCallback is unavailable
+ * Returns a cancel function
+ */
+export const runWhenIdle = (callback, timeout = 2000) => {
+  if (typeof window.requestIdleCallback === 'function') {
+    const handle = window.requestIdleCallback(callback, { timeout })
+    return () => window.cancelIdleCallback(handle)
+  }
+
+  const handle = setTimeout(callback, 1)
+  return () => clearTimeout(handle)
+}
+
 /**
  * Enhanced smooth scroll to element with easing
+ * A duration of 0 jumps straight there
  */
 export const scrollToElement = (elementId, offset = 0, duration = 1000) => {
   const element = document.getElementById(elementId)
   if (!element) return
 
+  if (duration <= 0) {
+    window.scrollTo(0, element.offsetTop - offset)
+    return
+  }
+
   const startPosition = window.pageYOffset
   const targetPosition = element.offsetTop - offset
   const distance = targetPosition - startPosition
@@ -84,10 +105,10 @@ export const scrollToElement = (elementId, offset = 0, duration = 1000) => {
 }
 
 /**
- * Format number with commas
+ * Format a number with the grouping of a BCP 47 locale, e.g. 1,00,000 for 'hi-IN'
  */
-export const formatNumber = (num) => {
-  return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',')
+export const formatNumber = (num, locale = 'en-US') => {
+  return new Intl.NumberFormat(locale).format(num)
 }
 
 /**
@@ -103,4 +124,24 @@ export const validateEmail = (email) => {
  */
 export const generateId = () => {
   return Math.random().toString(36).substr(2, 9)
-}
\ No newline at end of file
+}
+
+/**
+ * Whether an image path is missing or still one of the `/api/placeholder/...`
+ * stand-ins, which aren't served in production
+ */
+export const isPlaceholderImage = (src) => {
+  return !src || src.startsWith('/api/placeholder/')
+}
+
+/**
+ * Initials for a person's name, e.g. "Sarah Johnson" -> "SJ"
+ */
+export const getInitials = (name) => {
+  return name
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase())
+    .slice(0, 2)
+    .join('')
+}
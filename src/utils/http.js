@@ -0,0 +1,97 @@
+/**
+ * Small fetch wrapper for JSON APIs
+ * Adds a per-attempt timeout and retries with exponential backoff on network
+ * errors, timeouts, 429 and 5xx responses. Other 4xx responses fail straight
+ * away since repeating the same request won't help. Failed responses keep
+ * their parsed body on the error, so callers can read the server's reason.
+ * A POST that timed out may still have reached the server, so every attempt
+ * carries the same Idempotency-Key and the server can drop the repeats
+ */
+
+export class HttpError extends Error {
+  constructor(message, { status = null, retryable = false, body = null } = {}) {
+    super(message)
+    this.name = 'HttpError'
+    this.status = status
+    this.retryable = retryable
+    this.body = body
+  }
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+const isRetryableStatus = (status) => status === 429 || status >= 500
+
+// Some endpoints answer 204 or plain text rather than JSON
+const readBody = async (response) => {
+  const text = await response.text()
+  try {
+    return text ? JSON.parse(text) : null
+  } catch (_error) {
+    return text
+  }
+}
+
+const requestOnce = async (url, init, timeout) => {
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), timeout)
+
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal })
+    const body = await readBody(response)
+
+    if (!response.ok) {
+      throw new HttpError(`Request failed with status ${response.status}`, {
+        status: response.status,
+        retryable: isRetryableStatus(response.status),
+        body
+      })
+    }
+
+    return body
+  } catch (error) {
+    if (error instanceof HttpError) throw error
+
+    const message = controller.signal.aborted ? `Request timed out after ${timeout}ms` : 'Network request failed'
+    throw new HttpError(message, { retryable: true })
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+const requestWithRetries = async (url, init, { timeout = 10000, retries = 2, retryDelay = 500 } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await requestOnce(url, init, timeout)
+    } catch (error) {
+      if (!error.retryable || attempt >= retries) throw error
+      await wait(retryDelay * 2 ** attempt)
+    }
+  }
+}
+
+/**
+ * GET `url` and resolve with the parsed response
+ * Rejects with an HttpError once retries are used up
+ */
+export const getJson = (url, options) => {
+  return requestWithRetries(url, { headers: { Accept: 'application/json' } }, options)
+}
+
+/**
+ * POST `body` as JSON and resolve with the parsed response
+ * Rejects with an HttpError once retries are used up
+ */
+export const postJson = (url, body, options) => {
+  const init = {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+      'Idempotency-Key': crypto.randomUUID()
+    },
+    body: JSON.stringify(body)
+  }
+
+  return requestWithRetries(url, init, options)
+}
@@ -0,0 +1,114 @@
+/**
+ * Internationalisation helpers: message lookup, locale-prefixed paths,
+ * translated content and the visitor's saved language
+ * Messages live in src/locales/<code>.json as nested objects looked up by
+ * dotted key ('contact.send'), with `{name}` placeholders filled from
+ * `values`. A key missing from a locale falls back to the default locale and
+ * then to the key itself, so gaps show on the page rather than as blanks
+ */
+import en from '../locales/en.json'
+import hi from '../locales/hi.json'
+import { DEFAULT_LOCALE, isLocale } from '../data/locales'
+
+export const MESSAGES = { en, hi }
+
+const STORAGE_KEY = 'appdost:locale'
+
+const LOCALE_PREFIX = /^\/([a-z]{2})(?=[/?#]|$)/
+
+const lookup = (messages, key) => {
+  return key.split('.').reduce((node, part) => node?.[part], messages)
+}
+
+/**
+ * Message for `key` in `locale`; lists of labels come back as arrays
+ */
+export const translate = (locale, key, values = {}) => {
+  const message = lookup(MESSAGES[locale], key) ?? lookup(MESSAGES[DEFAULT_LOCALE], key)
+  if (message === undefined) return key
+  if (typeof message !== 'string') return message
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => values[name] ?? placeholder)
+}
+
+/**
+ * Locale named by a path's prefix ('/hi/services' -> 'hi'), or null for
+ * paths in the default locale
+ */
+export const getPathLocale = (path) => {
+  const code = path.match(LOCALE_PREFIX)?.[1]
+  return code !== DEFAULT_LOCALE && isLocale(code) ? code : null
+}
+
+const stripLocale = (path) => {
+  const locale = getPathLocale(path)
+  if (!locale) return path
+  const rest = path.slice(locale.length + 1)
+  return rest.startsWith('/') ? rest : `/${rest}`
+}
+
+/**
+ * The locale of a pathname and the pathname without its prefix
+ */
+export const splitLocalePath = (pathname) => {
+  return { locale: getPathLocale(pathname) ?? DEFAULT_LOCALE, pathname: stripLocale(pathname) }
+}
+
+/**
+ * `path` (optionally with search and hash) in `locale`, whatever locale it was in
+ */
+export const localizePath = (path, locale) => {
+  const bare = stripLocale(path)
+  if (locale === DEFAULT_LOCALE) return bare
+  return /^\/([?#]|$)/.test(bare) ? `/${locale}${bare.slice(1)}` : `/${locale}${bare}`
+}
+
+/**
+ * Site paths without a locale prefix in `locale`; anything else (prefixed
+ * paths, #hashes, other sites) as it is
+ */
+export const withLocale = (href, locale) => {
+  if (!href.startsWith('/') || href.startsWith('//') || getPathLocale(href)) return href
+  return localizePath(href, locale)
+}
+
+/**
+ * `base` with the translated fields of `translation` laid over it
+ * Objects merge key by key and arrays of items with an `id` merge item by
+ * item, so a translation only needs to carry the text; any other value
+ * replaces the base value outright. Fields the base lacks are ignored
+ */
+export const mergeTranslation = (base, translation) => {
+  if (translation === undefined) return base
+
+  if (Array.isArray(base) && Array.isArray(translation) && base.every((item) => item?.id !== undefined)) {
+    const byId = new Map(translation.map((item) => [item.id, item]))
+    return base.map((item) => mergeTranslation(item, byId.get(item.id)))
+  }
+
+  const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value)
+  if (isObject(base) && isObject(translation)) {
+    return Object.fromEntries(Object.entries(base).map(([key, value]) => [key, mergeTranslation(value, translation[key])]))
+  }
+
+  return translation
+}
+
+/**
+ * Language the visitor last picked, if any
+ */
+export const getSavedLocale = () => {
+  try {
+    const code = window.localStorage.getItem(STORAGE_KEY)
+    return isLocale(code) ? code : null
+  } catch (_error) {
+    return null
+  }
+}
+
+export const saveLocale = (locale) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, locale)
+  } catch (_error) {
+    // Private mode or storage disabled: the choice lasts for this page only
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * Parser for the small Markdown subset used by long-form files in src/content
+ * Front matter (`key: value` lines between `---` fences) becomes fields, the
+ * text before the first `## ` heading becomes `intro` and each heading starts
+ * a section { title, paragraphs }. Paragraphs are split on blank lines and
+ * inline Markdown is left as written
+ */
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/
+
+const toParagraphs = (text) => {
+  return text
+    .split(/\r?\n\s*\r?\n/)
+    .map((paragraph) => paragraph.replace(/\s*\r?\n\s*/g, ' ').trim())
+    .filter(Boolean)
+}
+
+export const parseMarkdown = (source) => {
+  const frontMatter = source.match(FRONT_MATTER)
+  const fields = {}
+
+  frontMatter?.[1].split(/\r?\n/).forEach((line) => {
+    const separator = line.indexOf(':')
+    if (separator > 0) fields[line.slice(0, separator).trim()] = line.slice(separator + 1).trim()
+  })
+
+  const body = frontMatter ? source.slice(frontMatter[0].length) : source
+  const [intro, ...sections] = body.split(/^## /m)
+
+  return {
+    ...fields,
+    intro: toParagraphs(intro),
+    sections: sections.map((section) => {
+      const [title, ...rest] = section.split(/\r?\n/)
+      return { title: title.trim(), paragraphs: toParagraphs(rest.join('\n')) }
+    })
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * Typed vertex buffers for NetworkMesh
+ * Packs node and connection descriptions into one attribute set each, so a
+ * whole network draws as a single Points and a single LineSegments call
+ */
+import * as THREE from 'three'
+
+const scratch = new THREE.Color()
+
+const writeColor = (target, index, color) => {
+  scratch.set(color)
+  target[index * 3] = scratch.r
+  target[index * 3 + 1] = scratch.g
+  target[index * 3 + 2] = scratch.b
+}
+
+/**
+ * Node buffers from [{ position, size, color, haloColor, intensity, delay }]
+ */
+export const buildNodeBuffers = (nodes) => {
+  const count = nodes.length
+  const positions = new Float32Array(count * 3)
+  const colors = new Float32Array(count * 3)
+  const haloColors = new Float32Array(count * 3)
+  const sizes = new Float32Array(count)
+  const intensities = new Float32Array(count)
+  const delays = new Float32Array(count)
+
+  nodes.forEach((node, i) => {
+    positions.set(node.position, i * 3)
+    writeColor(colors, i, node.color)
+    writeColor(haloColors, i, node.haloColor ?? node.color)
+    sizes[i] = node.size
+    intensities[i] = node.intensity ?? 1
+    delays[i] = node.delay ?? 0
+  })
+
+  return { count, positions, colors, haloColors, sizes, intensities, delays }
+}
+
+// Point on the quadratic Bézier start -> control -> end
+const bezierPoint = (start, control, end, t) => {
+  const a = (1 - t) * (1 - t)
+  const b = 2 * (1 - t) * t
+  const c = t * t
+  return [0, 1, 2].map((axis) => a * start[axis] + b * control[axis] + c * end[axis])
+}
+
+/**
+ * Line segment buffers from [{ start, end, control, color, intensity, delay }]
+ * Connections with a control point are curved and split into `segments`
+ * pieces; every vertex of a connection carries its colour, intensity and delay
+ */
+export const buildConnectionBuffers = (connections, segments = 1) => {
+  const count = connections.length * segments * 2
+  const positions = new Float32Array(count * 3)
+  const colors = new Float32Array(count * 3)
+  const intensities = new Float32Array(count)
+  const delays = new Float32Array(count)
+  let vertex = 0
+
+  connections.forEach((connection) => {
+    const { start, end } = connection
+    const control = connection.control ?? start.map((value, axis) => (value + end[axis]) / 2)
+
+    for (let s = 0; s < segments; s++) {
+      for (const t of [s / segments, (s + 1) / segments]) {
+        positions.set(bezierPoint(start, control, end, t), vertex * 3)
+        writeColor(colors, vertex, connection.color)
+        intensities[vertex] = connection.intensity ?? 1
+        delays[vertex] = connection.delay ?? 0
+        vertex++
+      }
+    }
+  })
+
+  return { count, positions, colors, intensities, delays }
+}
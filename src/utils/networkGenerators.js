@@ -0,0 +1,359 @@
+/**
+ * Node and connection generators for the plexus backgrounds
+ * Every generator draws from a seedable PRNG, so passing the same seed
+ * reproduces the same layout (see utils/random)
+ */
+import { createRandom } from './random'
+
+// Five crystal cluster centres, re-rolled per node like the original layout
+const randomClusterCenter = (random) => {
+  const clusterIndex = Math.floor(random() * 5)
+  return [
+    [(random() - 0.5) * 2, (random() - 0.5) * 2, (random() - 0.5) * 2],
+    [(random() - 0.5) * 2, (random() - 0.5) * 2, (random() - 0.5) * 2],
+    [(random() - 0.5) * 2, (random() - 0.5) * 2, (random() - 0.5) * 2],
+    [(random() - 0.5) * 2, (random() - 0.5) * 2, (random() - 0.5) * 2],
+    [(random() - 0.5) * 2, (random() - 0.5) * 2, (random() - 0.5) * 2]
+  ][clusterIndex]
+}
+
+// Dense centre, scattered fragments and crystalline clusters
+const fracturedPosition = (i, nodeCount, random) => {
+  if (i < nodeCount * 0.3) {
+    // Dense central cluster
+    const angle = random() * Math.PI * 2
+    const radius = random() * 0.5
+    return [
+      Math.cos(angle) * radius + (random() - 0.5) * 0.4,
+      Math.sin(angle) * radius + (random() - 0.5) * 0.4,
+      (random() - 0.5) * 0.6
+    ]
+  }
+
+  if (i < nodeCount * 0.6) {
+    // Scattered outer fragments
+    return [(random() - 0.5) * 3, (random() - 0.5) * 3, (random() - 0.5) * 3]
+  }
+
+  // Crystalline formations
+  const clusterCenter = randomClusterCenter(random)
+  return [
+    clusterCenter[0] + (random() - 0.5) * 0.3,
+    clusterCenter[1] + (random() - 0.5) * 0.3,
+    clusterCenter[2] + (random() - 0.5) * 0.3
+  ]
+}
+
+/**
+ * Node position generators, each (nodeCount, random) => [[x, y, z], ...]
+ */
+export const PLEXUS_SHAPES = {
+  fracturedChaotic: (nodeCount, random) => {
+    const nodes = []
+    for (let i = 0; i < nodeCount; i++) {
+      nodes.push(fracturedPosition(i, nodeCount, random))
+    }
+    return nodes
+  },
+
+  symmetricalSphere: (nodeCount) => {
+    const nodes = []
+    const phi = Math.PI * (3 - Math.sqrt(5)) // Golden angle
+
+    for (let i = 0; i < nodeCount; i++) {
+      const y = 1 - (i / (nodeCount - 1)) * 2
+      const radius = Math.sqrt(1 - y * y) * 1.5
+      const theta = phi * i
+
+      const x = Math.cos(theta) * radius
+      const z = Math.sin(theta) * radius
+      nodes.push([x, y * 1.5, z])
+    }
+    return nodes
+  },
+
+  wireframeCube: (nodeCount) => {
+    const nodes = []
+    const edgeNodes = Math.floor(Math.cbrt(nodeCount))
+
+    for (let x = 0; x < edgeNodes; x++) {
+      for (let y = 0; y < edgeNodes; y++) {
+        for (let z = 0; z < edgeNodes; z++) {
+          // Only create nodes on the cube edges/faces
+          if (x === 0 || x === edgeNodes - 1 ||
+              y === 0 || y === edgeNodes - 1 ||
+              z === 0 || z === edgeNodes - 1) {
+            nodes.push([
+              (x / (edgeNodes - 1) - 0.5) * 2,
+              (y / (edgeNodes - 1) - 0.5) * 2,
+              (z / (edgeNodes - 1) - 0.5) * 2
+            ])
+          }
+        }
+      }
+    }
+    return nodes
+  },
+
+  chaoticCloud: (nodeCount, random) => {
+    const nodes = []
+    for (let i = 0; i < nodeCount; i++) {
+      // Completely random distribution with some clustering
+      const clusterCenter = [
+        (random() - 0.5) * 2,
+        (random() - 0.5) * 2,
+        (random() - 0.5) * 2
+      ]
+
+      nodes.push([
+        clusterCenter[0] + (random() - 0.5) * 1.5,
+        clusterCenter[1] + (random() - 0.5) * 1.5,
+        clusterCenter[2] + (random() - 0.5) * 1.5
+      ])
+    }
+    return nodes
+  },
+
+  concentricRings: (nodeCount, random) => {
+    const nodes = []
+    const rings = 5
+    const nodesPerRing = Math.floor(nodeCount / rings)
+
+    for (let ring = 0; ring < rings; ring++) {
+      const radius = (ring + 1) * 0.3
+      for (let i = 0; i < nodesPerRing; i++) {
+        const angle = (i / nodesPerRing) * Math.PI * 2
+        const x = Math.cos(angle) * radius
+        const z = Math.sin(angle) * radius
+        const y = (random() - 0.5) * 0.5
+        nodes.push([x, y, z])
+      }
+    }
+    return nodes
+  }
+}
+
+/**
+ * Node colour by normalised depth, each (depth) => [r, g, b]
+ */
+export const PLEXUS_COLOR_SCHEMES = {
+  cyanTurquoise: (depth) => [0.0 + depth * 0.2, 0.8 + depth * 0.2, 1.0 - depth * 0.3],
+  fieryOrange: (depth) => [1.0, 0.4 + depth * 0.6, 0.0 + depth * 0.3],
+  synthwavePink: (depth) => [1.0 - depth * 0.2, 0.0 + depth * 0.4, 0.8 + depth * 0.2],
+  cyberpunkGreen: (depth) => [0.8 - depth * 0.6, 1.0, 0.0 + depth * 0.4],
+  iceBlue: (depth) => [0.7 + depth * 0.3, 0.9 + depth * 0.1, 1.0]
+}
+
+const cellKey = (x, y, z) => `${x},${y},${z}`
+
+/**
+ * Find node pairs closer than maxDistance with a spatial hash, so each node is
+ * only compared against the 27 grid cells around it instead of every other node
+ * Nodes are visited in index order and each may open at most maxConnections new
+ * links; `jitter` adds a random extra reach per pair for a less regular mesh.
+ * The result, jittered or not, is the same as comparing every pair
+ * Returns a flat Uint32Array of [start, end] index pairs
+ */
+export const buildConnections = (positions, { maxDistance, maxConnections, jitter = 0, random = Math.random }) => {
+  const nodeCount = positions.length / 3
+  const reach = maxDistance + jitter
+  const edges = []
+
+  if (reach <= 0 || maxConnections <= 0) return new Uint32Array(0)
+
+  // Cells are as wide as the longest possible link, so neighbours are never more than one cell away
+  const cells = new Map()
+  const cellOf = (i) => [
+    Math.floor(positions[i * 3] / reach),
+    Math.floor(positions[i * 3 + 1] / reach),
+    Math.floor(positions[i * 3 + 2] / reach)
+  ]
+
+  for (let i = 0; i < nodeCount; i++) {
+    const key = cellKey(...cellOf(i))
+    if (!cells.has(key)) cells.set(key, [])
+    cells.get(key).push(i)
+  }
+
+  const connected = new Set()
+
+  for (let i = 0; i < nodeCount; i++) {
+    const [cx, cy, cz] = cellOf(i)
+    const candidates = []
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          const cell = cells.get(cellKey(cx + dx, cy + dy, cz + dz))
+          if (cell) candidates.push(...cell)
+        }
+      }
+    }
+
+    // Index order keeps the result independent of the grid layout
+    candidates.sort((a, b) => a - b)
+
+    // Comparing every pair draws a jitter for each other node until this one is
+    // full, so draw for the nodes outside the neighbouring cells too and a seed
+    // keeps the random sequence, and the links, it would have there
+    let drawn = 0
+    const drawUpTo = (end) => {
+      if (!jitter) return
+      for (; drawn < end; drawn++) {
+        if (drawn !== i) random()
+      }
+    }
+
+    let connectionCount = 0
+    for (const j of candidates) {
+      if (connectionCount >= maxConnections) break
+      if (j === i) continue
+
+      drawUpTo(j)
+      drawn = j + 1
+      const distance = Math.hypot(
+        positions[i * 3] - positions[j * 3],
+        positions[i * 3 + 1] - positions[j * 3 + 1],
+        positions[i * 3 + 2] - positions[j * 3 + 2]
+      )
+      const limit = jitter ? maxDistance + random() * jitter : maxDistance
+
+      if (distance < limit) {
+        const pair = Math.min(i, j) * nodeCount + Math.max(i, j)
+
+        if (!connected.has(pair)) {
+          connected.add(pair)
+          edges.push(i, j)
+          connectionCount++
+        }
+      }
+    }
+    if (connectionCount < maxConnections) drawUpTo(nodeCount)
+  }
+
+  return Uint32Array.from(edges)
+}
+
+// Line vertex buffers for the edges: both ends share the blended colour of their nodes
+const buildLineBuffers = (positions, colors, opacities, edges) => {
+  const edgeCount = edges.length / 2
+  const linePositions = new Float32Array(edgeCount * 6)
+  const lineColors = new Float32Array(edgeCount * 6)
+  const lineOpacities = new Float32Array(edgeCount * 2)
+
+  for (let k = 0; k < edgeCount; k++) {
+    const a = edges[k * 2]
+    const b = edges[k * 2 + 1]
+    const opacity = Math.max(opacities[a], opacities[b]) * 0.7
+
+    for (let c = 0; c < 3; c++) {
+      const color = (colors[a * 3 + c] + colors[b * 3 + c]) / 2
+      linePositions[k * 6 + c] = positions[a * 3 + c]
+      linePositions[k * 6 + 3 + c] = positions[b * 3 + c]
+      lineColors[k * 6 + c] = color
+      lineColors[k * 6 + 3 + c] = color
+    }
+
+    lineOpacities[k * 2] = opacity
+    lineOpacities[k * 2 + 1] = opacity
+  }
+
+  return { edgeCount, linePositions, lineColors, lineOpacities }
+}
+
+/**
+ * Build a plexus network from a named shape and colour scheme
+ * Everything is returned as typed arrays: per node `positions`, `colors`,
+ * `opacities` and `sizes`, plus `edges` (index pairs) and per line vertex
+ * `linePositions`, `lineColors` and `lineOpacities`
+ */
+export const generateConfigurableNetwork = ({
+  nodeCount = 200,
+  shapeType = 'fracturedChaotic',
+  colorScheme = 'cyanTurquoise',
+  connectionDistance = 0.3,
+  maxConnections = 8,
+  seed
+} = {}) => {
+  const shapeGenerator = PLEXUS_SHAPES[shapeType]
+  const colorGenerator = PLEXUS_COLOR_SCHEMES[colorScheme]
+  const random = createRandom(seed)
+  let points = []
+
+  if (shapeGenerator && colorGenerator) {
+    points = shapeGenerator(nodeCount, random)
+  } else {
+    console.warn('Invalid shape or color scheme specified')
+  }
+
+  const positions = new Float32Array(points.length * 3)
+  const colors = new Float32Array(points.length * 3)
+  const opacities = new Float32Array(points.length)
+  const sizes = new Float32Array(points.length)
+
+  points.forEach((position, i) => {
+    const depth = (position[2] + 2) / 4 // Normalize z to 0-1
+
+    positions.set(position, i * 3)
+    colors.set(colorGenerator(depth), i * 3)
+    opacities[i] = 0.6 + random() * 0.4
+    sizes[i] = 1.5 + random() * 1.0
+  })
+
+  const edges = buildConnections(positions, { maxDistance: connectionDistance, maxConnections })
+
+  return {
+    nodeCount: points.length,
+    positions,
+    colors,
+    opacities,
+    sizes,
+    edges,
+    ...buildLineBuffers(positions, colors, opacities, edges)
+  }
+}
+
+/**
+ * Chaotic, crystalline network with a jittered connection distance
+ * Returns the same typed arrays as generateConfigurableNetwork, without sizes
+ */
+export const generateFracturedNetwork = ({ nodeCount = 200, connectionDistance = 0.3, seed } = {}) => {
+  const random = createRandom(seed)
+  const positions = new Float32Array(nodeCount * 3)
+  const colors = new Float32Array(nodeCount * 3)
+  const opacities = new Float32Array(nodeCount)
+
+  for (let i = 0; i < nodeCount; i++) {
+    const position = fracturedPosition(i, nodeCount, random)
+
+    positions.set(position, i * 3)
+    // Cyan-blue to turquoise-green by depth
+    colors.set(PLEXUS_COLOR_SCHEMES.cyanTurquoise((position[2] + 2) / 4), i * 3)
+    opacities[i] = 0.6 + random() * 0.4
+  }
+
+  // Variable connection distance for chaotic structure
+  const edges = buildConnections(positions, {
+    maxDistance: connectionDistance,
+    maxConnections: 8,
+    jitter: 0.4,
+    random
+  })
+
+  return {
+    nodeCount,
+    positions,
+    colors,
+    opacities,
+    edges,
+    ...buildLineBuffers(positions, colors, opacities, edges)
+  }
+}
+
+/**
+ * Generators by name, for callers (and the network worker) that pick one at runtime
+ */
+export const NETWORK_GENERATORS = {
+  configurable: generateConfigurableNetwork,
+  fractured: generateFracturedNetwork
+}
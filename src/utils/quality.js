@@ -0,0 +1,111 @@
+/**
+ * Quality tiers and the frame-time governor that moves between them
+ * Used by the WebGL backgrounds to trade detail for frame rate
+ */
+
+/**
+ * Tiers ordered from best to cheapest
+ * - dpr: upper bound for the canvas device pixel ratio
+ * - nodeScale: multiplier applied to generated node/particle counts
+ * - particleUpdateInterval: update animated particles every N frames (0 = never)
+ * - shaderEffects: enable animated glow/flow terms in the line shaders
+ */
+export const QUALITY_TIERS = [
+  {
+    id: 'high',
+    dpr: 2,
+    nodeScale: 1,
+    particleUpdateInterval: 3,
+    shaderEffects: true
+  },
+  {
+    id: 'medium',
+    dpr: 1.5,
+    nodeScale: 0.7,
+    particleUpdateInterval: 6,
+    shaderEffects: true
+  },
+  {
+    id: 'low',
+    dpr: 1,
+    nodeScale: 0.45,
+    particleUpdateInterval: 0,
+    shaderEffects: false
+  }
+]
+
+// Deltas above this are tab switches or GC hitches, not steady-state frame times
+const MAX_FRAME_TIME = 250
+
+/**
+ * Initial tier guess from device hints, before any frames have been measured
+ */
+export const getInitialQualityTier = () => {
+  if (typeof navigator === 'undefined') return 0
+
+  const cores = navigator.hardwareConcurrency || 4
+  const memory = navigator.deviceMemory || 4
+
+  if (cores <= 2 || memory <= 2) return QUALITY_TIERS.length - 1
+  if (cores <= 4 || memory <= 4) return 1
+  return 0
+}
+
+/**
+ * Create a governor that samples frame times (ms) and steps the tier
+ * down when the average drops below downgradeFps, and back up after
+ * upgradeAfter consecutive windows above upgradeFps
+ */
+export const createQualityGovernor = ({
+  initialTier = 0,
+  sampleSize = 60,
+  downgradeFps = 45,
+  upgradeFps = 57,
+  upgradeAfter = 3,
+  onChange
+} = {}) => {
+  const maxTier = QUALITY_TIERS.length - 1
+  let tier = Math.min(Math.max(initialTier, 0), maxTier)
+  let frameTimes = []
+  let goodWindows = 0
+
+  const setTier = (nextTier) => {
+    if (nextTier === tier) return
+    tier = nextTier
+    goodWindows = 0
+    onChange?.(tier, QUALITY_TIERS[tier])
+  }
+
+  const evaluate = () => {
+    const average = frameTimes.reduce((sum, time) => sum + time, 0) / frameTimes.length
+    const fps = 1000 / average
+    frameTimes = []
+
+    if (fps < downgradeFps) {
+      goodWindows = 0
+      if (tier < maxTier) setTier(tier + 1)
+      return
+    }
+
+    if (fps >= upgradeFps && tier > 0) {
+      goodWindows++
+      if (goodWindows >= upgradeAfter) setTier(tier - 1)
+      return
+    }
+
+    goodWindows = 0
+  }
+
+  return {
+    sample(frameTime) {
+      if (!(frameTime > 0) || frameTime > MAX_FRAME_TIME) return
+      frameTimes.push(frameTime)
+      if (frameTimes.length >= sampleSize) evaluate()
+    },
+    reset() {
+      frameTimes = []
+      goodWindows = 0
+    },
+    getTier: () => tier
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * Seedable pseudo-random numbers for the background generators
+ */
+
+/**
+ * 32-bit FNV-1a hash of a value's string form
+ * Lets string and numeric seeds both map to a 32-bit state
+ */
+export const hashString = (value) => {
+  const text = String(value)
+  let hash = 2166136261
+
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619)
+  }
+
+  return hash >>> 0
+}
+
+/**
+ * Create a random() replacement returning floats in [0, 1)
+ * The same seed always yields the same sequence (mulberry32); without a seed
+ * this is Math.random, so unseeded backgrounds still vary between reloads
+ */
+export const createRandom = (seed) => {
+  if (seed === undefined || seed === null) return Math.random
+
+  let state = hashString(seed)
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Seed for one generator among several sharing a seed, so each draws its own
+ * sequence; no seed stays no seed
+ */
+export const subSeed = (seed, name) => {
+  if (seed === undefined || seed === null) return seed
+  return `${seed}:${name}`
+}
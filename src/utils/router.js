@@ -0,0 +1,65 @@
+/**
+ * Minimal history-based router
+ * Holds the current location in a tiny store that React reads through
+ * useSyncExternalStore (see hooks/useRoute). Each location records how it was
+ * reached: 'load' on first render, 'push'/'replace' from navigate() and 'pop'
+ * for back/forward, so callers can jump or animate accordingly. `scroll` is
+ * false when the URL only follows what is already on screen (scroll-spy).
+ * Site paths stay in the current language (see utils/i18n) unless they carry
+ * a locale prefix or navigate() is given a `locale`
+ */
+import { getPathLocale, localizePath, withLocale } from './i18n'
+import { DEFAULT_LOCALE } from '../data/locales'
+
+const listeners = new Set()
+let nextKey = 0
+
+const readLocation = (action, scroll = true) => ({
+  pathname: window.location.pathname,
+  search: window.location.search,
+  hash: window.location.hash,
+  action,
+  scroll,
+  key: nextKey++
+})
+
+let currentLocation = readLocation('load')
+
+const update = (action, scroll) => {
+  currentLocation = readLocation(action, scroll)
+  listeners.forEach((listener) => listener())
+}
+
+// Sections are scrolled into view by the app, so the browser shouldn't restore positions itself
+if ('scrollRestoration' in window.history) {
+  window.history.scrollRestoration = 'manual'
+}
+
+window.addEventListener('popstate', () => update('pop'))
+
+export const getLocation = () => currentLocation
+
+export const subscribe = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/**
+ * Go to `to` (a path, optionally with search and hash) without reloading the page
+ * Pass `scroll: false` to update the URL without moving the page, and
+ * `locale` to switch language
+ */
+export const navigate = (to, { replace = false, scroll = true, locale } = {}) => {
+  const url = locale
+    ? localizePath(to, locale)
+    : withLocale(to, getPathLocale(window.location.pathname) ?? DEFAULT_LOCALE)
+  window.history[replace ? 'replaceState' : 'pushState'](null, '', url)
+  update(replace ? 'replace' : 'push', scroll)
+}
+
+/**
+ * Whether a click should be left to the browser (new tab, new window, download)
+ */
+export const isModifiedClick = (event) => {
+  return event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey
+}
@@ -0,0 +1,142 @@
+/**
+ * Minimal runtime schema checks for plain data
+ * A rule is a function (value, path, report) that calls
+ * report(path, message, severity) for each problem it finds; `severity` is
+ * 'error' (the default) or 'warning'. Shapes are objects of rules by key
+ */
+
+export const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning'
+}
+
+const show = (value) => {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'an array'
+  return typeof value === 'string' ? `"${value}"` : typeof value
+}
+
+/**
+ * Lets a rule pass when the value is undefined
+ */
+export const optional = (rule) => (value, path, report) => {
+  if (value !== undefined) rule(value, path, report)
+}
+
+export const string = ({ pattern, oneOf } = {}) => (value, path, report) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    report(path, `expected a non-empty string, got ${show(value)}`)
+  } else if (pattern && !pattern.test(value)) {
+    report(path, `${show(value)} doesn't match ${pattern}`)
+  } else if (oneOf && !oneOf.includes(value)) {
+    report(path, `${show(value)} isn't one of ${oneOf.join(', ')}`)
+  }
+}
+
+export const number = ({ min = -Infinity, max = Infinity } = {}) => (value, path, report) => {
+  if (typeof value !== 'number' || Number.isNaN(value)) {
+    report(path, `expected a number, got ${show(value)}`)
+  } else if (value < min || value > max) {
+    report(path, `${value} is outside ${min}..${max}`)
+  }
+}
+
+/**
+ * Absolute http(s) URL
+ */
+export const url = () => (value, path, report) => {
+  let parsed = null
+  try {
+    parsed = new URL(value)
+  } catch (_error) {
+    // Reported below
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    report(path, `expected an absolute http(s) URL, got ${show(value)}`)
+  }
+}
+
+/**
+ * Image path or URL; `/api/placeholder/...` stand-ins are only a warning
+ */
+export const image = () => (value, path, report) => {
+  if (typeof value !== 'string' || !/^(\/|https?:\/\/)/.test(value)) {
+    report(path, `expected an image path or URL, got ${show(value)}`)
+  } else if (value.startsWith('/api/placeholder/')) {
+    report(path, `${show(value)} is a placeholder image`, SEVERITY.WARNING)
+  }
+}
+
+/**
+ * React component, e.g. a react-icons icon
+ */
+export const component = () => (value, path, report) => {
+  if (typeof value !== 'function' && !(typeof value === 'object' && value?.$$typeof)) {
+    report(path, `expected a component, got ${show(value)}`)
+  }
+}
+
+export const array = (itemRule, { minLength = 0 } = {}) => (value, path, report) => {
+  if (!Array.isArray(value)) {
+    report(path, `expected an array, got ${show(value)}`)
+    return
+  }
+  if (value.length < minLength) {
+    report(path, `expected at least ${minLength} item${minLength === 1 ? '' : 's'}, got ${value.length}`)
+  }
+  value.forEach((item, index) => itemRule(item, `${path}[${index}]`, report))
+}
+
+/**
+ * Object with arbitrary keys whose values all pass `valueRule`
+ */
+export const record = (valueRule, { minLength = 0 } = {}) => (value, path, report) => {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    report(path, `expected an object, got ${show(value)}`)
+    return
+  }
+  const entries = Object.entries(value)
+  if (entries.length < minLength) {
+    report(path, `expected at least ${minLength} entries, got ${entries.length}`)
+  }
+  entries.forEach(([key, item]) => valueRule(item, `${path}.${key}`, report))
+}
+
+/**
+ * Object with exactly the keys in `shape`; unknown keys are reported as typos
+ */
+export const shape = (rules) => (value, path, report) => {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    report(path, `expected an object, got ${show(value)}`)
+    return
+  }
+  Object.entries(rules).forEach(([key, rule]) => rule(value[key], `${path}.${key}`, report))
+  Object.keys(value)
+    .filter((key) => !(key in rules))
+    .forEach((key) => report(`${path}.${key}`, 'unknown field'))
+}
+
+/**
+ * Reports items of `items` that repeat another item's `key`
+ */
+export const unique = (key) => (items, path, report) => {
+  const seen = new Set()
+  items.forEach((item, index) => {
+    if (seen.has(item[key])) {
+      report(`${path}[${index}].${key}`, `duplicate ${key} ${show(item[key])}`)
+    }
+    seen.add(item[key])
+  })
+}
+
+/**
+ * Run `rule` against `value` and collect what it reports as
+ * [{ path, message, severity }]
+ */
+export const validate = (value, rule, path = '') => {
+  const issues = []
+  rule(value, path, (issuePath, message, severity = SEVERITY.ERROR) => {
+    issues.push({ path: issuePath, message, severity })
+  })
+  return issues
+}
@@ -0,0 +1,152 @@
+/**
+ * Structured data, head tags, sitemap and robots.txt built from the content
+ * and routes
+ * Nothing here touches the DOM: the seo Vite plugin (plugins/seo.js) calls
+ * these at build time and writes the results into index.html, sitemap.xml and
+ * robots.txt, so the files can't drift from what the site shows
+ */
+import { getLocalizedContent } from '../data/content'
+import { routes, buildPath, matchRoute, getRouteHead } from '../data/routes'
+import { DEFAULT_LOCALE, LOCALE_CODES } from '../data/locales'
+import { localizePath } from './i18n'
+import { renderHead } from './head'
+
+const absoluteUrl = (path, origin) => new URL(path, origin).href
+
+/**
+ * schema.org Organization and WebSite for the site, as a JSON-LD graph
+ */
+export const getStructuredData = (locale = DEFAULT_LOCALE) => {
+  const { company, services, socialLinks } = getLocalizedContent(locale)
+  const organizationId = `${company.url}/#organization`
+
+  return {
+    '@context': 'https://schema.org',
+    '@graph': [
+      {
+        '@type': 'Organization',
+        '@id': organizationId,
+        name: company.name,
+        slogan: company.tagline,
+        description: company.description,
+        url: absoluteUrl('/', company.url),
+        logo: absoluteUrl(company.logo, company.url),
+        foundingDate: company.founded,
+        email: company.email,
+        telephone: company.phone,
+        address: company.address,
+        sameAs: socialLinks.map((link) => link.url),
+        hasOfferCatalog: {
+          '@type': 'OfferCatalog',
+          name: company.name,
+          itemListElement: services.map((service) => ({
+            '@type': 'Offer',
+            itemOffered: {
+              '@type': 'Service',
+              name: service.title,
+              description: service.description,
+              url: absoluteUrl(localizePath(`/services/${service.slug}`, locale), company.url)
+            }
+          }))
+        }
+      },
+      {
+        '@type': 'WebSite',
+        name: company.name,
+        url: absoluteUrl(localizePath('/', locale), company.url),
+        inLanguage: locale,
+        publisher: { '@id': organizationId }
+      }
+    ]
+  }
+}
+
+/**
+ * JSON-LD as the body of a <script type="application/ld+json">
+ * `<` is escaped so content can't close the script element early
+ */
+export const renderJsonLd = (data) => JSON.stringify(data).replace(/</g, '\\u003c')
+
+/**
+ * Head tags of the page at `pathname`, as HTML (see utils/head)
+ */
+export const renderPageHead = (pathname) => renderHead(getRouteHead(matchRoute({ pathname })))
+
+/**
+ * Every page search engines should index, as { route, path } with the path
+ * in the default locale; parameterised routes expand through `staticParams`
+ */
+export const getIndexablePages = () => {
+  const content = getLocalizedContent(DEFAULT_LOCALE)
+  return routes
+    .filter((route) => !route.noIndex)
+    .flatMap((route) => {
+      if (!route.path.includes(':')) return [{ route, path: route.path }]
+      return (route.staticParams?.(content) ?? []).map((params) => ({ route, path: buildPath(route.path, params) }))
+    })
+}
+
+/**
+ * Sitemap entries, one per page per locale, each listing its translations
+ * `lastModified(collections)` returns the date (YYYY-MM-DD) the named
+ * content collections last changed, or null when it isn't known
+ */
+export const getSitemapEntries = (lastModified = () => null) => {
+  const { company } = getLocalizedContent(DEFAULT_LOCALE)
+
+  return getIndexablePages().flatMap(({ route, path }) => {
+    const lastmod = lastModified(route.content ?? [])
+    const alternates = [
+      ...LOCALE_CODES.map((code) => ({ hreflang: code, href: absoluteUrl(localizePath(path, code), company.url) })),
+      { hreflang: 'x-default', href: absoluteUrl(localizePath(path, DEFAULT_LOCALE), company.url) }
+    ]
+    return LOCALE_CODES.map((code) => ({
+      loc: absoluteUrl(localizePath(path, code), company.url),
+      lastmod,
+      alternates
+    }))
+  })
+}
+
+const escapeXml = (value) => {
+  return String(value).replace(/[<>&'"]/g, (char) => `&#${char.charCodeAt(0)};`)
+}
+
+export const renderSitemap = (entries) => {
+  const urls = entries.map(({ loc, lastmod, alternates }) => [
+    '  <url>',
+    `    <loc>${escapeXml(loc)}</loc>`,
+    lastmod && `    <lastmod>${escapeXml(lastmod)}</lastmod>`,
+    ...alternates.map(({ hreflang, href }) => (
+      `    <xhtml:link rel="alternate" hreflang="${escapeXml(hreflang)}" href="${escapeXml(href)}"/>`
+    )),
+    '  </url>'
+  ].filter(Boolean).join('\n'))
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n')
+}
+
+/**
+ * robots.txt allowing everything but the noIndex routes, in every locale
+ */
+export const renderRobots = () => {
+  const { company } = getLocalizedContent(DEFAULT_LOCALE)
+  const disallowed = routes
+    .filter((route) => route.noIndex)
+    .flatMap((route) => LOCALE_CODES.map((code) => localizePath(route.path, code)))
+
+  return [
+    'User-agent: *',
+    'Allow: /',
+    ...disallowed.map((path) => `Disallow: ${path}`),
+    '',
+    `Sitemap: ${absoluteUrl('/sitemap.xml', company.url)}`,
+    ''
+  ].join('\n')
+}
@@ -0,0 +1,22 @@
+/**
+ * Tag matching between content items (industries, projects, services)
+ * Items carry a `tags` array; two items are related when they share a tag
+ */
+
+const sharedTagCount = (item, candidate) => {
+  const tags = item.tags ?? []
+  return (candidate.tags ?? []).filter((tag) => tags.includes(tag)).length
+}
+
+/**
+ * Candidates sharing at least one tag with `item`, most shared tags first
+ * Ties keep the candidates' original order
+ */
+export const findRelated = (item, candidates, limit = Infinity) => {
+  return candidates
+    .map((candidate) => ({ candidate, score: sharedTagCount(item, candidate) }))
+    .filter(({ candidate, score }) => score > 0 && candidate !== item)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ candidate }) => candidate)
+}
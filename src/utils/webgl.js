@@ -0,0 +1,51 @@
+/**
+ * Rendering capability detection for the network backgrounds
+ */
+
+export const RENDERER_TIERS = {
+  WEBGL: 'webgl',
+  CANVAS_2D: 'canvas2d',
+  CSS: 'css'
+}
+
+const cache = {}
+
+const probe = (key, test) => {
+  if (!(key in cache)) {
+    try {
+      cache[key] = Boolean(test(document.createElement('canvas')))
+    } catch (_error) {
+      cache[key] = false
+    }
+  }
+  return cache[key]
+}
+
+/**
+ * Whether a WebGL (2 or 1) context can be created
+ */
+export const detectWebGL = () => {
+  return probe('webgl', (canvas) => {
+    if (!window.WebGLRenderingContext) return false
+    const gl = canvas.getContext('webgl2') || canvas.getContext('webgl') || canvas.getContext('experimental-webgl')
+    // Browsers cap live WebGL contexts, so hand the probe's back straight away
+    gl?.getExtension('WEBGL_lose_context')?.loseContext()
+    return gl
+  })
+}
+
+/**
+ * Whether a Canvas 2D context can be created
+ */
+export const detectCanvas2D = () => {
+  return probe('canvas2d', (canvas) => canvas.getContext('2d'))
+}
+
+/**
+ * Whether the current browser can render a given renderer tier
+ */
+export const supportsRendererTier = (tier) => {
+  if (tier === RENDERER_TIERS.WEBGL) return detectWebGL()
+  if (tier === RENDERER_TIERS.CANVAS_2D) return detectCanvas2D()
+  return true
+}
@@ -0,0 +1,19 @@
+/**
+ * Web Worker that builds plexus networks off the main thread
+ * Receives { id, type, options } and replies with { id, network } or { id, error },
+ * transferring the typed arrays instead of copying them
+ */
+import { NETWORK_GENERATORS } from '../utils/networkGenerators'
+
+self.onmessage = ({ data: { id, type, options } }) => {
+  try {
+    const network = NETWORK_GENERATORS[type](options)
+    const buffers = Object.values(network)
+      .filter((value) => ArrayBuffer.isView(value))
+      .map((value) => value.buffer)
+
+    self.postMessage({ id, network }, buffers)
+  } catch (error) {
+    self.postMessage({ id, error: error.message })
+  }
+}
@@ -1,10 +1,11 @@
 /// <reference types="vitest" />
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import seo from './plugins/seo'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), seo()],
   test: {
     environment: 'jsdom',
     setupFiles: ['./src/__tests__/setup.js'],